@@ -1,190 +1,42 @@
-import { createPublicClient, createWalletClient, http, parseEther } from 'viem';
-import { celo } from 'viem/chains';
-import { privateKeyToAccount } from 'viem/accounts';
+import { publicClient, NFT_CONTRACT_ADDRESS } from '../lib/chain.js';
+import {
+  CLAIM_STATUS,
+  findClaim,
+  getClaim,
+  getClaimHistory,
+  getEarningsSummary,
+  acquireClaimSlot,
+  releaseClaimSlot
+} from '../lib/claim-ledger.js';
+import { toClaimStatus } from '../lib/payout-queue.js';
+import { TREASURY_ERRORS } from '../lib/treasury.js';
+import { requireSession } from '../lib/auth.js';
+import { getRiskContext } from '../lib/risk.js';
+import { handleClaimReferral } from '../lib/referrals.js';
+import { PREDICTION_ROUNDS } from '../lib/predictions.js';
+import {
+  PAYOUT_TOKENS,
+  DEFAULT_PAYOUT_TOKEN,
+  getEnabledPayoutTokens,
+  resolvePayoutToken
+} from '../lib/payout-tokens.js';
+import {
+  BONUS_RULES,
+  NFT_ABI,
+  REWARD_ERRORS,
+  quoteAirdrop,
+  getPredictionMultiplier,
+  isSameMint,
+  rewardMint,
+  tickPayoutQueue
+} from '../lib/rewards.js';
 
-// Configuration
-const NFT_CONTRACT_ADDRESS = '0xe90EC6F3f5C15cC76861CA5d41CD879548208Eff';
-const MIN_AIRDROP_AMOUNT = '0.005'; // Minimum CELO
-const MAX_AIRDROP_AMOUNT = '0.01'; // Maximum CELO
-const ABSOLUTE_MAX_AIRDROP = '0.033'; // Hard cap - no one can get more than this
+// Configuration (bonus rules and payout logic live in lib/rewards.js,
+// per-token amount ranges and hard caps in lib/payout-tokens.js)
 const RATE_LIMIT_WINDOW = 3600000; // 1 hour in ms
 const MAX_CLAIMS_PER_HOUR = 5;
-const LOW_BALANCE_THRESHOLD = '1.0'; // Alert when below 1 CELO
-
-// ===== LUCKY TOKEN BONUSES =====
-const LUCKY_NUMBERS = [
-  77, 111, 222, 333, 444, 555, 666, 777, 888, 999,
-  1111, 2222, 3333, 4444, 5555, 6666, 7777, 8888, 9999
-];
-
-const MILESTONE_TOKENS = [
-  100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000
-];
-
-function isPalindrome(num) {
-  const str = num.toString();
-  return str.length > 1 && str === str.split('').reverse().join('');
-}
-
-function isSequential(num) {
-  const str = num.toString();
-  if (str.length < 3) return false;
-  
-  // Check ascending (123, 234, etc)
-  let isAscending = true;
-  for (let i = 1; i < str.length; i++) {
-    if (parseInt(str[i]) !== parseInt(str[i-1]) + 1) {
-      isAscending = false;
-      break;
-    }
-  }
-  
-  // Check descending (321, 543, etc)
-  let isDescending = true;
-  for (let i = 1; i < str.length; i++) {
-    if (parseInt(str[i]) !== parseInt(str[i-1]) - 1) {
-      isDescending = false;
-      break;
-    }
-  }
-  
-  return isAscending || isDescending;
-}
-
-function isRepeatingDigits(num) {
-  const str = num.toString();
-  if (str.length < 2) return false;
-  
-  const firstDigit = str[0];
-  return str.split('').every(d => d === firstDigit);
-}
-
-function calculateLuckyBonus(tokenId) {
-  let multiplier = 1;
-  let bonusReasons = [];
-  
-  // Milestone tokens get massive bonus
-  if (MILESTONE_TOKENS.includes(tokenId)) {
-    multiplier = 1.4;
-    bonusReasons.push(`🎯 MILESTONE #${tokenId}`);
-    return { multiplier, bonusReasons };
-  }
-  
-  // Lucky numbers get 3x
-  if (LUCKY_NUMBERS.includes(tokenId)) {
-    multiplier = 1.2;
-    bonusReasons.push(`🍀 Lucky Number #${tokenId}`);
-  }
-  
-  // Palindromes get 2x (e.g., 121, 1331, 45654)
-  if (isPalindrome(tokenId)) {
-    multiplier = Math.max(multiplier, 2);
-    bonusReasons.push(`🔄 Palindrome #${tokenId}`);
-  }
-  
-  // Sequential numbers get 2x (e.g., 123, 4567, 987)
-  if (isSequential(tokenId)) {
-    multiplier = Math.max(multiplier, 1.2);
-    bonusReasons.push(`🔢 Sequential #${tokenId}`);
-  }
-  
-  // All same digits get 4x (e.g., 1111, 5555)
-  if (isRepeatingDigits(tokenId)) {
-    multiplier = Math.max(multiplier, 1.5);
-    bonusReasons.push(`🎰 All ${tokenId.toString()[0]}s!`);
-  }
-  
-  return { multiplier, bonusReasons };
-}
-
-// In-memory storage (use Redis/Database in production)
-const claimHistory = new Map();
-const processedTxs = new Set();
-
-// Initialize clients
-const publicClient = createPublicClient({
-  chain: celo,
-  transport: http(process.env.CELO_RPC_URL || 'https://forno.celo.org')
-});
-
-// NFT Contract ABI (minimal for verification)
-const NFT_ABI = [
-  {
-    name: 'ownerOf',
-    type: 'function',
-    stateMutability: 'view',
-    inputs: [{ name: 'tokenId', type: 'uint256' }],
-    outputs: [{ type: 'address' }]
-  },
-  {
-    name: 'tokenTraits',
-    type: 'function',
-    stateMutability: 'view',
-    inputs: [{ name: '', type: 'uint256' }],
-    outputs: [
-      { name: 'priceSnapshot', type: 'uint128' },
-      { name: 'rarity', type: 'uint8' },
-      { name: 'mintedAt', type: 'uint40' }
-    ]
-  },
-  {
-    anonymous: false,
-    inputs: [
-      { indexed: true, name: 'owner', type: 'address' },
-      { indexed: true, name: 'tokenId', type: 'uint256' },
-      { indexed: false, name: 'rarity', type: 'uint8' },
-      { indexed: false, name: 'priceSnapshot', type: 'uint128' }
-    ],
-    name: 'Minted',
-    type: 'event'
-  }
-];
-
-// Get rarity multiplier from NFT traits
-async function getRarityMultiplier(tokenId) {
-  try {
-    const traits = await publicClient.readContract({
-      address: NFT_CONTRACT_ADDRESS,
-      abi: NFT_ABI,
-      functionName: 'tokenTraits',
-      args: [BigInt(tokenId)]
-    });
-    
-    const rarity = Number(traits[1]);
-    const rarityLabels = ['Common', 'Rare', 'Legendary', 'Mythic'];
-    const multipliers = [1, 1.1, 1.25, 2]; // Based on rarity
-    
-    return {
-      multiplier: multipliers[rarity] || 1,
-      rarity: rarityLabels[rarity] || 'Unknown'
-    };
-  } catch (error) {
-    console.error('Failed to get rarity:', error);
-    return { multiplier: 1, rarity: 'Unknown' };
-  }
-}
-
-// Generate random airdrop amount with lucky and rarity bonuses
-function getRandomAirdropAmount(tokenId) {
-  const min = parseFloat(MIN_AIRDROP_AMOUNT);
-  const max = parseFloat(MAX_AIRDROP_AMOUNT);
-  
-  // Generate base random amount
-  const random = Math.random() * (max - min) + min;
-  const baseAmount = Math.round(random * 10000) / 10000;
-  
-  // Apply lucky bonus
-  const { multiplier, bonusReasons } = calculateLuckyBonus(tokenId);
-  const amountWithLucky = baseAmount * multiplier;
-  
-  return {
-    baseAmount: baseAmount.toFixed(4),
-    amountWithLucky,
-    luckyMultiplier: multiplier,
-    bonusReasons,
-    isLucky: multiplier > 1
-  };
-}
+// No prediction, plus every round's win and loss multiplier
+const PREDICTION_OUTCOMES = [...new Set([1, ...PREDICTION_ROUNDS.flatMap(round => [round.winMultiplier, round.lossMultiplier])])];
 
 // Security: Verify user owns the NFT
 async function verifyNFTOwnership(tokenId, userAddress) {
@@ -203,189 +55,200 @@ async function verifyNFTOwnership(tokenId, userAddress) {
   }
 }
 
-// Security: Verify NFT was recently minted (within last 10 minutes)
-async function verifyRecentMint(tokenId) {
-  try {
-    const traits = await publicClient.readContract({
-      address: NFT_CONTRACT_ADDRESS,
-      abi: NFT_ABI,
-      functionName: 'tokenTraits',
-      args: [BigInt(tokenId)]
-    });
-    
-    const mintedAt = Number(traits[2]); // mintedAt timestamp
-    const now = Math.floor(Date.now() / 1000);
-    const tenMinutes = 600;
-    
-    return (now - mintedAt) <= tenMinutes;
-  } catch (error) {
-    console.error('Mint time verification failed:', error);
-    return false;
-  }
-}
-
-// Security: Rate limiting
-function checkRateLimit(address) {
-  const now = Date.now();
-  const userClaims = claimHistory.get(address) || [];
-  
-  // Remove old claims outside the time window
-  const recentClaims = userClaims.filter(
-    timestamp => now - timestamp < RATE_LIMIT_WINDOW
-  );
+// Security: Rate limiting (atomic slots in the durable claim ledger)
+async function checkRateLimit(address) {
+  const slot = await acquireClaimSlot(address, { windowMs: RATE_LIMIT_WINDOW, max: MAX_CLAIMS_PER_HOUR });
   
-  if (recentClaims.length >= MAX_CLAIMS_PER_HOUR) {
+  if (!slot.acquired) {
     return {
       allowed: false,
-      remainingTime: Math.ceil((recentClaims[0] + RATE_LIMIT_WINDOW - now) / 60000)
+      remainingTime: Math.ceil((slot.retryAt - Date.now()) / 60000)
     };
   }
   
-  return { allowed: true };
+  return { allowed: true, slotKey: slot.slotKey };
 }
 
-// Security: Prevent duplicate claims for same transaction
-function isDuplicateClaim(txHash) {
-  return processedTxs.has(txHash);
-}
+// Status codes for rewardMint rejections
+const REWARD_ERROR_STATUS = {
+  [TREASURY_ERRORS.PAUSED]: 503,
+  [TREASURY_ERRORS.ADDRESS_CAP]: 403,
+  [REWARD_ERRORS.ALREADY_CLAIMED]: 400,
+  [REWARD_ERRORS.MINT_TX_INVALID]: 400
+};
 
-// Mark transaction as processed
-function markAsProcessed(txHash, address) {
-  processedTxs.add(txHash);
-  const userClaims = claimHistory.get(address) || [];
-  userClaims.push(Date.now());
-  claimHistory.set(address, userClaims);
+// Full client view of a claim: payout status plus the bonus breakdown
+function formatClaimResponse(claim) {
+  const bonusMessages = claim.bonusMessages || [];
+  const isBonus = bonusMessages.length > 0;
+  const symbol = claim.payoutToken || 'CELO';
   
-  // Cleanup old data (keep last 24 hours only)
-  if (processedTxs.size > 10000) {
-    processedTxs.clear();
+  let message;
+  if (claim.status === CLAIM_STATUS.SENT) {
+    message = isBonus
+      ? `💎 BONUS AIRDROP! ${claim.amount} ${symbol} sent! 🎉\n${bonusMessages.join(' • ')}`
+      : `Airdrop of ${claim.amount} ${symbol} sent successfully! 🎁`;
+  } else if (claim.status === CLAIM_STATUS.FAILED) {
+    message = `Airdrop failed: ${claim.error}`;
+  } else if (claim.status === CLAIM_STATUS.HELD) {
+    message = `Airdrop of ${claim.amount} ${symbol} is being reviewed - it will be sent once approved`;
+  } else {
+    message = `Airdrop of ${claim.amount} ${symbol} is ${claim.status}...`;
   }
+  
+  return {
+    success: claim.status !== CLAIM_STATUS.FAILED,
+    ...toClaimStatus(claim),
+    message,
+    baseAmount: claim.baseAmount,
+    luckyMultiplier: claim.luckyMultiplier,
+    rarityMultiplier: claim.rarityMultiplier,
+    predictionMultiplier: claim.predictionMultiplier,
+    predictionRound: claim.predictionRound || null,
+    streakMultiplier: claim.streakMultiplier ?? 1,
+    riskMultiplier: claim.riskMultiplier ?? 1,
+    rarity: claim.rarity,
+    bonusMessages,
+    fairness: claim.fairness,
+    verifyUrl: `/api/fairness?tokenId=${claim.tokenId}`,
+    isBonus
+  };
 }
 
-// Send CELO airdrop with random amount, lucky bonuses, rarity multiplier, and prediction bonus
-async function sendAirdrop(recipientAddress, tokenId, predictionMultiplier = 1) {
-  try {
-    // Initialize wallet from private key (stored in env)
-    const privateKey = process.env.AIRDROP_WALLET_PRIVATE_KEY;
-    
-    // Validate private key configuration
-    if (!privateKey || privateKey === '0x...your_private_key_here...') {
-      throw new Error('AIRDROP_WALLET_PRIVATE_KEY not configured properly. Please set it in environment variables.');
-    }
-    
-    const account = privateKeyToAccount(privateKey);
-    
-    const walletClient = createWalletClient({
-      account,
-      chain: celo,
-      transport: http(process.env.CELO_RPC_URL || 'https://forno.celo.org')
+// One row of an address's airdrop history
+function formatHistoryEntry(claim) {
+  return {
+    ...toClaimStatus(claim),
+    source: claim.source || 'claim',
+    baseAmount: claim.baseAmount,
+    luckyMultiplier: claim.luckyMultiplier,
+    rarityMultiplier: claim.rarityMultiplier,
+    predictionMultiplier: claim.predictionMultiplier,
+    predictionRound: claim.predictionRound || null,
+    streakMultiplier: claim.streakMultiplier ?? 1,
+    rarity: claim.rarity,
+    bonusMessages: claim.bonusMessages || [],
+    paidAt: claim.paidAt || null
+  };
+}
+
+// Main handler
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Device-Id');
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  // ===== PAYOUT TOKENS (for the token picker) =====
+  if (req.method === 'GET' && req.query.payoutTokens !== undefined) {
+    return res.status(200).json({
+      defaultToken: DEFAULT_PAYOUT_TOKEN,
+      tokens: getEnabledPayoutTokens().map(symbol => {
+        const { address, decimals, minAmount, maxAmount, absoluteMax } = PAYOUT_TOKENS[symbol];
+        return { symbol, address, decimals, minAmount, maxAmount, absoluteMax };
+      })
     });
+  }
+
+  // ===== BONUS RULES (shared with the frontend achievements) =====
+  if (req.method === 'GET' && req.query.bonusRules !== undefined) {
+    return res.status(200).json({ rules: BONUS_RULES });
+  }
+
+  // ===== QUOTE (dry run, nothing is reserved or sent) =====
+  // ?quote=true&tokenId=121[&predictionMultiplier=2 | &predictionId=..&address=0x..][&payoutToken=cUSD]
+  if (req.method === 'GET' && req.query.quote !== undefined) {
+    const { tokenId, predictionId, address } = req.query;
     
-    // Get lucky bonus
-    const luckyBonus = getRandomAirdropAmount(tokenId);
-    
-    // Get rarity bonus
-    const rarityBonus = await getRarityMultiplier(tokenId);
-    
-    // Calculate final amount with all bonuses (lucky, rarity, prediction)
-    const baseWithLucky = luckyBonus.amountWithLucky;
-    let finalAmount = baseWithLucky * rarityBonus.multiplier * predictionMultiplier;
-    
-    // HARD CAP: Ensure no one gets more than ABSOLUTE_MAX_AIRDROP
-    const absoluteMax = parseFloat(ABSOLUTE_MAX_AIRDROP);
-    if (finalAmount > absoluteMax) {
-      console.log(`⚠️ Capping airdrop from ${finalAmount.toFixed(4)} to ${absoluteMax} CELO`);
-      finalAmount = absoluteMax;
+    if (!tokenId || !/^\d+$/.test(tokenId)) {
+      return res.status(400).json({ error: 'Missing or invalid tokenId' });
     }
     
-    const finalAmountString = finalAmount.toFixed(4);
-    const airdropAmount = parseEther(finalAmountString);
-    
-    // Build bonus message
-    const bonusMessages = [];
-    if (luckyBonus.isLucky) {
-      bonusMessages.push(...luckyBonus.bonusReasons);
-      bonusMessages.push(`${luckyBonus.luckyMultiplier}x Lucky Bonus`);
-    }
-    if (rarityBonus.multiplier > 1) {
-      bonusMessages.push(`${rarityBonus.rarity} (${rarityBonus.multiplier}x Rarity)`);
-    }
-    if (predictionMultiplier === 2) {
-      bonusMessages.push('🎯 Correct Prediction (2x Bonus)');
-    } else if (predictionMultiplier === 0.5) {
-      bonusMessages.push('🎲 Consolation Prize (0.5x)');
+    const payoutToken = resolvePayoutToken(req.query.payoutToken);
+    if (!payoutToken) {
+      return res.status(400).json({
+        error: `Unsupported payout token: ${req.query.payoutToken}`,
+        supportedTokens: getEnabledPayoutTokens()
+      });
     }
     
-    console.log(`🎲 Airdrop calculation for Token #${tokenId}:
-      Base Random: ${luckyBonus.baseAmount} CELO
-      Lucky Bonus: ${luckyBonus.luckyMultiplier}x → ${luckyBonus.amountWithLucky.toFixed(4)} CELO
-      Rarity: ${rarityBonus.rarity} (${rarityBonus.multiplier}x)
-      Prediction: ${predictionMultiplier}x
-      Before Cap: ${(baseWithLucky * rarityBonus.multiplier * predictionMultiplier).toFixed(4)} CELO
-      Final Amount: ${finalAmountString} CELO (Max: ${ABSOLUTE_MAX_AIRDROP})
-      Bonuses: ${bonusMessages.join(', ') || 'None'}
-    `);
-    
-    // Check wallet balance
-    const balance = await publicClient.getBalance({
-      address: account.address
-    });
-    
-    const lowBalanceThreshold = parseEther(LOW_BALANCE_THRESHOLD);
-    
-    // ⭐ LOW BALANCE ALERT
-    if (balance < lowBalanceThreshold) {
-      const balanceInCelo = Number(balance) / 1e18;
-      console.error(`
-⚠️⚠️⚠️ CRITICAL: AIRDROP WALLET LOW BALANCE ⚠️⚠️⚠️
-Current Balance: ${balanceInCelo.toFixed(4)} CELO
-Threshold: ${LOW_BALANCE_THRESHOLD} CELO
-Wallet Address: ${account.address}
-⚠️⚠️⚠️ PLEASE REFILL IMMEDIATELY ⚠️⚠️⚠️
-      `);
+    let predictionMultiplier = 1;
+    let streakTier = null;
+    if (predictionId) {
+      if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        return res.status(400).json({ error: 'address is required with predictionId' });
+      }
+      ({ multiplier: predictionMultiplier, streakTier } = await getPredictionMultiplier(address, predictionId));
+    } else if (req.query.predictionMultiplier !== undefined) {
+      predictionMultiplier = Number(req.query.predictionMultiplier);
+      if (!PREDICTION_OUTCOMES.includes(predictionMultiplier)) {
+        return res.status(400).json({
+          error: 'predictionMultiplier must be one of ' + PREDICTION_OUTCOMES.join(', ')
+        });
+      }
     }
     
-    if (balance < airdropAmount) {
-      throw new Error('Insufficient airdrop wallet balance');
+    try {
+      const quote = await quoteAirdrop(Number(tokenId), predictionMultiplier, payoutToken, streakTier);
+      return res.status(200).json({ quote: true, ...quote });
+    } catch (error) {
+      console.error('Airdrop quote error:', error);
+      return res.status(500).json({ error: 'Failed to quote airdrop', message: error.message });
+    }
+  }
+  
+  // ===== CLAIM HISTORY (earnings panel) =====
+  if (req.method === 'GET' && req.query.address) {
+    const { address } = req.query;
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({ error: 'Invalid address format' });
     }
     
-    // Send transaction
-    const hash = await walletClient.sendTransaction({
-      to: recipientAddress,
-      value: airdropAmount,
-      gas: 21000n
-    });
-    
-    // Wait for confirmation
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
-    
-    return {
-      success: receipt.status === 'success',
-      txHash: hash,
-      amount: finalAmountString,
-      baseAmount: luckyBonus.baseAmount,
-      luckyMultiplier: luckyBonus.luckyMultiplier,
-      rarityMultiplier: rarityBonus.multiplier,
-      predictionMultiplier,
-      rarity: rarityBonus.rarity,
-      bonusMessages,
-      walletBalance: Number(balance) / 1e18
-    };
-  } catch (error) {
-    console.error('Airdrop send failed:', error);
-    throw error;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+    
+    try {
+      const history = await getClaimHistory(address, { page, limit });
+      const summary = await getEarningsSummary(address);
+      
+      return res.status(200).json({
+        address: address.toLowerCase(),
+        summary,
+        claims: history.claims.map(formatHistoryEntry),
+        page: history.page,
+        limit: history.limit,
+        total: history.total,
+        hasMore: history.hasMore
+      });
+    } catch (error) {
+      console.error('Claim history error:', error);
+      return res.status(500).json({ error: 'Failed to load claim history', message: error.message });
+    }
   }
-}
-
-// Main handler
-export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
   
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+  // ===== CLAIM STATUS (polled by the client) =====
+  if (req.method === 'GET' && req.query.claimId) {
+    try {
+      const existing = await getClaim(req.query.claimId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Claim not found' });
+      }
+      
+      // Polling drives the queue forward between cron runs
+      if ([CLAIM_STATUS.QUEUED, CLAIM_STATUS.SUBMITTING, CLAIM_STATUS.SUBMITTED].includes(existing.status)) {
+        await tickPayoutQueue();
+      }
+      
+      const claim = await getClaim(req.query.claimId);
+      return res.status(200).json(formatClaimResponse(claim));
+    } catch (error) {
+      console.error('Claim status error:', error);
+      return res.status(500).json({ error: 'Failed to load claim', message: error.message });
+    }
   }
   
   if (req.method !== 'POST') {
@@ -393,7 +256,11 @@ export default async function handler(req, res) {
   }
   
   try {
-    const { tokenId, userAddress, mintTxHash, predictionMultiplier } = req.body;
+    const { tokenId, userAddress, mintTxHash, predictionId, payoutToken: preferredToken, ref } = req.body;
+    
+    if (req.body.predictionMultiplier !== undefined) {
+      console.warn('⚠️ Ignoring client-supplied predictionMultiplier:', req.body.predictionMultiplier);
+    }
     
     // Validation
     if (!tokenId || !userAddress || !mintTxHash) {
@@ -407,15 +274,41 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Invalid address format' });
     }
     
-    // Check for duplicate claim
-    if (isDuplicateClaim(mintTxHash)) {
+    // Payout token: user preference if enabled, otherwise the configured default
+    const payoutToken = resolvePayoutToken(preferredToken);
+    if (!payoutToken) {
+      return res.status(400).json({
+        error: `Unsupported payout token: ${preferredToken}`,
+        supportedTokens: getEnabledPayoutTokens()
+      });
+    }
+    
+    // Caller must have signed in as userAddress
+    if (!await requireSession(req, res, userAddress)) return;
+    
+    const riskContext = getRiskContext(req);
+    
+    // Already rewarded? The mint webhook may have queued it before this request
+    const existing = await findClaim({ mintTxHash, tokenId });
+    if (existing) {
+      if (isSameMint(existing, tokenId, mintTxHash) && existing.userAddress === userAddress.toLowerCase()) {
+        // The ledger verified this mint for the signed-in wallet, so its referral can count
+        const referral = await handleClaimReferral({ referee: userAddress, ref, mintTxHash, tokenId, riskContext });
+        return res.status(200).json({
+          ...formatClaimResponse(existing),
+          duplicate: true,
+          referral,
+          statusUrl: `/api/airdrop?claimId=${existing.claimId}`
+        });
+      }
+      
       return res.status(400).json({
         error: 'Airdrop already claimed for this transaction'
       });
     }
     
     // Rate limiting
-    const rateLimitCheck = checkRateLimit(userAddress);
+    const rateLimitCheck = await checkRateLimit(userAddress);
     if (!rateLimitCheck.allowed) {
       return res.status(429).json({
         error: `Rate limit exceeded. Try again in ${rateLimitCheck.remainingTime} minutes`,
@@ -423,68 +316,76 @@ export default async function handler(req, res) {
       });
     }
     
-    // Verify NFT ownership
-    const ownsNFT = await verifyNFTOwnership(tokenId, userAddress);
-    if (!ownsNFT) {
-      return res.status(403).json({
-        error: 'NFT ownership verification failed'
+    // The slot counts against the limit only if this request reserves a claim;
+    // the claim keeps it until it fails (see failClaim)
+    let reward;
+    try {
+      // Verify NFT ownership
+      const ownsNFT = await verifyNFTOwnership(tokenId, userAddress);
+      if (!ownsNFT) {
+        await releaseClaimSlot(rateLimitCheck.slotKey);
+        return res.status(403).json({
+          error: 'NFT ownership verification failed'
+        });
+      }
+      
+      // Treasury checks, mint verification, reservation, risk scoring, bonuses and queueing
+      reward = await rewardMint({
+        tokenId,
+        recipient: userAddress,
+        mintTxHash,
+        predictionId,
+        payoutToken,
+        source: 'claim',
+        riskContext,
+        rateSlot: rateLimitCheck.slotKey
       });
+    } catch (error) {
+      await releaseClaimSlot(rateLimitCheck.slotKey);
+      throw error;
     }
     
-    // Verify recent mint (prevents claiming for old NFTs)
-    const isRecentMint = await verifyRecentMint(tokenId);
-    if (!isRecentMint) {
-      return res.status(403).json({
-        error: 'Airdrop only available for recent mints (within 10 minutes)'
-      });
+    if (!reward.queued && !reward.held) {
+      await releaseClaimSlot(rateLimitCheck.slotKey);
     }
     
-    // Verify the mint transaction exists and is successful
-    const mintReceipt = await publicClient.getTransactionReceipt({
-      hash: mintTxHash
-    });
+    // Referral link (?ref=) - recorded for first mints once ownership and the
+    // mint are verified, converted now that the airdrop is queued
+    const referral = reward.queued || reward.held
+      ? await handleClaimReferral({ referee: userAddress, ref, mintTxHash, tokenId, riskContext })
+      : null;
     
-    if (!mintReceipt || mintReceipt.status !== 'success') {
+    if (reward.duplicate) {
       return res.status(400).json({
-        error: 'Invalid or failed mint transaction'
+        error: 'Airdrop already claimed for this transaction',
+        claimId: reward.claim.claimId
+      });
+    }
+    
+    if (reward.held) {
+      return res.status(202).json({
+        ...formatClaimResponse(reward.claim),
+        referral,
+        statusUrl: `/api/airdrop?claimId=${reward.claim.claimId}`
       });
     }
     
-    // Send airdrop with random amount, lucky bonuses, rarity multiplier, and prediction bonus
-    const result = await sendAirdrop(userAddress, tokenId, predictionMultiplier || 1);
+    if (!reward.queued) {
+      return res.status(REWARD_ERROR_STATUS[reward.code] || 403).json({
+        error: reward.error,
+        code: reward.code
+      });
+    }
     
-    // Mark as processed
-    markAsProcessed(mintTxHash, userAddress);
+    // Try to broadcast right away; confirmation is picked up by later ticks
+    await tickPayoutQueue();
     
-    // Log success with balance info
-    console.log(`✅ Airdrop sent successfully:
-      Token ID: ${tokenId}
-      Recipient: ${userAddress}
-      Base Amount: ${result.baseAmount} CELO
-      Lucky Multiplier: ${result.luckyMultiplier}x
-      Rarity Multiplier: ${result.rarityMultiplier}x (${result.rarity})
-      Prediction Multiplier: ${result.predictionMultiplier}x
-      Final Amount: ${result.amount} CELO
-      Bonuses: ${result.bonusMessages.join(', ') || 'None'}
-      Tx Hash: ${result.txHash}
-      Wallet Balance Remaining: ${result.walletBalance.toFixed(4)} CELO
-    `);
+    const queued = await getClaim(reward.claim.claimId);
     
-    return res.status(200).json({
-      success: true,
-      message: result.bonusMessages.length > 0 
-        ? `💎 BONUS AIRDROP! ${result.amount} CELO sent! 🎉\n${result.bonusMessages.join(' • ')}`
-        : `Airdrop of ${result.amount} CELO sent successfully! 🎁`,
-      amount: result.amount,
-      baseAmount: result.baseAmount,
-      luckyMultiplier: result.luckyMultiplier,
-      rarityMultiplier: result.rarityMultiplier,
-      predictionMultiplier: result.predictionMultiplier,
-      rarity: result.rarity,
-      bonusMessages: result.bonusMessages,
-      txHash: result.txHash,
-      explorerUrl: `https://celoscan.io/tx/${result.txHash}`,
-      isBonus: result.bonusMessages.length > 0
+    return res.status(202).json({
+      ...formatClaimResponse(queued),
+      referral,
+      statusUrl: `/api/airdrop?claimId=${queued.claimId}`
     });
     
   } catch (error) {
@@ -497,18 +398,3 @@ export default async function handler(req, res) {
   }
 }
 
-// Cleanup function (run periodically)
-export function cleanup() {
-  const now = Date.now();
-  const oneDayAgo = now - 86400000;
-  
-  // Clean old claim history
-  for (const [address, claims] of claimHistory.entries()) {
-    const recentClaims = claims.filter(timestamp => timestamp > oneDayAgo);
-    if (recentClaims.length === 0) {
-      claimHistory.delete(address);
-    } else {
-      claimHistory.set(address, recentClaims);
-    }
-  }
-}
@@ -0,0 +1,58 @@
+// api/auth.js - Wallet sign-in for airdrop and prediction requests
+// GET    ?address=0x...                  -> { nonce, message, domain, chainId, expiresAt }
+// POST   { address, nonce, signature }   -> { token, address, expiresAt }
+// DELETE (Authorization: Bearer <token>) -> sign out
+
+export const runtime = 'nodejs';
+
+import { createNonce, verifySignIn, revokeSession, getBearerToken } from '../lib/auth.js';
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { address } = req.query;
+      if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        return res.status(400).json({ error: 'Invalid address format' });
+      }
+
+      return res.json(await createNonce(address));
+    }
+
+    if (req.method === 'POST') {
+      const { address, nonce, signature } = req.body || {};
+      if (!address || !nonce || !signature) {
+        return res.status(400).json({ error: 'Missing required fields: address, nonce, signature' });
+      }
+
+      try {
+        return res.json(await verifySignIn({ address, nonce, signature, origin: req.headers.origin || null }));
+      } catch (error) {
+        console.warn(`⚠️ Sign-in failed for ${address}:`, error.message);
+        return res.status(401).json({ error: error.message, code: 'AUTH_FAILED' });
+      }
+    }
+
+    if (req.method === 'DELETE') {
+      const token = getBearerToken(req);
+      if (token) await revokeSession(token);
+      return res.json({ success: true });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('💥 Auth error:', error);
+    return res.status(500).json({
+      error: 'Authentication failed',
+      message: error.message
+    });
+  }
+}
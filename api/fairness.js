@@ -0,0 +1,115 @@
+// api/fairness.js - Provably fair airdrop verification
+// Publishes seed commitments, reveals past seeds and recomputes claim rolls
+
+export const runtime = 'nodejs';
+
+import {
+  ALGORITHM,
+  EPOCH_LENGTH,
+  FINAL_AMOUNT_FORMULA,
+  getEpoch,
+  getCommitment,
+  getServerSeed,
+  isEpochRevealed,
+  verifyRoll
+} from '../lib/fairness.js';
+import { findClaim } from '../lib/claim-ledger.js';
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { tokenId, epoch } = req.query;
+
+    // ===== VERIFY A CLAIM BY TOKEN =====
+    if (tokenId !== undefined) {
+      if (!/^\d+$/.test(String(tokenId))) {
+        return res.status(400).json({ error: 'Invalid tokenId' });
+      }
+
+      const claim = await findClaim({ tokenId: String(tokenId) });
+
+      if (!claim || !claim.fairness) {
+        return res.status(404).json({ error: `No provably fair claim found for token #${tokenId}` });
+      }
+
+      const { fairness } = claim;
+      const verification = await verifyRoll({ ...fairness, baseAmount: claim.baseAmount, finalAmount: claim.amount });
+
+      return res.json({
+        tokenId: claim.tokenId,
+        algorithm: ALGORITHM,
+        inputs: {
+          mintTxHash: fairness.mintTxHash,
+          blockHash: fairness.blockHash,
+          minAmount: fairness.minAmount,
+          maxAmount: fairness.maxAmount
+        },
+        // Final amount inputs: base amount × multipliers, capped at hardCap
+        formula: FINAL_AMOUNT_FORMULA,
+        multipliers: fairness.multipliers,
+        bonusRules: fairness.bonusRules,
+        rarity: claim.rarity,
+        predictionRound: claim.predictionRound,
+        streakTier: claim.streakTier,
+        hardCap: fairness.hardCap,
+        token: claim.payoutToken || 'CELO',
+        baseAmount: claim.baseAmount,
+        finalAmount: claim.amount,
+        payoutTxHash: claim.payoutTxHash,
+        ...verification,
+        revealsAt: verification.revealed ? undefined : (fairness.epoch + 1) * EPOCH_LENGTH
+      });
+    }
+
+    // ===== COMMITMENT / REVEAL FOR AN EPOCH =====
+    if (epoch !== undefined) {
+      const epochNum = Number(epoch);
+      if (!Number.isInteger(epochNum) || epochNum < 0 || epochNum > getEpoch() + 1) {
+        return res.status(400).json({ error: 'Invalid epoch' });
+      }
+
+      const revealed = isEpochRevealed(epochNum);
+
+      return res.json({
+        epoch: epochNum,
+        startsAt: epochNum * EPOCH_LENGTH,
+        endsAt: (epochNum + 1) * EPOCH_LENGTH,
+        commitment: await getCommitment(epochNum),
+        revealed,
+        serverSeed: revealed ? getServerSeed(epochNum) : null
+      });
+    }
+
+    // ===== CURRENT COMMITMENTS =====
+    const currentEpoch = getEpoch();
+
+    return res.json({
+      algorithm: ALGORITHM,
+      epochLength: EPOCH_LENGTH,
+      currentEpoch,
+      commitment: await getCommitment(currentEpoch),
+      nextEpoch: currentEpoch + 1,
+      nextCommitment: await getCommitment(currentEpoch + 1),
+      previousEpoch: currentEpoch - 1,
+      previousSeed: getServerSeed(currentEpoch - 1)
+    });
+  } catch (error) {
+    console.error('Fairness API error:', error);
+    return res.status(500).json({
+      error: 'Fairness verification failed',
+      message: error.message
+    });
+  }
+}
@@ -3,6 +3,8 @@
 
 export const runtime = 'nodejs';
 
+import { sendMiniAppNotificationsToFids } from '../lib/neynar.js';
+
 // ===== KV STORAGE INITIALIZATION =====
 let kv = null;
 let useKV = false;
@@ -199,71 +201,6 @@ function pickRandomMessage() {
   return NOTIFICATION_MESSAGES[idx];
 }
 
-// ===== NEYNAR API SENDER =====
-async function sendMiniAppNotificationsToFids(targetFids, message, uuid) {
-  const apiKey = process.env.NEYNAR_API_KEY;
-  const miniAppUrl = process.env.MINIAPP_URL || 'https://celo-nft-phi.vercel.app/';
-
-  if (!apiKey) {
-    throw new Error('NEYNAR_API_KEY is not configured');
-  }
-
-  if (!Array.isArray(targetFids) || targetFids.length === 0) {
-    throw new Error('targetFids must be a non-empty array');
-  }
-
-  if (targetFids.length > 100) {
-    throw new Error('targetFids length must be <= 100');
-  }
-
-  const notificationUuid = uuid || `celo-nft-${Date.now()}-${Math.random().toString(16).slice(2)}`;
-
-  const payload = {
-    target_fids: targetFids,
-    notification: {
-      title: message.title,
-      body: message.body,
-      target_url: miniAppUrl,
-      uuid: notificationUuid
-    }
-  };
-
-  console.log(`📤 Sending notification to ${targetFids.length} users`);
-
-  const response = await fetch(
-    'https://api.neynar.com/v2/farcaster/frame/notifications/',
-    {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey
-      },
-      body: JSON.stringify(payload)
-    }
-  );
-
-  const responseText = await response.text();
-  console.log(`📥 Neynar response (${response.status}):`, responseText);
-
-  if (!response.ok) {
-    throw new Error(`Neynar API error: ${response.status} - ${responseText}`);
-  }
-
-  const data = JSON.parse(responseText);
-
-  const deliveries = Array.isArray(data.notification_deliveries)
-    ? data.notification_deliveries
-    : [];
-
-  const successfulFids = deliveries
-    .filter(d => d.status === 'success')
-    .map(d => d.fid);
-
-  console.log(`✅ Successfully sent to ${successfulFids.length} users`);
-
-  return { successfulFids, deliveries };
-}
-
 // ===== MAIN API HANDLER =====
 export default async function handler(req, res) {
   console.log(`📨 Notification API: ${req.method} ${req.url}`);
@@ -0,0 +1,45 @@
+// api/payout-worker.js - Cron entry point for the airdrop payout queue
+// Submits queued payouts, confirms submitted ones and bumps fees on stuck txs,
+// then refills low pool wallets from the treasury wallet (if configured)
+
+export const runtime = 'nodejs';
+
+import { isCronRequest } from '../lib/admin.js';
+import { processPayoutQueue } from '../lib/payout-queue.js';
+import { topUpWallets } from '../lib/wallet-pool.js';
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-cron-secret');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Authorization: Vercel cron or manual trigger, both with CRON_SECRET
+  if (!isCronRequest(req)) {
+    console.error('❌ Unauthorized payout worker request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await processPayoutQueue({ maxItems: 25 });
+    const topUp = await topUpWallets();
+
+    console.log('💸 Payout worker tick complete:', result);
+    return res.json({
+      success: true,
+      ...result,
+      toppedUp: topUp.toppedUp,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Payout worker error:', error);
+    return res.status(500).json({
+      error: 'Payout worker failed',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,76 @@
+// api/poll-mints.js - Cron entry point for the mint poller (see lib/mint-poller.js)
+// GET  (cron)  -> scan new confirmed blocks from the KV cursor and queue airdrops
+// POST (admin) -> { action: 'backfill', fromBlock, toBlock } replays a block range
+
+export const runtime = 'nodejs';
+
+import { isAdminRequest, isCronRequest } from '../lib/admin.js';
+import { pollMints, backfillMints } from '../lib/mint-poller.js';
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-cron-secret, x-admin-secret');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // ===== ADMIN BACKFILL =====
+  if (req.method === 'POST') {
+    if (!isAdminRequest(req)) {
+      console.error('❌ Unauthorized mint backfill request');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { action, fromBlock, toBlock } = req.body || {};
+    if (action !== 'backfill') {
+      return res.status(400).json({ error: 'Invalid action. Use "backfill"' });
+    }
+    if (!/^\d+$/.test(String(fromBlock)) || !/^\d+$/.test(String(toBlock))) {
+      return res.status(400).json({ error: 'fromBlock and toBlock must be block numbers' });
+    }
+
+    try {
+      const result = await backfillMints({ fromBlock, toBlock });
+      if (!result.accepted) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('💥 Mint backfill error:', error);
+      return res.status(500).json({
+        error: 'Mint backfill failed',
+        message: error.message
+      });
+    }
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Authorization: Vercel cron or manual trigger, both with CRON_SECRET
+  if (!isCronRequest(req)) {
+    console.error('❌ Unauthorized mint poll request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await pollMints();
+
+    return res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Mint poll error:', error);
+    return res.status(500).json({
+      error: 'Mint poll failed',
+      message: error.message
+    });
+  }
+}
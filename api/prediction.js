@@ -4,166 +4,112 @@
 export const runtime = 'nodejs';
 
 import { randomBytes } from 'crypto';
+import { storage, memoryStore, isUsingKV } from '../lib/storage.js';
+import {
+  PREDICTION_ERRORS,
+  PREDICTION_ROUNDS,
+  getRoundType,
+  predictionKey,
+  getPredictionStats,
+  saveOpenPrediction,
+  reserveActivePrediction,
+  releaseActivePrediction,
+  isPredictionResolvable,
+  consumePredictionVerification,
+  resolvePrediction,
+  getResolvedPrediction,
+  getPredictionOutcome,
+  getStreakTier
+} from '../lib/predictions.js';
+import { requireSession } from '../lib/auth.js';
+import { getCeloPrice } from '../lib/price.js';
+import { getRoundExpiry } from '../lib/prediction-rounds.js';
 
-// ===== KV STORAGE INITIALIZATION =====
-let kv = null;
-let useKV = false;
-
-// Try to load Vercel KV
-async function initializeKV() {
-  if (kv !== null) return useKV; // Already initialized
-  
-  try {
-    // Dynamic import to avoid issues
-    const vercelKV = await import('@vercel/kv');
-    kv = vercelKV.kv;
-    
-    // Test KV connection
-    await kv.ping();
-    
-    useKV = true;
-    console.log('✅ Vercel KV initialized successfully');
-    return true;
-  } catch (e) {
-    console.warn('⚠️ Vercel KV not available:', e.message);
-    console.log('📝 Using in-memory storage fallback');
-    useKV = false;
-    return false;
-  }
+function generateId() {
+  return randomBytes(8).toString('hex');
 }
 
-// In-memory fallback storage
-const memoryStore = new Map();
-
-// ===== STORAGE WRAPPER WITH AUTOMATIC FALLBACK =====
-class Storage {
-  constructor() {
-    this.initialized = false;
-  }
-
-  async init() {
-    if (!this.initialized) {
-      await initializeKV();
-      this.initialized = true;
-    }
-  }
-
-  async set(key, value, ttl = null) {
-    await this.init();
-    
-    const data = JSON.stringify(value);
-    console.log(`📝 SET ${key}:`, value);
-    
-    // Try KV first
-    if (useKV && kv) {
-      try {
-        if (ttl) {
-          await kv.set(key, data, { ex: ttl });
-        } else {
-          await kv.set(key, data);
-        }
-        console.log(`✅ KV SET success: ${key}`);
-      } catch (e) {
-        console.error(`❌ KV SET failed for ${key}:`, e.message);
-        // Don't throw, fall through to memory
-      }
-    }
-    
-    // Always save to memory as backup
-    const expires = ttl ? Date.now() + (ttl * 1000) : null;
-    memoryStore.set(key, { value, expires });
-    console.log(`✅ Memory SET success: ${key}`);
-    
-    return true;
-  }
+function sendPriceUnavailable(res, error) {
+  console.error('❌ Price lookup failed:', error.message);
+  return res.status(503).json({
+    error: 'CELO price is unavailable right now. Please try again.',
+    code: 'PRICE_UNAVAILABLE'
+  });
+}
 
-  async get(key) {
-    await this.init();
-    
-    console.log(`🔍 GET ${key}`);
-    
-    // Try KV first
-    if (useKV && kv) {
-      try {
-        const raw = await kv.get(key);
-        if (raw !== null) {
-          const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
-          console.log(`✅ KV GET success: ${key}`, parsed);
-          return parsed;
-        }
-        console.log(`⚠️ KV GET returned null: ${key}`);
-      } catch (e) {
-        console.error(`❌ KV GET failed for ${key}:`, e.message);
-        // Fall through to memory
-      }
-    }
-    
-    // Fallback to memory
-    const item = memoryStore.get(key);
-    if (item) {
-      // Check expiration
-      if (item.expires && Date.now() >= item.expires) {
-        console.log(`⏰ Memory key expired: ${key}`);
-        memoryStore.delete(key);
-        return null;
-      }
-      console.log(`✅ Memory GET success: ${key}`, item.value);
-      return item.value;
-    }
-    
-    console.log(`❌ Key not found: ${key}`);
+// Fresh server-side CELO price for the start of a round, or null after
+// sending a 503. Never the cached one: a price up to PRICE_CACHE_SECONDS old
+// would let players open a round already knowing the move.
+async function fetchPriceOr503(res) {
+  try {
+    return await getCeloPrice({ notBefore: Date.now() });
+  } catch (error) {
+    sendPriceUnavailable(res, error);
     return null;
   }
-
-  async delete(key) {
-    await this.init();
-    
-    console.log(`🗑️ DELETE ${key}`);
-    
-    // Try KV first
-    if (useKV && kv) {
-      try {
-        await kv.del(key);
-        console.log(`✅ KV DELETE success: ${key}`);
-      } catch (e) {
-        console.error(`❌ KV DELETE failed for ${key}:`, e.message);
-      }
-    }
-    
-    // Always delete from memory
-    memoryStore.delete(key);
-    console.log(`✅ Memory DELETE success: ${key}`);
-    
-    return true;
-  }
-
-  async has(key) {
-    await this.init();
-    
-    // Check KV first
-    if (useKV && kv) {
-      try {
-        const exists = await kv.exists(key);
-        if (exists) return true;
-      } catch (e) {
-        console.error(`❌ KV EXISTS failed for ${key}:`, e.message);
-      }
-    }
-    
-    // Check memory
-    return memoryStore.has(key);
-  }
 }
 
-// Create singleton instance
-const storage = new Storage();
+function getWinRate(stats) {
+  return stats.totalPredictions > 0
+    ? ((stats.correctPredictions / stats.totalPredictions) * 100).toFixed(1)
+    : '0.0';
+}
 
-// ===== CONSTANTS =====
-const STATS_TTL = 2592000; // 30 days
-const PREDICTION_TTL = 600; // 10 minutes
+// Response body for a resolved prediction (verify + outcome reads)
+async function formatResult(result) {
+  const stats = await getPredictionStats(result.userAddress);
+  const formattedStats = {
+    totalPredictions: stats.totalPredictions,
+    correctPredictions: stats.correctPredictions,
+    currentStreak: stats.currentStreak,
+    bestStreak: stats.bestStreak,
+    winRate: getWinRate(stats),
+  };
+
+  // No price at the round's end: neither won nor lost, the airdrop pays 1x
+  if (result.void) {
+    return {
+      success: true,
+      status: 'resolved',
+      void: true,
+      code: result.code,
+      error: 'No CELO price was recorded at the end of this round, so it counts as neither won nor lost',
+      correct: null,
+      multiplier: 1,
+      roundType: result.roundType,
+      roundLabel: result.roundLabel,
+      predictionId: result.predictionId,
+      prediction: result.prediction,
+      startPrice: result.startPrice,
+      expiresAt: result.expiresAt,
+      resolvedAt: result.resolvedAt,
+      stats: formattedStats,
+      storage: isUsingKV() ? 'kv' : 'memory'
+    };
+  }
 
-function generateId() {
-  return randomBytes(8).toString('hex');
+  const priceChange = result.endPrice - result.startPrice;
+
+  return {
+    success: true,
+    status: 'resolved',
+    correct: result.correct,
+    multiplier: result.multiplier,
+    roundType: result.roundType || '1m',
+    roundLabel: result.roundLabel || '1 Minute',
+    streakTier: result.correct ? getStreakTier(result.streak) : null,
+    predictionId: result.predictionId,
+    prediction: result.prediction,
+    startPrice: result.startPrice,
+    endPrice: result.endPrice,
+    endPriceAt: result.endPriceAt,
+    expiresAt: result.expiresAt,
+    priceChange: priceChange.toFixed(6),
+    priceChangePercent: ((priceChange / result.startPrice) * 100).toFixed(2),
+    resolvedAt: result.resolvedAt,
+    stats: formattedStats,
+    storage: isUsingKV() ? 'kv' : 'memory'
+  };
 }
 
 // ===== API HANDLER =====
@@ -171,7 +117,7 @@ export default async function handler(req, res) {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST,GET,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -185,62 +131,117 @@ export default async function handler(req, res) {
     if (req.method === 'GET' && req.query.health === 'true') {
       return res.json({
         status: 'ok',
-        storage: useKV ? 'kv' : 'memory',
+        storage: isUsingKV() ? 'kv' : 'memory',
         timestamp: Date.now()
       });
     }
 
+    // ===== ROUND TYPES (shared with the frontend round selector) =====
+    if (req.method === 'GET' && req.query.rounds !== undefined) {
+      return res.json({ rounds: PREDICTION_ROUNDS });
+    }
+
     // ===== MAKE PREDICTION =====
+    // Only the UP/DOWN choice and the round type come from the client; the
+    // start price, timestamp and multipliers are the server's
     if (req.method === 'POST' && req.body.action === 'predict') {
-      const { userAddress, currentPrice, prediction, timestamp } = req.body;
+      const { userAddress, prediction, roundType } = req.body;
       
-      console.log('📊 PREDICT REQUEST:', { userAddress, currentPrice, prediction, timestamp });
+      console.log('📊 PREDICT REQUEST:', { userAddress, prediction, roundType });
       
       // Validation
-      if (!userAddress || !currentPrice || !prediction || !timestamp) {
+      if (!userAddress || !prediction) {
         console.error('❌ Missing required fields');
         return res.status(400).json({ 
-          error: 'Missing fields: userAddress, currentPrice, prediction, timestamp' 
+          error: 'Missing fields: userAddress, prediction' 
         });
       }
 
+      const direction = String(prediction).toLowerCase();
+      if (direction !== 'up' && direction !== 'down') {
+        return res.status(400).json({
+          error: 'prediction must be "up" or "down"',
+          code: PREDICTION_ERRORS.INVALID
+        });
+      }
+
+      const round = getRoundType(roundType);
+      if (!round) {
+        return res.status(400).json({
+          error: `Unknown round type: ${roundType}`,
+          code: PREDICTION_ERRORS.INVALID,
+          roundTypes: PREDICTION_ROUNDS.map(r => r.id)
+        });
+      }
+
+      // Caller must have signed in as userAddress
+      if (!await requireSession(req, res, userAddress)) return;
+
       const addr = userAddress.toLowerCase();
       const predictionId = generateId();
-      const ts = parseInt(timestamp);
+
+      // One open prediction per address
+      const slot = await reserveActivePrediction(addr, predictionId, round);
+      if (!slot.reserved) {
+        console.warn(`🚫 ${addr} already has an open prediction`, slot.active);
+        return res.status(409).json({
+          error: 'You already have a prediction running. Wait for it to resolve first.',
+          code: PREDICTION_ERRORS.ALREADY_ACTIVE,
+          activePredictionId: slot.active?.predictionId || null,
+          expiresAt: slot.active?.expiresAt || null,
+          retryAfterMs: slot.active ? Math.max(0, slot.active.expiresAt - Date.now()) : 1000
+        });
+      }
+
+      const quote = await fetchPriceOr503(res);
+      if (!quote) {
+        await releaseActivePrediction(addr, predictionId);
+        return;
+      }
+
+      const ts = Date.now();
       
       // Create prediction data
       const data = {
         userAddress: addr,
-        currentPrice: parseFloat(currentPrice),
-        prediction: prediction.toLowerCase(),
+        currentPrice: quote.price,
+        priceSources: quote.sources,
+        prediction: direction,
         timestamp: ts,
         predictionId,
-        expiresAt: ts + 60000,
+        roundType: round.id,
+        roundLabel: round.label,
+        winMultiplier: round.winMultiplier,
+        lossMultiplier: round.lossMultiplier,
+        expiresAt: getRoundExpiry(round, ts),
         createdAt: Date.now()
       };
 
       console.log('💾 Storing prediction:', data);
 
-      // Store with BOTH keys for backward compatibility
-      const timestampKey = `pred_${addr}_${ts}`;
-      const idKey = `pred_${addr}_${predictionId}`;
-
       try {
-        await storage.set(timestampKey, data, PREDICTION_TTL);
-        await storage.set(idKey, data, PREDICTION_TTL);
+        // Stored under both ID and timestamp keys for backward compatibility,
+        // and queued for the server-side resolution at expiresAt
+        await saveOpenPrediction(data);
         
-        console.log(`✅ Prediction stored with keys: ${timestampKey}, ${idKey}`);
+        console.log(`✅ ${round.label} prediction ${predictionId} stored, resolves at ${new Date(data.expiresAt).toISOString()}`);
 
         return res.json({
           success: true,
           predictionId,
           timestamp: ts,
           expiresAt: data.expiresAt,
+          startPrice: data.currentPrice,
+          roundType: round.id,
+          roundLabel: round.label,
+          winMultiplier: round.winMultiplier,
+          lossMultiplier: round.lossMultiplier,
           message: 'Prediction stored successfully',
-          storage: useKV ? 'kv' : 'memory'
+          storage: isUsingKV() ? 'kv' : 'memory'
         });
       } catch (error) {
         console.error('❌ Storage failed:', error);
+        await releaseActivePrediction(addr, predictionId);
         return res.status(500).json({
           error: 'Failed to store prediction',
           message: error.message
@@ -250,46 +251,52 @@ export default async function handler(req, res) {
 
     // ===== VERIFY PREDICTION =====
     if (req.method === 'POST' && req.body.action === 'verify') {
-      const { userAddress, timestamp, predictionId, newPrice } = req.body;
+      const { userAddress, timestamp, predictionId } = req.body;
 
-      console.log('🔍 VERIFY REQUEST:', { userAddress, timestamp, predictionId, newPrice });
+      console.log('🔍 VERIFY REQUEST:', { userAddress, timestamp, predictionId });
 
       // Validation
-      if (!userAddress || !newPrice || (!timestamp && !predictionId)) {
+      if (!userAddress || (!timestamp && !predictionId)) {
         console.error('❌ Missing required fields for verification');
         return res.status(400).json({ 
           error: 'Missing required fields',
-          required: ['userAddress', 'newPrice', 'timestamp OR predictionId']
+          required: ['userAddress', 'timestamp OR predictionId']
         });
       }
 
+      // Caller must have signed in as userAddress
+      if (!await requireSession(req, res, userAddress)) return;
+
       const addr = userAddress.toLowerCase();
       let prediction = null;
       let usedKey = null;
 
+      // Already resolved server-side
+      let result = await getResolvedPrediction(addr, predictionId);
+
       // Try both keys to find the prediction
-      if (predictionId) {
-        const key = `pred_${addr}_${predictionId}`;
+      if (!result && predictionId) {
+        const key = predictionKey(addr, predictionId);
         console.log(`🔑 Trying predictionId key: ${key}`);
         prediction = await storage.get(key);
         if (prediction) usedKey = key;
       }
       
-      if (!prediction && timestamp) {
-        const key = `pred_${addr}_${timestamp}`;
+      if (!result && !prediction && timestamp) {
+        const key = predictionKey(addr, timestamp);
         console.log(`🔑 Trying timestamp key: ${key}`);
         prediction = await storage.get(key);
         if (prediction) usedKey = key;
       }
 
-      if (!prediction) {
+      if (!result && !prediction) {
         console.error('❌ Prediction not found');
         
         // Debug info
         const debugInfo = {
           triedKeys: [
-            predictionId ? `pred_${addr}_${predictionId}` : null,
-            timestamp ? `pred_${addr}_${timestamp}` : null
+            predictionId ? predictionKey(addr, predictionId) : null,
+            timestamp ? predictionKey(addr, timestamp) : null
           ].filter(Boolean),
           memoryKeyCount: memoryStore.size,
           memoryKeys: Array.from(memoryStore.keys()).filter(k => k.includes(addr)),
@@ -300,80 +307,86 @@ export default async function handler(req, res) {
         
         return res.status(404).json({
           error: 'Prediction not found or expired',
+          code: PREDICTION_ERRORS.NOT_FOUND,
           correct: false,
           multiplier: 0,
           debug: debugInfo
         });
       }
 
-      console.log('✅ Prediction found:', prediction);
-
-      // Calculate result
-      const priceChange = parseFloat(newPrice) - prediction.currentPrice;
-      const actuallyUp = priceChange > 0;
-      const predictedUp = prediction.prediction === 'up';
-      const correct = predictedUp === actuallyUp;
-      const multiplier = correct ? 2 : 0.5;
-
-      console.log('📊 Verification result:', {
-        priceChange,
-        actuallyUp,
-        predictedUp,
-        correct,
-        multiplier
-      });
+      if (!result) {
+        console.log('✅ Prediction found:', prediction);
 
-      // Clean up both keys
-      if (predictionId) await storage.delete(`pred_${addr}_${predictionId}`);
-      if (timestamp) await storage.delete(`pred_${addr}_${timestamp}`);
-
-      // Update user stats
-      const statsKey = `stats_${addr}`;
-      let stats = await storage.get(statsKey) || {
-        totalPredictions: 0,
-        correctPredictions: 0,
-        currentStreak: 0,
-        bestStreak: 0,
-        lastPredictionCorrect: false,
-      };
+        if (!isPredictionResolvable(prediction)) {
+          return res.status(409).json({
+            error: 'Prediction round is still running',
+            code: PREDICTION_ERRORS.NOT_EXPIRED,
+            expiresAt: prediction.expiresAt,
+            retryAfterMs: prediction.expiresAt - Date.now()
+          });
+        }
 
-      stats.totalPredictions++;
-      if (correct) {
-        stats.correctPredictions++;
-        stats.currentStreak = stats.lastPredictionCorrect ? stats.currentStreak + 1 : 1;
-        stats.bestStreak = Math.max(stats.bestStreak, stats.currentStreak);
-        stats.lastPredictionCorrect = true;
-      } else {
-        stats.currentStreak = 0;
-        stats.lastPredictionCorrect = false;
-      }
+        // Same resolution as the server-side sweep: the end price is the
+        // server's, stats are updated once
+        try {
+          result = await resolvePrediction(prediction);
+        } catch (error) {
+          return sendPriceUnavailable(res, error);
+        }
 
-      await storage.set(statsKey, stats, STATS_TTL);
+        if (!result) {
+          return res.status(409).json({ error: 'Prediction is being resolved, fetch the outcome shortly', status: 'pending' });
+        }
+      }
 
-      const winRate = stats.totalPredictions > 0
-        ? ((stats.correctPredictions / stats.totalPredictions) * 100).toFixed(1)
-        : '0.0';
+      if (!await consumePredictionVerification(result.predictionId)) {
+        return res.status(409).json({
+          error: 'This prediction was already verified',
+          code: PREDICTION_ERRORS.ALREADY_CONSUMED,
+          predictionId: result.predictionId
+        });
+      }
 
       console.log('✅ Verification complete');
+      return res.json(await formatResult(result));
+    }
 
-      return res.json({
-        success: true,
-        correct,
-        multiplier,
-        prediction: prediction.prediction,
-        startPrice: prediction.currentPrice,
-        endPrice: parseFloat(newPrice),
-        priceChange: priceChange.toFixed(6),
-        priceChangePercent: ((priceChange / prediction.currentPrice) * 100).toFixed(2),
-        stats: {
-          totalPredictions: stats.totalPredictions,
-          correctPredictions: stats.correctPredictions,
-          currentStreak: stats.currentStreak,
-          bestStreak: stats.bestStreak,
-          winRate,
-        },
-        storage: useKV ? 'kv' : 'memory'
-      });
+    // ===== PREDICTION OUTCOME =====
+    // Predictions resolve server-side at expiresAt; reading an expired one
+    // resolves it if the sweep hasn't yet
+    if (req.method === 'GET' && req.query.predictionId) {
+      const { userAddress, predictionId } = req.query;
+      if (!userAddress) {
+        return res.status(400).json({ error: 'Missing userAddress' });
+      }
+
+      let outcome;
+      try {
+        outcome = await getPredictionOutcome(userAddress.toLowerCase(), predictionId);
+      } catch (error) {
+        return sendPriceUnavailable(res, error);
+      }
+
+      if (outcome.status === 'not_found') {
+        return res.status(404).json({
+          error: 'Prediction not found or expired',
+          code: PREDICTION_ERRORS.NOT_FOUND,
+          status: 'not_found'
+        });
+      }
+
+      if (outcome.status === 'pending') {
+        return res.json({
+          success: true,
+          status: 'pending',
+          predictionId,
+          expiresAt: outcome.expiresAt,
+          // Past expiresAt it waits for the sweep's end price snapshot (every minute)
+          retryAfterMs: Math.max(5000, outcome.expiresAt - Date.now())
+        });
+      }
+
+      return res.json(await formatResult(outcome.result));
     }
 
     // ===== GET STATS =====
@@ -382,22 +395,14 @@ export default async function handler(req, res) {
       
       console.log('📊 STATS REQUEST:', userAddress);
 
-      const stats = await storage.get(`stats_${userAddress.toLowerCase()}`) || {
-        totalPredictions: 0,
-        correctPredictions: 0,
-        currentStreak: 0,
-        bestStreak: 0,
-      };
-
-      stats.winRate = stats.totalPredictions > 0
-        ? ((stats.correctPredictions / stats.totalPredictions) * 100).toFixed(1)
-        : '0.0';
+      const stats = await getPredictionStats(userAddress);
+      stats.winRate = getWinRate(stats);
 
       console.log('✅ Stats retrieved:', stats);
 
       return res.json({
         ...stats,
-        storage: useKV ? 'kv' : 'memory'
+        storage: isUsingKV() ? 'kv' : 'memory'
       });
     }
 
@@ -0,0 +1,35 @@
+// api/price.js - Aggregated CELO/USD price (see lib/price.js)
+// GET -> { price, change24h, sources, quotes, fetchedAt, cached }
+
+export const runtime = 'nodejs';
+
+import { getCeloPrice } from '../lib/price.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const result = await getCeloPrice();
+
+    res.setHeader('Cache-Control', 's-maxage=10, stale-while-revalidate=20');
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('❌ Price aggregation failed:', error.message);
+    return res.status(503).json({
+      error: 'CELO price is unavailable right now. Please try again.',
+      code: 'PRICE_UNAVAILABLE',
+      message: error.message
+    });
+  }
+}
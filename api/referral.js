@@ -0,0 +1,42 @@
+// api/referral.js - Referral stats for the share panel (see lib/referrals.js)
+// GET ?address=0x... -> invites, conversions, earned bonuses and recent referrals
+
+import { getReferralStats, REFERRAL_STATUS } from '../lib/referrals.js';
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { address } = req.query;
+  if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    return res.status(400).json({ error: 'Missing or invalid address' });
+  }
+
+  try {
+    const stats = await getReferralStats(address);
+    const pending = stats.recent.filter(item => item.status === REFERRAL_STATUS.PENDING).length;
+
+    return res.status(200).json({
+      address: address.toLowerCase(),
+      invites: stats.invites,
+      conversions: stats.conversions,
+      pending,
+      rejected: stats.rejected,
+      earned: stats.earned,
+      recent: [...stats.recent].reverse()
+    });
+  } catch (error) {
+    console.error('Referral stats error:', error);
+    return res.status(500).json({ error: 'Failed to load referral stats', message: error.message });
+  }
+}
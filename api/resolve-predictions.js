@@ -0,0 +1,43 @@
+// api/resolve-predictions.js - Cron entry point for server-side prediction resolution
+// Takes the end price snapshot for rounds that just ended and resolves every open
+// prediction past its expiresAt against it (see lib/predictions.js), so closing
+// the tab mid-round doesn't lose it
+
+export const runtime = 'nodejs';
+
+import { isCronRequest } from '../lib/admin.js';
+import { resolveExpiredPredictions } from '../lib/predictions.js';
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-cron-secret');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Authorization: Vercel cron or manual trigger, both with CRON_SECRET
+  if (!isCronRequest(req)) {
+    console.error('❌ Unauthorized prediction resolution request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await resolveExpiredPredictions();
+
+    console.log('🎯 Prediction sweep complete:', result);
+    return res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Prediction sweep error:', error);
+    return res.status(500).json({
+      error: 'Prediction sweep failed',
+      message: error.message
+    });
+  }
+}
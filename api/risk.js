@@ -0,0 +1,67 @@
+// api/risk.js - Admin review of airdrops held by sybil risk scoring (see lib/risk.js)
+// GET  -> held claims and the latest audit entries (?limit=50)
+// POST -> { action: 'approve' | 'reject', claimId, note? }
+
+export const runtime = 'nodejs';
+
+import { isAdminRequest } from '../lib/admin.js';
+import { getHeldClaims, getRiskAudit, reviewHeldClaim } from '../lib/risk.js';
+import { tickPayoutQueue } from '../lib/rewards.js';
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-admin-secret');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!isAdminRequest(req)) {
+    console.error('❌ Unauthorized risk review request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 50));
+
+      return res.json({
+        held: await getHeldClaims(),
+        audit: await getRiskAudit(limit)
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { action, claimId, note } = req.body || {};
+
+      if (action !== 'approve' && action !== 'reject') {
+        return res.status(400).json({ error: 'Invalid action. Use "approve" or "reject"' });
+      }
+      if (!claimId) {
+        return res.status(400).json({ error: 'Missing claimId' });
+      }
+
+      const result = await reviewHeldClaim(claimId, action === 'approve', { note: note || null });
+      if (!result.reviewed) {
+        return res.status(409).json({ error: result.error });
+      }
+
+      if (action === 'approve') {
+        await tickPayoutQueue();
+      }
+
+      console.log(`🛡️ Held claim ${claimId} ${action}d by admin`);
+      return res.json({ success: true, claim: result.claim });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('💥 Risk review error:', error);
+    return res.status(500).json({
+      error: 'Risk review failed',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,123 @@
+// api/treasury.js - Admin view of airdrop spend, the payout wallet pool and manual circuit breaker
+// GET  -> budgets, spend, pool balances and throughput, queue and pause state
+// POST -> { action: 'pause', reason } | { action: 'resume' } | { action: 'topup' }
+//         | { action: 'resolve', claimId, outcome: 'sent' | 'failed', txHash } (payouts held for review)
+
+export const runtime = 'nodejs';
+
+import { formatEther } from 'viem';
+import { getEnabledPayoutTokens } from '../lib/payout-tokens.js';
+import { isAdminRequest } from '../lib/admin.js';
+import { getQueueStats, getPendingByWallet, resolvePayoutReview } from '../lib/payout-queue.js';
+import { getPoolConfig, getPoolStatus, topUpWallets } from '../lib/wallet-pool.js';
+import {
+  getTreasuryConfig,
+  getSpend,
+  getPauseState,
+  pausePayouts,
+  resumePayouts
+} from '../lib/treasury.js';
+
+// Budgets and spend across all payout tokens, in CELO
+async function getBudgetStatus(address) {
+  const config = getTreasuryConfig();
+  const spend = await getSpend(address);
+  const format = wei => (wei === null ? null : formatEther(wei));
+
+  return {
+    unit: config.unit,
+    hourly: { limit: format(config.hourlyBudget), spent: format(spend.hour) },
+    daily: { limit: format(config.dailyBudget), spent: format(spend.day) },
+    addressLifetimeCap: format(config.addressLifetimeCap),
+    addressSpent: address ? format(spend.address) : undefined
+  };
+}
+
+async function getTreasuryStatus(address) {
+  const pool = await getPoolStatus(await getPendingByWallet());
+  const tokens = {};
+
+  for (const symbol of getEnabledPayoutTokens()) {
+    tokens[symbol] = { balance: pool.totals[symbol] };
+  }
+
+  return {
+    pause: await getPauseState() || { paused: false },
+    pool: {
+      ...getPoolConfig(),
+      wallets: pool.wallets
+    },
+    budgets: await getBudgetStatus(address),
+    tokens,
+    address: address ? address.toLowerCase() : null,
+    queue: await getQueueStats()
+  };
+}
+
+export default async function handler(req, res) {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-admin-secret');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!isAdminRequest(req)) {
+    console.error('❌ Unauthorized treasury request');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { address } = req.query;
+      if (address && !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        return res.status(400).json({ error: 'Invalid address format' });
+      }
+
+      return res.json(await getTreasuryStatus(address));
+    }
+
+    if (req.method === 'POST') {
+      const { action, reason, claimId, outcome, txHash } = req.body || {};
+
+      if (action === 'pause') {
+        const pause = await pausePayouts(reason || 'Paused manually', { by: 'admin' });
+        return res.json({ success: true, pause });
+      }
+
+      if (action === 'resume') {
+        await resumePayouts('admin');
+        return res.json({ success: true, pause: { paused: false } });
+      }
+
+      if (action === 'topup') {
+        const topUp = await topUpWallets();
+        if (!topUp.enabled) {
+          return res.status(400).json({ error: 'Top-ups need AIRDROP_TREASURY_PRIVATE_KEY' });
+        }
+        return res.json({ success: true, ...topUp });
+      }
+
+      if (action === 'resolve') {
+        try {
+          const claim = await resolvePayoutReview(claimId, { outcome, txHash });
+          return res.json({ success: true, claimId, status: claim.status });
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+
+      return res.status(400).json({ error: 'Invalid action. Use "pause", "resume", "topup" or "resolve"' });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('💥 Treasury endpoint error:', error);
+    return res.status(500).json({
+      error: 'Treasury request failed',
+      message: error.message
+    });
+  }
+}
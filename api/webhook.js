@@ -1,259 +1,151 @@
 /**
  * Alternative Event-Based Airdrop System
  * 
+ * Accepts single or batched payloads from each provider (see lib/webhook-adapters.js);
+ * only Minted logs from NFT_CONTRACT_ADDRESS are processed, each one independently.
+ * 
  * This webhook can be called by:
  * 1. Blockchain indexers (Goldsky, The Graph)
  * 2. Alchemy/Infura webhooks
- * 3. Cron job that polls for new mint events
+ * 3. Any other indexer that can sign its requests
+ * 
+ * /api/poll-mints is the polling counterpart (cron, durable block cursor).
  * 
- * More reliable than user-triggered claims as it monitors blockchain directly
+ * More reliable than user-triggered claims as it monitors blockchain directly.
+ * Payouts go through the same reward service as /api/airdrop (lib/rewards.js),
+ * so a mint is paid once. The webhook never pre-empts the user's own claim
+ * (which carries the prediction, payout token and risk context): mints whose
+ * claim deadline hasn't passed are deferred, and the poll-mints cron pays the
+ * ones nobody claimed (default token, no prediction) once it has.
  */
 
-import { createPublicClient, createWalletClient, http, parseEther } from 'viem';
-import { celo } from 'viem/chains';
-import { privateKeyToAccount } from 'viem/accounts';
-
-const NFT_CONTRACT_ADDRESS = '0xe90EC6F3f5C15cC76861CA5d41CD879548208Eff';
-const MIN_AIRDROP_AMOUNT = '0.005'; // Minimum CELO
-const MAX_AIRDROP_AMOUNT = '0.015'; // Maximum CELO
-
-// Track processed mints (use database in production)
-const processedMints = new Set();
-
-const publicClient = createPublicClient({
-  chain: celo,
-  transport: http(process.env.CELO_RPC_URL || 'https://forno.celo.org')
-});
+import { resolvePayoutToken } from '../lib/payout-tokens.js';
+import { toClaimStatus } from '../lib/payout-queue.js';
+import { rewardMint, deferMint, tickPayoutQueue } from '../lib/rewards.js';
+import { extractWebhookLogs, decodeMintLog } from '../lib/webhook-adapters.js';
+import {
+  WEBHOOK_ERRORS,
+  getWebhookConfig,
+  readRawBody,
+  verifyWebhookRequest,
+  releaseWebhookDelivery
+} from '../lib/webhook-signature.js';
 
-// Mint event ABI
-const MINT_EVENT_ABI = {
-  anonymous: false,
-  inputs: [
-    { indexed: true, name: 'owner', type: 'address' },
-    { indexed: true, name: 'tokenId', type: 'uint256' },
-    { indexed: false, name: 'rarity', type: 'uint8' },
-    { indexed: false, name: 'priceSnapshot', type: 'uint128' }
-  ],
-  name: 'Minted',
-  type: 'event'
+// Signatures are checked against the raw body (see lib/webhook-signature.js)
+export const config = {
+  api: { bodyParser: false }
 };
 
-// Generate random airdrop amount between MIN and MAX
-function getRandomAirdropAmount() {
-  const min = parseFloat(MIN_AIRDROP_AMOUNT);
-  const max = parseFloat(MAX_AIRDROP_AMOUNT);
+// Queue the airdrop for a mint seen on-chain that its owner did not claim
+// (default payout token, no prediction), or defer it while they still can
+async function rewardMintEvent({ owner, tokenId, mintTxHash }) {
+  const reward = await rewardMint({
+    tokenId: String(tokenId),
+    recipient: owner,
+    mintTxHash,
+    payoutToken: resolvePayoutToken(null),
+    source: 'webhook',
+    deferToClaimant: true
+  });
   
-  // Generate random number between min and max with 4 decimal precision
-  const random = Math.random() * (max - min) + min;
-  const rounded = Math.round(random * 10000) / 10000; // Round to 4 decimals
+  if (reward.deferred) {
+    await deferMint({ tokenId, recipient: owner, mintTxHash, source: 'webhook', retryAt: reward.retryAt });
+    console.log(`⏳ Token #${tokenId} left to its owner's claim until ${new Date(reward.retryAt).toISOString()}`);
+  } else if (reward.queued) {
+    console.log(`📬 Webhook queued airdrop for token #${tokenId} (claim ${reward.claim.claimId})`);
+  } else if (reward.held) {
+    console.log(`🛡️ Webhook airdrop for token #${tokenId} held for risk review (claim ${reward.claim.claimId})`);
+  } else if (reward.duplicate) {
+    console.log(`⏭️ Token #${tokenId} already rewarded (claim ${reward.claim.claimId})`);
+  } else {
+    console.warn(`⚠️ Webhook airdrop rejected for token #${tokenId}: ${reward.code}`);
+  }
   
-  return rounded.toFixed(4); // Return as string with 4 decimals
+  return reward;
 }
 
-async function sendAirdrop(recipientAddress, tokenId) {
-  try {
-    const privateKey = process.env.AIRDROP_WALLET_PRIVATE_KEY;
-    if (!privateKey) {
-      throw new Error('Airdrop wallet not configured');
-    }
-    
-    const account = privateKeyToAccount(privateKey);
-    
-    const walletClient = createWalletClient({
-      account,
-      chain: celo,
-      transport: http(process.env.CELO_RPC_URL || 'https://forno.celo.org')
-    });
-    
-    // Generate random airdrop amount
-    const randomAmount = getRandomAirdropAmount();
-    const airdropAmount = parseEther(randomAmount);
-    
-    console.log(`🎲 Random airdrop amount for Token #${tokenId}: ${randomAmount} CELO`);
-    
-    // Check balance
-    const balance = await publicClient.getBalance({
-      address: account.address
-    });
-    
-    if (balance < airdropAmount) {
-      console.error('Insufficient balance in airdrop wallet');
-      return { success: false, error: 'Insufficient balance' };
-    }
-    
-    // Send transaction
-    const hash = await walletClient.sendTransaction({
-      to: recipientAddress,
-      value: airdropAmount,
-      gas: 21000n
-    });
-    
-    console.log(`Airdrop sent to ${recipientAddress} for token #${tokenId}: ${randomAmount} CELO - ${hash}`);
-    
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
-    
-    return {
-      success: receipt.status === 'success',
-      txHash: hash,
-      amount: randomAmount,
-      recipient: recipientAddress,
-      tokenId
-    };
-  } catch (error) {
-    console.error('Airdrop send failed:', error);
-    return { success: false, error: error.message };
-  }
+// Per-log entry of the webhook response
+function toLogResult(mint, reward) {
+  const base = { tokenId: mint.tokenId, recipient: mint.owner, mintTxHash: mint.mintTxHash };
+  
+  if (reward.queued) return { ...base, status: 'queued', claimId: reward.claim.claimId };
+  if (reward.held) return { ...base, status: 'held', claimId: reward.claim.claimId };
+  if (reward.deferred) return { ...base, status: 'deferred', retryAt: reward.retryAt };
+  if (reward.duplicate) return { ...base, status: 'duplicate', ...toClaimStatus(reward.claim) };
+  return { ...base, status: 'rejected', code: reward.code, error: reward.error };
 }
 
 // Webhook handler - receives mint events
 export default async function handler(req, res) {
-  // Security: Verify webhook signature (if using service like Alchemy)
-  const signature = req.headers['x-webhook-signature'];
-  if (process.env.WEBHOOK_SECRET && signature) {
-    // Verify signature here
-    // const isValid = verifySignature(req.body, signature, process.env.WEBHOOK_SECRET);
-    // if (!isValid) return res.status(401).json({ error: 'Invalid signature' });
-  }
-  
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
-  try {
-    const { event, log, transaction } = req.body;
-    
-    // Parse mint event data
-    let minterAddress, tokenId;
-    
-    if (event && event.args) {
-      // Standardized format
-      minterAddress = event.args.owner;
-      tokenId = event.args.tokenId;
-    } else if (log && log.topics) {
-      // Raw log format
-      minterAddress = '0x' + log.topics[1].slice(-40);
-      tokenId = BigInt(log.topics[2]).toString();
-    } else {
-      return res.status(400).json({ error: 'Invalid event format' });
-    }
-    
-    // Prevent duplicate processing
-    const mintKey = `${tokenId}-${minterAddress}`;
-    if (processedMints.has(mintKey)) {
-      return res.status(200).json({ 
-        message: 'Already processed',
-        duplicate: true 
-      });
-    }
-    
-    // Send airdrop with random amount
-    const result = await sendAirdrop(minterAddress, tokenId);
-    
-    if (result.success) {
-      processedMints.add(mintKey);
-      
-      return res.status(200).json({
-        success: true,
-        message: 'Airdrop sent successfully',
-        txHash: result.txHash,
-        recipient: minterAddress,
-        tokenId,
-        amount: result.amount,
-        randomAmount: true
-      });
-    } else {
-      return res.status(500).json({
-        success: false,
-        error: result.error,
-        recipient: minterAddress,
-        tokenId
-      });
-    }
-    
-  } catch (error) {
-    console.error('Webhook handler error:', error);
-    return res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
+  // Security: Verify the provider's signature (WEBHOOK_PROVIDER / WEBHOOK_SECRET)
+  const rawBody = await readRawBody(req);
+  const verification = await verifyWebhookRequest(req, rawBody);
+  
+  if (!verification.valid) {
+    console.warn(`🚫 Webhook rejected (${verification.code}): ${verification.error}`);
+    return res.status(verification.code === WEBHOOK_ERRORS.REPLAYED ? 409 : 401).json({
+      error: verification.error,
+      code: verification.code
     });
   }
-}
-
-/**
- * CRON JOB VERSION
- * 
- * Alternative: Run this as a scheduled job (every 1 minute)
- * Add to vercel.json:
- * 
- * {
- *   "crons": [{
- *     "path": "/api/poll-mints",
- *     "schedule": "* * * * *"
- *   }]
- * }
- */
-
-let lastProcessedBlock = null;
-
-export async function pollForMints(req, res) {
+  
+  let body;
   try {
-    const latestBlock = await publicClient.getBlockNumber();
-    const fromBlock = lastProcessedBlock || latestBlock - 100n;
-    
-    // Get mint events from contract
-    const logs = await publicClient.getLogs({
-      address: NFT_CONTRACT_ADDRESS,
-      event: MINT_EVENT_ABI,
-      fromBlock,
-      toBlock: latestBlock
-    });
-    
+    body = JSON.parse(rawBody || '{}');
+  } catch {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+  
+  const logs = extractWebhookLogs(body, getWebhookConfig().provider);
+  if (!logs) {
+    return res.status(400).json({ error: 'Invalid event format' });
+  }
+  
+  try {
+    // Each log is handled on its own; one bad log doesn't block the others
     const results = [];
-    
-    for (const log of logs) {
-      const { owner, tokenId } = log.args;
-      const mintKey = `${tokenId}-${owner}`;
+    for (const [index, log] of logs.entries()) {
+      const { mint, skipped } = decodeMintLog(log);
+      if (!mint) {
+        results.push({ index, status: 'skipped', reason: skipped });
+        continue;
+      }
       
-      if (!processedMints.has(mintKey)) {
-        const result = await sendAirdrop(owner, tokenId.toString());
-        
-        if (result.success) {
-          processedMints.add(mintKey);
-          results.push({
-            tokenId: tokenId.toString(),
-            recipient: owner,
-            txHash: result.txHash,
-            amount: result.amount,
-            status: 'sent'
-          });
-        } else {
-          results.push({
-            tokenId: tokenId.toString(),
-            recipient: owner,
-            error: result.error,
-            status: 'failed'
-          });
-        }
-        
-        // Rate limit: wait 100ms between sends
-        await new Promise(resolve => setTimeout(resolve, 100));
+      try {
+        const reward = await rewardMintEvent(mint);
+        results.push({ index, ...toLogResult(mint, reward) });
+      } catch (error) {
+        console.error(`❌ Webhook log ${index} (token #${mint.tokenId}) failed:`, error);
+        results.push({ index, tokenId: mint.tokenId, mintTxHash: mint.mintTxHash, status: 'error', error: error.message });
       }
     }
     
-    lastProcessedBlock = latestBlock;
+    const counts = { queued: 0, held: 0, deferred: 0, duplicate: 0, rejected: 0, skipped: 0, error: 0 };
+    for (const result of results) counts[result.status] += 1;
     
-    return res.status(200).json({
-      success: true,
-      processed: results.length,
-      fromBlock: fromBlock.toString(),
-      toBlock: latestBlock.toString(),
-      results
-    });
+    if (counts.queued > 0) {
+      // Try to broadcast right away; the payout worker cron confirms it
+      await tickPayoutQueue();
+    }
+    
+    // Errors are transient (RPC, storage): let the provider retry the whole
+    // delivery - mints that already went through come back as duplicates
+    if (counts.error > 0) {
+      await releaseWebhookDelivery(verification);
+      return res.status(500).json({ success: false, ...counts, results });
+    }
+    
+    return res.status(counts.queued > 0 ? 202 : 200).json({ success: true, ...counts, results });
     
   } catch (error) {
-    console.error('Poll mints error:', error);
+    console.error('Webhook handler error:', error);
+    await releaseWebhookDelivery(verification);
     return res.status(500).json({
-      error: 'Failed to poll for mints',
+      error: 'Internal server error',
       message: error.message
     });
   }
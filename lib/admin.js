@@ -0,0 +1,27 @@
+// lib/admin.js - Shared admin and cron authentication for operator endpoints
+
+import { timingSafeEqual } from 'crypto';
+
+function secretMatches(provided, expected) {
+  if (!expected || typeof provided !== 'string') return false;
+
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Admin requests carry ADMIN_SECRET in the `x-admin-secret` header
+export function isAdminRequest(req) {
+  return secretMatches(req.headers['x-admin-secret'], process.env.ADMIN_SECRET);
+}
+
+// Vercel cron sends `Authorization: Bearer <CRON_SECRET>`; manual triggers may
+// use the `x-cron-secret` header instead. The `x-vercel-cron` header proves
+// nothing - any client can set it.
+export function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  return secretMatches(req.headers.authorization, `Bearer ${secret}`)
+    || secretMatches(req.headers['x-cron-secret'], secret);
+}
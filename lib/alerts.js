@@ -0,0 +1,248 @@
+// lib/alerts.js - Operator alerts for airdrop wallet health and payout failures
+//
+// Alerts fan out to every configured sink:
+//   ALERT_WEBHOOK_URL       - generic JSON webhook (full alert object)
+//   ALERT_CHAT_WEBHOOK_URL  - Discord/Slack-style webhook ({ content, text })
+//   ALERT_FARCASTER_FIDS    - comma-separated FIDs notified through Neynar
+//                             (they must have notifications enabled for the mini app)
+//
+// Each alert has a dedup key; the same key is delivered at most once per
+// cooldown window. Sending never throws - alerting must not break payouts.
+// Tests can swap the sinks with setAlertSinks().
+
+import { storage } from './storage.js';
+import { sendMiniAppNotificationsToFids } from './neynar.js';
+
+// ===== ALERT TYPES =====
+export const ALERT_TYPES = {
+  LOW_BALANCE: 'low_balance',
+  PAYOUT_FAILURES: 'payout_failures',
+  PAYOUT_REVIEW: 'payout_review',
+  CIRCUIT_BREAKER: 'circuit_breaker'
+};
+
+// Seconds before the same alert can fire again
+const COOLDOWNS = {
+  [ALERT_TYPES.LOW_BALANCE]: 6 * 3600,
+  [ALERT_TYPES.PAYOUT_FAILURES]: 30 * 60,
+  [ALERT_TYPES.PAYOUT_REVIEW]: 24 * 3600,
+  [ALERT_TYPES.CIRCUIT_BREAKER]: 15 * 60
+};
+const DEFAULT_COOLDOWN = 30 * 60;
+
+// Repeated payout failures: alert once FAILURE_THRESHOLD happen within the window
+const FAILURE_WINDOW_MS = 10 * 60 * 1000;
+const FAILURE_THRESHOLD = 3;
+const FAILURES_KEY = 'alert_payout_failures';
+
+const SINK_TIMEOUT_MS = 5000;
+
+const SEVERITY_EMOJI = {
+  critical: '🚨',
+  warning: '⚠️',
+  info: 'ℹ️'
+};
+
+// ===== SINKS =====
+// A sink is `{ name, send(alert) }`; `send` may throw, failures are logged.
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(SINK_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+  }
+}
+
+function formatText(alert) {
+  const emoji = SEVERITY_EMOJI[alert.severity] || SEVERITY_EMOJI.info;
+  return `${emoji} [${alert.severity.toUpperCase()}] ${alert.title}\n${alert.message}`;
+}
+
+export function createWebhookSink(url) {
+  return {
+    name: 'webhook',
+    send: alert => postJson(url, alert)
+  };
+}
+
+// Discord reads `content`, Slack reads `text` - both ignore the other field
+export function createChatWebhookSink(url) {
+  return {
+    name: 'chat',
+    send: alert => {
+      const text = formatText(alert);
+      return postJson(url, { content: text.slice(0, 2000), text });
+    }
+  };
+}
+
+export function createFarcasterSink(fids) {
+  return {
+    name: 'farcaster',
+    send: alert => sendMiniAppNotificationsToFids(
+      fids,
+      {
+        title: `${SEVERITY_EMOJI[alert.severity] || ''} ${alert.title}`.trim().slice(0, 32),
+        body: alert.message.slice(0, 128)
+      },
+      `alert-${alert.type}-${alert.timestamp}`
+    )
+  };
+}
+
+function getConfiguredSinks() {
+  const sinks = [];
+
+  if (process.env.ALERT_WEBHOOK_URL) {
+    sinks.push(createWebhookSink(process.env.ALERT_WEBHOOK_URL));
+  }
+
+  if (process.env.ALERT_CHAT_WEBHOOK_URL) {
+    sinks.push(createChatWebhookSink(process.env.ALERT_CHAT_WEBHOOK_URL));
+  }
+
+  const fids = (process.env.ALERT_FARCASTER_FIDS || '')
+    .split(',')
+    .map(fid => parseInt(fid.trim(), 10))
+    .filter(fid => Number.isInteger(fid) && fid > 0);
+  if (fids.length > 0) {
+    sinks.push(createFarcasterSink(fids));
+  }
+
+  return sinks;
+}
+
+let sinkOverride = null;
+
+// Replace the configured sinks (tests, local debugging). Pass null to restore.
+export function setAlertSinks(sinks) {
+  sinkOverride = sinks;
+}
+
+function getSinks() {
+  return sinkOverride || getConfiguredSinks();
+}
+
+// ===== SENDING =====
+
+function cooldownKey(type, dedupKey) {
+  return `alert_cooldown_${type}_${dedupKey}`;
+}
+
+// Returns `{ sent, deduped, results }`. `dedupKey` defaults to the alert type.
+export async function sendAlert({ type, severity = 'warning', title, message, details = {}, dedupKey = type }) {
+  const alert = {
+    source: 'celo-nft',
+    type,
+    severity,
+    title,
+    message,
+    details,
+    timestamp: Date.now()
+  };
+
+  console.error(formatText(alert));
+
+  try {
+    const cooldown = COOLDOWNS[type] || DEFAULT_COOLDOWN;
+    if (!await storage.setIfAbsent(cooldownKey(type, dedupKey), { sentAt: alert.timestamp }, cooldown)) {
+      console.log(`🔕 Alert ${type}:${dedupKey} suppressed (cooldown)`);
+      return { sent: false, deduped: true, results: [] };
+    }
+
+    const sinks = getSinks();
+    if (sinks.length === 0) {
+      console.warn('⚠️ No alert sinks configured - set ALERT_WEBHOOK_URL, ALERT_CHAT_WEBHOOK_URL or ALERT_FARCASTER_FIDS');
+      return { sent: false, deduped: false, results: [] };
+    }
+
+    const settled = await Promise.allSettled(sinks.map(sink => sink.send(alert)));
+    const results = settled.map((outcome, i) => {
+      if (outcome.status === 'rejected') {
+        console.error(`❌ Alert sink ${sinks[i].name} failed:`, outcome.reason?.message || outcome.reason);
+        return { sink: sinks[i].name, ok: false, error: outcome.reason?.message || String(outcome.reason) };
+      }
+      return { sink: sinks[i].name, ok: true };
+    });
+
+    const sent = results.some(r => r.ok);
+    if (!sent) {
+      // Nothing got through - let the next occurrence try again
+      await storage.delete(cooldownKey(type, dedupKey));
+    }
+
+    return { sent, deduped: false, results };
+  } catch (error) {
+    console.error('❌ Alert delivery error:', error.message);
+    return { sent: false, deduped: false, results: [], error: error.message };
+  }
+}
+
+// ===== ALERT HELPERS =====
+
+export async function alertLowBalance({ address, balance, threshold, symbol = 'CELO' }) {
+  return await sendAlert({
+    type: ALERT_TYPES.LOW_BALANCE,
+    severity: 'critical',
+    title: 'Airdrop wallet low balance',
+    message: `${address} has ${balance} ${symbol} left (threshold ${threshold} ${symbol}). Please refill.`,
+    details: { address, balance, threshold, symbol },
+    dedupKey: `${address.toLowerCase()}_${symbol}`
+  });
+}
+
+export async function alertCircuitBreaker({ reason, code, by, resumesAt }) {
+  return await sendAlert({
+    type: ALERT_TYPES.CIRCUIT_BREAKER,
+    severity: 'critical',
+    title: 'Airdrop payouts paused',
+    message: resumesAt
+      ? `${reason} (by ${by}). Resumes automatically at ${new Date(resumesAt).toISOString()}.`
+      : `${reason} (by ${by}). Resume via /api/treasury.`,
+    details: { reason, code, by, resumesAt },
+    dedupKey: code || reason
+  });
+}
+
+// A payout whose outcome the worker can't tell from the chain (per claim)
+export async function alertPayoutReview({ claimId, from, nonce, reason }) {
+  return await sendAlert({
+    type: ALERT_TYPES.PAYOUT_REVIEW,
+    severity: 'critical',
+    title: 'Airdrop payout needs review',
+    message: `Claim ${claimId} (nonce ${nonce} from ${from}): ${reason}. The mint stays reserved until it is resolved via /api/treasury.`,
+    details: { claimId, from, nonce, reason },
+    dedupKey: claimId
+  });
+}
+
+// Record a payout failure; alerts when failures pile up within the window
+export async function recordPayoutFailure({ claimId, error }) {
+  try {
+    const now = Date.now();
+    const state = await storage.get(FAILURES_KEY) || { failures: [] };
+    const failures = state.failures
+      .filter(f => now - f.at < FAILURE_WINDOW_MS)
+      .concat({ claimId, error: error?.message || String(error), at: now });
+
+    await storage.set(FAILURES_KEY, { failures }, FAILURE_WINDOW_MS / 1000);
+
+    if (failures.length < FAILURE_THRESHOLD) return;
+
+    await sendAlert({
+      type: ALERT_TYPES.PAYOUT_FAILURES,
+      severity: 'critical',
+      title: 'Repeated airdrop payout failures',
+      message: `${failures.length} payouts failed in the last ${FAILURE_WINDOW_MS / 60000} minutes. Latest: ${failures[failures.length - 1].error}`,
+      details: { failures }
+    });
+  } catch (e) {
+    console.error('❌ Failed to record payout failure:', e.message);
+  }
+}
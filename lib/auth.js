@@ -0,0 +1,166 @@
+// lib/auth.js - Wallet signature sessions (EIP-191 personal_sign)
+//
+// 1. Client asks for a nonce for its address (GET /api/auth)
+// 2. Client signs the returned message with its wallet
+// 3. Server verifies the signature and hands out a short-lived bearer token
+//
+// The message follows EIP-4361 (Sign-In with Ethereum): it names the app
+// domain, URI and chain ID, so wallets can flag a message relayed by another
+// site and a signature can't be replayed against another deployment or chain.
+//
+// Nonces are single-use. Verification goes through viem's publicClient so
+// smart contract wallets (ERC-1271 / ERC-6492) are accepted too.
+
+import { randomBytes } from 'crypto';
+import { getAddress, isAddress, isAddressEqual } from 'viem';
+import { storage } from './storage.js';
+import { chain, publicClient } from './chain.js';
+
+// ===== CONSTANTS =====
+const NONCE_TTL = 300; // 5 minutes to sign
+export const SESSION_TTL = 3600; // 1 hour
+const STATEMENT = 'Sign in to CeloNFT to claim airdrops and play predictions. This does not send a transaction or cost any gas.';
+
+// The app the message is signed for (MINIAPP_URL, e.g. http://localhost:5173 in dev)
+export function getSignInApp() {
+  const url = new URL(process.env.MINIAPP_URL || 'https://celo-nft-phi.vercel.app/');
+  return { domain: url.host, origin: url.origin, uri: url.href, chainId: chain.id };
+}
+
+function nonceKey(nonce) {
+  return `auth_nonce_${nonce}`;
+}
+
+function sessionKey(token) {
+  return `auth_session_${token}`;
+}
+
+// EIP-4361 message layout
+function buildMessage({ domain, uri, chainId, address, nonce, issuedAt, expiresAt }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    getAddress(address),
+    '',
+    STATEMENT,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`,
+    `Expiration Time: ${new Date(expiresAt).toISOString()}`
+  ].join('\n');
+}
+
+// ===== SIGN-IN =====
+
+export async function createNonce(address) {
+  if (!isAddress(address)) {
+    throw new Error('Invalid address format');
+  }
+
+  const { domain, uri, chainId } = getSignInApp();
+  const nonce = randomBytes(16).toString('hex');
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + NONCE_TTL * 1000;
+  const message = buildMessage({ domain, uri, chainId, address, nonce, issuedAt, expiresAt });
+
+  await storage.set(nonceKey(nonce), {
+    address: address.toLowerCase(),
+    message,
+    domain,
+    chainId,
+    issuedAt
+  }, NONCE_TTL);
+
+  return { nonce, message, domain, chainId, expiresAt };
+}
+
+// Returns `{ token, address, expiresAt }`, or throws when the signature is invalid.
+// `origin` is the request's Origin header, when the browser sent one.
+export async function verifySignIn({ address, nonce, signature, origin = null }) {
+  const record = nonce ? await storage.get(nonceKey(nonce)) : null;
+  if (!record) {
+    throw new Error('Unknown or expired nonce');
+  }
+
+  // Single use, whatever the outcome
+  await storage.delete(nonceKey(nonce));
+
+  if (!isAddress(address) || !isAddressEqual(address, record.address)) {
+    throw new Error('Address does not match nonce');
+  }
+
+  // The message must be for this app and chain, and be submitted from this app
+  const app = getSignInApp();
+  if (record.domain !== app.domain || record.chainId !== app.chainId) {
+    throw new Error('Sign-in message was issued for another domain or chain');
+  }
+  if (origin && origin !== app.origin) {
+    throw new Error(`Sign-in is only accepted from ${app.origin}`);
+  }
+
+  const valid = await publicClient.verifyMessage({
+    address,
+    message: record.message,
+    signature
+  });
+
+  if (!valid) {
+    throw new Error('Invalid signature');
+  }
+
+  const token = randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + SESSION_TTL * 1000;
+
+  await storage.set(sessionKey(token), { address: record.address, expiresAt }, SESSION_TTL);
+  console.log(`🔑 Session created for ${record.address}`);
+
+  return { token, address: record.address, expiresAt };
+}
+
+export async function revokeSession(token) {
+  await storage.delete(sessionKey(token));
+}
+
+// ===== SESSIONS =====
+
+export function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+([a-f0-9]{64})$/i);
+  return match ? match[1] : null;
+}
+
+export async function getSession(req) {
+  const token = getBearerToken(req);
+  if (!token) return null;
+
+  const session = await storage.get(sessionKey(token));
+  if (!session || Date.now() >= session.expiresAt) return null;
+
+  return session;
+}
+
+// Resolve the session for a request that acts on `address`. Sends a 401 and
+// returns null when the caller has not signed in as that address.
+export async function requireSession(req, res, address) {
+  const session = await getSession(req);
+
+  if (!session) {
+    res.status(401).json({
+      error: 'Wallet signature required',
+      code: 'AUTH_REQUIRED'
+    });
+    return null;
+  }
+
+  if (!address || !isAddress(address) || !isAddressEqual(address, session.address)) {
+    res.status(403).json({
+      error: 'Signed-in wallet does not match userAddress',
+      code: 'AUTH_ADDRESS_MISMATCH'
+    });
+    return null;
+  }
+
+  return session;
+}
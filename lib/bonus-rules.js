@@ -0,0 +1,199 @@
+// lib/bonus-rules.js - Declarative lucky-token bonus rules
+//
+// Shared by the airdrop API and the frontend (achievements), so it must stay
+// browser-safe: no Node imports and no process.env here. The server can swap
+// the whole rule set with BONUS_RULES_JSON (see loadBonusRules) and serves
+// the active rules at GET /api/airdrop?bonusRules=true.
+//
+// A rule:
+//   id          unique, referenced by achievements
+//   type        list | palindrome | sequential | repeating | endsWith | range
+//   multiplier  applied to the base airdrop
+//   stacking    max       - the highest matching "max" rule wins
+//               multiply  - multiplied on top of everything else
+//               exclusive - first match replaces all other rules
+//   label       shown in bonus messages; {tokenId} and {firstDigit} are filled in
+//   + type parameters (ids, minDigits, suffix, min, max)
+
+export const STACKING = {
+  MAX: 'max',
+  MULTIPLY: 'multiply',
+  EXCLUSIVE: 'exclusive'
+};
+
+const MAX_RULE_MULTIPLIER = 10;
+
+export const DEFAULT_BONUS_RULES = [
+  {
+    id: 'milestone',
+    type: 'list',
+    ids: [100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000],
+    multiplier: 1.4,
+    stacking: STACKING.EXCLUSIVE,
+    label: '🎯 MILESTONE #{tokenId}',
+    description: 'Milestone token (100, 250, 500, 1000...)'
+  },
+  {
+    id: 'lucky_number',
+    type: 'list',
+    ids: [
+      77, 111, 222, 333, 444, 555, 666, 777, 888, 999,
+      1111, 2222, 3333, 4444, 5555, 6666, 7777, 8888, 9999
+    ],
+    multiplier: 1.2,
+    stacking: STACKING.MAX,
+    label: '🍀 Lucky Number #{tokenId}',
+    description: 'Lucky number (77, 111, 222...)'
+  },
+  {
+    id: 'palindrome',
+    type: 'palindrome',
+    minDigits: 2,
+    multiplier: 2,
+    stacking: STACKING.MAX,
+    label: '🔄 Palindrome #{tokenId}',
+    description: 'Palindrome (121, 1331...)'
+  },
+  {
+    id: 'sequential',
+    type: 'sequential',
+    minDigits: 3,
+    multiplier: 1.2,
+    stacking: STACKING.MAX,
+    label: '🔢 Sequential #{tokenId}',
+    description: 'Sequential digits (123, 987...)'
+  },
+  {
+    id: 'repeating',
+    type: 'repeating',
+    minDigits: 2,
+    multiplier: 1.5,
+    stacking: STACKING.MAX,
+    label: '🎰 All {firstDigit}s!',
+    description: 'Repeating digits (1111, 5555...)'
+  }
+];
+
+// ===== MATCHERS =====
+
+function isSequential(str) {
+  let ascending = true;
+  let descending = true;
+
+  for (let i = 1; i < str.length; i++) {
+    if (Number(str[i]) !== Number(str[i - 1]) + 1) ascending = false;
+    if (Number(str[i]) !== Number(str[i - 1]) - 1) descending = false;
+  }
+
+  return ascending || descending;
+}
+
+const MATCHERS = {
+  list: (rule, id) => rule.ids.includes(id),
+  palindrome: (rule, id, str) => str.length >= (rule.minDigits || 2) && str === [...str].reverse().join(''),
+  sequential: (rule, id, str) => str.length >= (rule.minDigits || 3) && isSequential(str),
+  repeating: (rule, id, str) => str.length >= (rule.minDigits || 2) && [...str].every(d => d === str[0]),
+  endsWith: (rule, id, str) => str.length > String(rule.suffix).length && str.endsWith(String(rule.suffix)),
+  range: (rule, id) => id >= rule.min && id <= rule.max
+};
+
+export function matchesRule(rule, tokenId) {
+  const id = Number(tokenId);
+  const matcher = MATCHERS[rule.type];
+  return Boolean(matcher && matcher(rule, id, String(id)));
+}
+
+export function findRule(rules, ruleId) {
+  return rules.find(rule => rule.id === ruleId) || null;
+}
+
+function formatLabel(rule, tokenId) {
+  const str = String(tokenId);
+  return rule.label
+    .replaceAll('{tokenId}', str)
+    .replaceAll('{firstDigit}', str[0]);
+}
+
+// ===== EVALUATION =====
+
+// Returns `{ multiplier, bonusReasons, matchedRules }` for a token ID
+export function evaluateBonusRules(tokenId, rules = DEFAULT_BONUS_RULES) {
+  const matched = rules.filter(rule => matchesRule(rule, tokenId));
+
+  const exclusive = matched.find(rule => rule.stacking === STACKING.EXCLUSIVE);
+  if (exclusive) {
+    return {
+      multiplier: exclusive.multiplier,
+      bonusReasons: [formatLabel(exclusive, tokenId)],
+      matchedRules: [exclusive.id]
+    };
+  }
+
+  const best = Math.max(1, ...matched
+    .filter(rule => rule.stacking === STACKING.MAX)
+    .map(rule => rule.multiplier));
+  const stacked = matched
+    .filter(rule => rule.stacking === STACKING.MULTIPLY)
+    .reduce((product, rule) => product * rule.multiplier, 1);
+
+  return {
+    multiplier: Number((best * stacked).toFixed(4)),
+    bonusReasons: matched.map(rule => formatLabel(rule, tokenId)),
+    matchedRules: matched.map(rule => rule.id)
+  };
+}
+
+// ===== VALIDATION =====
+
+// Returns a list of problems; empty when the rule set is usable
+export function validateBonusRules(rules) {
+  if (!Array.isArray(rules)) return ['Bonus rules must be an array'];
+
+  const errors = [];
+  const ids = new Set();
+
+  rules.forEach((rule, i) => {
+    const name = rule?.id || `#${i}`;
+
+    if (!rule || typeof rule.id !== 'string') errors.push(`Rule ${name}: missing id`);
+    else if (ids.has(rule.id)) errors.push(`Rule ${name}: duplicate id`);
+    else ids.add(rule.id);
+
+    if (!MATCHERS[rule?.type]) errors.push(`Rule ${name}: unknown type "${rule?.type}"`);
+    if (!Object.values(STACKING).includes(rule?.stacking)) errors.push(`Rule ${name}: unknown stacking "${rule?.stacking}"`);
+    if (typeof rule?.label !== 'string') errors.push(`Rule ${name}: missing label`);
+    if (!(rule?.multiplier > 0 && rule.multiplier <= MAX_RULE_MULTIPLIER)) {
+      errors.push(`Rule ${name}: multiplier must be > 0 and <= ${MAX_RULE_MULTIPLIER}`);
+    }
+
+    if (rule?.type === 'list' && !(Array.isArray(rule.ids) && rule.ids.every(Number.isInteger))) {
+      errors.push(`Rule ${name}: "ids" must be an array of integers`);
+    }
+    if (rule?.type === 'endsWith' && !/^\d+$/.test(String(rule.suffix ?? ''))) {
+      errors.push(`Rule ${name}: "suffix" must be digits`);
+    }
+    if (rule?.type === 'range' && !(Number.isInteger(rule.min) && Number.isInteger(rule.max) && rule.min <= rule.max)) {
+      errors.push(`Rule ${name}: "min"/"max" must be integers with min <= max`);
+    }
+  });
+
+  return errors;
+}
+
+// Parse a JSON rule set (e.g. BONUS_RULES_JSON); falls back to the defaults
+// when it is missing or invalid so a bad config never breaks claims.
+export function loadBonusRules(json) {
+  if (!json) return DEFAULT_BONUS_RULES;
+
+  try {
+    const rules = JSON.parse(json);
+    const errors = validateBonusRules(rules);
+    if (errors.length === 0) return rules;
+
+    console.error('❌ Invalid bonus rules, using defaults:', errors.join('; '));
+  } catch (e) {
+    console.error('❌ Could not parse bonus rules JSON, using defaults:', e.message);
+  }
+
+  return DEFAULT_BONUS_RULES;
+}
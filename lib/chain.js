@@ -0,0 +1,72 @@
+// lib/chain.js - Shared chain configuration and viem clients
+// CELO_RPC_URL + CHAIN_ID let the payout path run against a local dev chain
+// (e.g. `anvil --chain-id 31337`) instead of Celo mainnet.
+
+import { createPublicClient, createWalletClient, defineChain, http } from 'viem';
+import { celo } from 'viem/chains';
+import { privateKeyToAccount } from 'viem/accounts';
+
+export const RPC_URL = process.env.CELO_RPC_URL || 'https://forno.celo.org';
+export const NFT_CONTRACT_ADDRESS = process.env.NFT_CONTRACT_ADDRESS || '0xe90EC6F3f5C15cC76861CA5d41CD879548208Eff';
+
+function resolveChain() {
+  const chainId = Number(process.env.CHAIN_ID || celo.id);
+  if (chainId === celo.id) return celo;
+
+  return defineChain({
+    id: chainId,
+    name: `Local Chain ${chainId}`,
+    nativeCurrency: celo.nativeCurrency,
+    rpcUrls: { default: { http: [RPC_URL] } }
+  });
+}
+
+export const chain = resolveChain();
+
+export const publicClient = createPublicClient({
+  chain,
+  transport: http(RPC_URL)
+});
+
+function isConfiguredKey(privateKey) {
+  return Boolean(privateKey) && privateKey !== '0x...your_private_key_here...';
+}
+
+// Payout pool: AIRDROP_WALLET_PRIVATE_KEYS (comma-separated) or, for a pool
+// of one, AIRDROP_WALLET_PRIVATE_KEY. See lib/wallet-pool.js.
+export function getAirdropAccounts() {
+  const privateKeys = (process.env.AIRDROP_WALLET_PRIVATE_KEYS || process.env.AIRDROP_WALLET_PRIVATE_KEY || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(isConfiguredKey);
+
+  // Validate private key configuration
+  if (privateKeys.length === 0) {
+    throw new Error('AIRDROP_WALLET_PRIVATE_KEY not configured properly. Please set it in environment variables.');
+  }
+
+  return [...new Set(privateKeys)].map(key => privateKeyToAccount(key));
+}
+
+// First wallet of the pool
+export function getAirdropAccount() {
+  return getAirdropAccounts()[0];
+}
+
+// Optional wallet that refills the pool (AIRDROP_TREASURY_PRIVATE_KEY), or null
+export function getTreasuryAccount() {
+  const privateKey = process.env.AIRDROP_TREASURY_PRIVATE_KEY;
+  return isConfiguredKey(privateKey) ? privateKeyToAccount(privateKey) : null;
+}
+
+export function getAirdropWalletClient(account = getAirdropAccount()) {
+  return createWalletClient({
+    account,
+    chain,
+    transport: http(RPC_URL)
+  });
+}
+
+export function getExplorerTxUrl(hash) {
+  return chain.id === celo.id ? `https://celoscan.io/tx/${hash}` : null;
+}
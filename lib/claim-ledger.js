@@ -0,0 +1,344 @@
+// lib/claim-ledger.js - Durable airdrop claim ledger
+// Every claim is keyed by mint tx hash AND token ID so a mint can only be
+// paid once, no matter which serverless instance handles the request.
+//
+// The per-address index and earnings are KV lists (atomic RPUSH, no
+// read-modify-write), and the claim rate limit hands out SET NX slots, so
+// parallel requests can neither lose entries nor get past the limit together.
+
+import { randomBytes } from 'crypto';
+import { parseUnits, formatUnits } from 'viem';
+import { storage } from './storage.js';
+import { releasePredictionClaim } from './predictions.js';
+
+// ===== CONSTANTS =====
+const MAX_ADDRESS_HISTORY = 500; // Claims kept in the per-address index
+
+// pending -> queued -> submitting -> submitted -> sent | failed | review
+// pending -> held -> queued (approved) | failed (rejected) - see lib/risk.js
+export const CLAIM_STATUS = {
+  PENDING: 'pending', // Reserved, amount not calculated yet
+  HELD: 'held', // Flagged by risk scoring, waiting for admin review
+  QUEUED: 'queued', // Waiting for the payout worker to assign a nonce
+  SUBMITTING: 'submitting', // Signed and saved, broadcast not acknowledged yet
+  SUBMITTED: 'submitted', // Broadcast, waiting for confirmation
+  REVIEW: 'review', // Outcome unclear on chain - mint stays reserved until an admin resolves it
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+// ===== KEYS =====
+function claimKey(claimId) {
+  return `claim_${claimId}`;
+}
+
+function txKey(mintTxHash) {
+  return `claim_tx_${mintTxHash.toLowerCase()}`;
+}
+
+function tokenKey(tokenId) {
+  return `claim_token_${tokenId}`;
+}
+
+function addressKey(address) {
+  return `claims_addr_list_${address.toLowerCase()}`;
+}
+
+// Index written before it became a list (read-only)
+function legacyAddressKey(address) {
+  return `claims_addr_${address.toLowerCase()}`;
+}
+
+function rateSlotKey(address, slot) {
+  return `claims_rate_${address.toLowerCase()}_${slot}`;
+}
+
+function earningsKey(address) {
+  return `claims_earnings_${address.toLowerCase()}`;
+}
+
+// Earnings summary written before payouts were appended to a list (read-only)
+function legacySummaryKey(address) {
+  return `claims_summary_${address.toLowerCase()}`;
+}
+
+function generateClaimId() {
+  return randomBytes(8).toString('hex');
+}
+
+// Index entry of a claim; built the same way on push and remove so LREM matches
+function indexEntry(claim) {
+  return claim.tokenId
+    ? { claimId: claim.claimId, createdAt: claim.createdAt }
+    : { claimId: claim.claimId, createdAt: claim.createdAt, bonus: true };
+}
+
+async function getAddressIndex(address) {
+  const legacy = await storage.get(legacyAddressKey(address)) || [];
+  const entries = await storage.listRange(addressKey(address));
+  return [...legacy, ...entries];
+}
+
+async function addToAddressIndex(claim) {
+  await storage.listPush(addressKey(claim.userAddress), indexEntry(claim));
+  await storage.listTrim(addressKey(claim.userAddress), -MAX_ADDRESS_HISTORY);
+}
+
+// ===== READS =====
+export async function getClaim(claimId) {
+  return await storage.get(claimKey(claimId));
+}
+
+// Look up an existing claim by mint tx hash or token ID
+export async function findClaim({ mintTxHash, tokenId }) {
+  if (mintTxHash) {
+    const pointer = await storage.get(txKey(mintTxHash));
+    if (pointer?.claimId) return await getClaim(pointer.claimId);
+  }
+
+  if (tokenId !== undefined && tokenId !== null) {
+    const pointer = await storage.get(tokenKey(tokenId));
+    if (pointer?.claimId) return await getClaim(pointer.claimId);
+  }
+
+  return null;
+}
+
+// The address's first mint claim that hasn't failed, or null
+export async function getFirstMintClaim(address) {
+  const index = await getAddressIndex(address);
+  const first = index
+    .filter(entry => !entry.bonus)
+    .sort((a, b) => a.createdAt - b.createdAt)[0];
+
+  return first ? await getClaim(first.claimId) : null;
+}
+
+// Paginated claims for an address, newest first. Failed claims are dropped
+// from the address index, so this is the history of paid and pending claims.
+export async function getClaimHistory(address, { page = 1, limit = 10 } = {}) {
+  const index = await getAddressIndex(address);
+  const ordered = [...index].sort((a, b) => b.createdAt - a.createdAt);
+  const start = (page - 1) * limit;
+
+  const claims = [];
+  for (const entry of ordered.slice(start, start + limit)) {
+    const claim = await getClaim(entry.claimId);
+    if (claim) claims.push(claim);
+  }
+
+  return {
+    claims,
+    page,
+    limit,
+    total: ordered.length,
+    hasMore: start + limit < ordered.length
+  };
+}
+
+// Amounts are decimal strings with at most 4 decimals, so 18 is exact for any token
+function addEarnings(summary, entry) {
+  const previous = parseUnits(summary.totals[entry.token] || '0', 18);
+  summary.totals[entry.token] = formatUnits(previous + parseUnits(entry.amount, 18), 18);
+  summary.paidClaims += 1;
+  summary.lastPaidAt = Math.max(summary.lastPaidAt || 0, entry.paidAt);
+
+  // Bonus claims have no token, so they can't be the best mint bonus
+  if (entry.tokenId && (!summary.bestBonus || entry.multiplier > summary.bestBonus.multiplier)) {
+    summary.bestBonus = {
+      multiplier: entry.multiplier,
+      claimId: entry.claimId,
+      tokenId: entry.tokenId,
+      amount: entry.amount,
+      token: entry.token,
+      bonusMessages: entry.bonusMessages
+    };
+  }
+}
+
+// Lifetime earnings per token and the best bonus, summed from the paid claims
+// on read, so concurrent payouts can't overwrite each other's totals
+export async function getEarningsSummary(address) {
+  const legacy = await storage.get(legacySummaryKey(address));
+  const summary = legacy
+    ? { ...legacy, totals: { ...legacy.totals } }
+    : { totals: {}, paidClaims: 0, bestBonus: null, lastPaidAt: null };
+
+  // A claim completed twice (e.g. reconciled by two ticks) is only counted once
+  const counted = new Set();
+  for (const entry of await storage.listRange(earningsKey(address))) {
+    if (counted.has(entry.claimId)) continue;
+    counted.add(entry.claimId);
+    addEarnings(summary, entry);
+  }
+
+  return summary;
+}
+
+async function recordEarnings(claim) {
+  const multiplier = (claim.luckyMultiplier || 1) * (claim.rarityMultiplier || 1) *
+    (claim.predictionMultiplier || 1) * (claim.streakMultiplier || 1);
+
+  await storage.listPush(earningsKey(claim.userAddress), {
+    claimId: claim.claimId,
+    tokenId: claim.tokenId,
+    token: claim.payoutToken || 'CELO',
+    amount: claim.amount,
+    multiplier: Number(multiplier.toFixed(4)),
+    bonusMessages: claim.bonusMessages || [],
+    paidAt: claim.paidAt
+  });
+}
+
+// ===== WRITES =====
+
+// Reserve a claim slot before paying out. Both the tx hash and the token ID
+// are claimed atomically (SET NX), so two instances racing on the same mint
+// cannot both get `reserved: true`. `source` records which entry point
+// (user claim, mint webhook, ...) got there first; `rateSlot` is the
+// acquireClaimSlot() key the claim holds until it fails. Throws when storage
+// is down, so no claim is paid without a cross-instance reservation.
+export async function reserveClaim({ tokenId, userAddress, mintTxHash, source = 'claim', rateSlot = null }) {
+  const claimId = generateClaimId();
+  const tokenIdStr = String(tokenId);
+
+  if (!await storage.setIfAbsent(txKey(mintTxHash), { claimId })) {
+    return { reserved: false, claim: await findClaim({ mintTxHash }) };
+  }
+
+  let tokenReserved;
+  try {
+    tokenReserved = await storage.setIfAbsent(tokenKey(tokenIdStr), { claimId });
+  } catch (error) {
+    await storage.delete(txKey(mintTxHash));
+    throw error;
+  }
+
+  if (!tokenReserved) {
+    // Token already claimed through a different tx - give the tx slot back
+    await storage.delete(txKey(mintTxHash));
+    return { reserved: false, claim: await findClaim({ tokenId: tokenIdStr }) };
+  }
+
+  const now = Date.now();
+  const claim = {
+    claimId,
+    tokenId: tokenIdStr,
+    userAddress: userAddress.toLowerCase(),
+    mintTxHash: mintTxHash.toLowerCase(),
+    source,
+    rateSlot,
+    status: CLAIM_STATUS.PENDING,
+    amount: null,
+    payoutTxHash: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await storage.set(claimKey(claimId), claim);
+  await addToAddressIndex(claim);
+
+  return { reserved: true, claim };
+}
+
+// Ledger entry for a payout that isn't tied to a mint (e.g. a referral bonus).
+// Nothing is reserved; callers handle their own dedup. It shows up in the
+// address history but not in the claim rate limit.
+export async function createBonusClaim({ userAddress, source, ...details }) {
+  const claimId = generateClaimId();
+  const now = Date.now();
+  const claim = {
+    ...details,
+    claimId,
+    tokenId: null,
+    userAddress: userAddress.toLowerCase(),
+    mintTxHash: null,
+    source,
+    status: CLAIM_STATUS.PENDING,
+    amount: null,
+    payoutTxHash: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await storage.set(claimKey(claimId), claim);
+  await addToAddressIndex(claim);
+
+  return claim;
+}
+
+export async function updateClaim(claimId, updates) {
+  const claim = await getClaim(claimId);
+  if (!claim) {
+    throw new Error(`Claim ${claimId} not found in ledger`);
+  }
+
+  const updated = { ...claim, ...updates, updatedAt: Date.now() };
+  await storage.set(claimKey(claimId), updated);
+  return updated;
+}
+
+// Record a successful payout
+export async function completeClaim(claimId, { amount, payoutTxHash, ...details }) {
+  const claim = await updateClaim(claimId, {
+    ...details,
+    status: CLAIM_STATUS.SENT,
+    amount,
+    payoutTxHash,
+    paidAt: Date.now()
+  });
+
+  await recordEarnings(claim);
+  return claim;
+}
+
+// Record a failed payout. The tx/token reservations (and the prediction bound
+// to the claim) are released so the user can retry, and the claim no longer
+// counts against the rate limit.
+export async function failClaim(claimId, error) {
+  const claim = await updateClaim(claimId, {
+    status: CLAIM_STATUS.FAILED,
+    error: error?.message || String(error)
+  });
+
+  if (claim.mintTxHash) await storage.delete(txKey(claim.mintTxHash));
+  if (claim.tokenId) await storage.delete(tokenKey(claim.tokenId));
+  if (claim.predictionId) await releasePredictionClaim(claim.predictionId);
+  if (claim.rateSlot) await releaseClaimSlot(claim.rateSlot);
+
+  await storage.listRemove(addressKey(claim.userAddress), indexEntry(claim));
+
+  return claim;
+}
+
+// ===== RATE LIMIT =====
+
+// Take one of `max` claim slots for `address`. Each slot is a SET NX key that
+// expires after `windowMs`, so concurrent requests can't share a slot.
+// Returns `{ acquired: true, slotKey }` or `{ acquired: false, retryAt }`.
+export async function acquireClaimSlot(address, { windowMs, max }) {
+  const takenAt = Date.now();
+
+  for (let slot = 0; slot < max; slot++) {
+    const key = rateSlotKey(address, slot);
+    if (await storage.setIfAbsent(key, { takenAt }, Math.ceil(windowMs / 1000))) {
+      return { acquired: true, slotKey: key };
+    }
+  }
+
+  // The oldest slot frees up first
+  let oldest = takenAt;
+  for (let slot = 0; slot < max; slot++) {
+    const taken = await storage.get(rateSlotKey(address, slot));
+    if (taken?.takenAt < oldest) oldest = taken.takenAt;
+  }
+
+  return { acquired: false, retryAt: oldest + windowMs };
+}
+
+// Give a slot back (request rejected, or its claim failed)
+export async function releaseClaimSlot(slotKey) {
+  if (slotKey) await storage.delete(slotKey);
+}
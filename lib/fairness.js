@@ -0,0 +1,155 @@
+// lib/fairness.js - Provably fair airdrop base amounts
+//
+// Scheme (commit-reveal):
+//   serverSeed = HMAC-SHA256(AIRDROP_SEED_SECRET, "epoch:<epoch>")   (one seed per UTC day)
+//   commitment = SHA-256(serverSeed)                                  (published before use)
+//   roll       = SHA-256("<serverSeed>:<mintTxHash>:<mintBlockHash>")
+//   baseUnits  = MIN_UNITS + (roll mod (MAX_UNITS - MIN_UNITS + 1))   (units of 0.0001 CELO)
+//
+//   final      = min(hardCap, base × lucky × rarity × prediction × streak × risk)
+//
+// Seeds are revealed once their epoch is over, so anyone can recompute the
+// base amount of any past claim and check it against the commitment. The
+// multipliers and hard cap are recorded with each claim so the final amount
+// can be recomputed from the base amount too.
+
+import { createHash, createHmac } from 'crypto';
+import { storage } from './storage.js';
+
+// ===== CONSTANTS =====
+export const EPOCH_LENGTH = 86400000; // 1 day in ms
+export const AMOUNT_DECIMALS = 4; // Base amounts are multiples of 0.0001
+export const ALGORITHM = 'sha256(serverSeed:mintTxHash:mintBlockHash) mod range';
+export const FINAL_AMOUNT_FORMULA = 'min(hardCap, baseAmount * lucky * rarity * prediction * streak * risk)';
+
+const UNIT = 10 ** AMOUNT_DECIMALS;
+
+function sha256(input) {
+  return createHash('sha256').update(input).digest('hex');
+}
+
+function getSeedSecret() {
+  const secret = process.env.AIRDROP_SEED_SECRET;
+  if (!secret) {
+    throw new Error('AIRDROP_SEED_SECRET not configured. Please set it in environment variables.');
+  }
+  return secret;
+}
+
+function commitmentKey(epoch) {
+  return `fair_commit_${epoch}`;
+}
+
+// ===== EPOCHS =====
+export function getEpoch(timestampMs = Date.now()) {
+  return Math.floor(timestampMs / EPOCH_LENGTH);
+}
+
+export function isEpochRevealed(epoch) {
+  return epoch < getEpoch();
+}
+
+export function getServerSeed(epoch) {
+  return createHmac('sha256', getSeedSecret()).update(`epoch:${epoch}`).digest('hex');
+}
+
+// Commitment for an epoch. The first commitment served is pinned in storage,
+// so a later change of AIRDROP_SEED_SECRET shows up as a mismatch on reveal.
+export async function getCommitment(epoch) {
+  const commitment = sha256(getServerSeed(epoch));
+  const key = commitmentKey(epoch);
+
+  if (await storage.setIfAbsent(key, { commitment }, 90 * 86400)) {
+    return commitment;
+  }
+
+  const pinned = await storage.get(key);
+  return pinned?.commitment || commitment;
+}
+
+// ===== AMOUNTS =====
+
+// Pure function: anyone holding the revealed seed can run this
+export function computeBaseAmount({ serverSeed, mintTxHash, blockHash, minAmount, maxAmount }) {
+  const minUnits = BigInt(Math.round(parseFloat(minAmount) * UNIT));
+  const maxUnits = BigInt(Math.round(parseFloat(maxAmount) * UNIT));
+  const roll = sha256(`${serverSeed}:${mintTxHash.toLowerCase()}:${blockHash.toLowerCase()}`);
+
+  const units = minUnits + (BigInt(`0x${roll}`) % (maxUnits - minUnits + 1n));
+  return (Number(units) / UNIT).toFixed(AMOUNT_DECIMALS);
+}
+
+// Pure function: the paid amount from the base amount, the claim's multipliers and the hard cap
+export function computeFinalAmount({ baseAmount, multipliers, hardCap }) {
+  const { lucky = 1, rarity = 1, prediction = 1, streak = 1, risk = 1 } = multipliers || {};
+  const amount = parseFloat(baseAmount) * lucky * rarity * prediction * streak * risk;
+  const cap = parseFloat(hardCap);
+
+  return (amount > cap ? cap : amount).toFixed(AMOUNT_DECIMALS);
+}
+
+// Server-side roll for a new claim
+export async function rollBaseAmount({ mintTxHash, blockHash, mintTimestamp, minAmount, maxAmount }) {
+  const epoch = getEpoch(mintTimestamp);
+  const commitment = await getCommitment(epoch);
+  const baseAmount = computeBaseAmount({
+    serverSeed: getServerSeed(epoch),
+    mintTxHash,
+    blockHash,
+    minAmount,
+    maxAmount
+  });
+
+  return {
+    baseAmount,
+    fairness: {
+      epoch,
+      commitment,
+      mintTxHash: mintTxHash.toLowerCase(),
+      blockHash: blockHash.toLowerCase(),
+      minAmount,
+      maxAmount
+    }
+  };
+}
+
+// Recompute a past roll from its recorded inputs (only once the seed is revealed).
+// With `multipliers` and `hardCap` the final amount is checked as well.
+export async function verifyRoll({ epoch, mintTxHash, blockHash, baseAmount, minAmount, maxAmount, multipliers, hardCap, finalAmount }) {
+  const commitment = await getCommitment(epoch);
+
+  if (!isEpochRevealed(epoch)) {
+    return { revealed: false, epoch, commitment };
+  }
+
+  const serverSeed = getServerSeed(epoch);
+  const recomputed = computeBaseAmount({ serverSeed, mintTxHash, blockHash, minAmount, maxAmount });
+  const baseVerified = sha256(serverSeed) === commitment && recomputed === baseAmount;
+
+  // Older claims did not record their multipliers; only their base amount can be checked
+  if (!multipliers || hardCap === undefined) {
+    return {
+      revealed: true,
+      epoch,
+      commitment,
+      serverSeed,
+      commitmentValid: sha256(serverSeed) === commitment,
+      recomputedBaseAmount: recomputed,
+      verified: baseVerified
+    };
+  }
+
+  const recomputedFinal = computeFinalAmount({ baseAmount: recomputed, multipliers, hardCap });
+
+  return {
+    revealed: true,
+    epoch,
+    commitment,
+    serverSeed,
+    commitmentValid: sha256(serverSeed) === commitment,
+    recomputedBaseAmount: recomputed,
+    recomputedFinalAmount: recomputedFinal,
+    finalVerified: recomputedFinal === finalAmount,
+    verified: baseVerified && recomputedFinal === finalAmount
+  };
+}
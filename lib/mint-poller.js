@@ -0,0 +1,269 @@
+// lib/mint-poller.js - Cron-driven mint scanner with a durable block cursor
+//
+// Each run scans from the stored cursor up to `latest - MINT_POLL_CONFIRMATIONS`,
+// in getLogs chunks of MINT_POLL_CHUNK_SIZE blocks, and hands every Minted log
+// to rewardMint(). The ledger makes that idempotent, so rescanning a range
+// (after a reorg, a failed run or an admin backfill) never pays twice.
+//
+// The poller is a fallback for mints nobody claimed: a mint whose claim
+// deadline is still open is left to its owner and parked in the deferred
+// list (lib/rewards.js), which each run pays once the deadline has passed.
+//
+// Reorgs are detected by re-checking block hashes: the cursor stores the hash
+// of the last scanned block, and each log's block must still be canonical
+// before it is rewarded. On a mismatch the cursor rewinds and rescans.
+
+import { randomBytes } from 'crypto';
+import { publicClient, NFT_CONTRACT_ADDRESS } from './chain.js';
+import { storage } from './storage.js';
+import { getPauseState } from './treasury.js';
+import { resolvePayoutToken } from './payout-tokens.js';
+import { MINTED_EVENT, rewardMint, deferMint, processDeferredMints, tickPayoutQueue } from './rewards.js';
+
+// ===== CONFIGURATION =====
+const CONFIRMATIONS = BigInt(process.env.MINT_POLL_CONFIRMATIONS || '3');
+const CHUNK_SIZE = BigInt(process.env.MINT_POLL_CHUNK_SIZE || '500'); // Blocks per getLogs call
+const MAX_BLOCKS_PER_RUN = BigInt(process.env.MINT_POLL_MAX_BLOCKS || '5000');
+const START_BLOCK = process.env.MINT_POLL_START_BLOCK; // First run only
+const INITIAL_LOOKBACK = 100n; // First run without MINT_POLL_START_BLOCK
+const REORG_REWIND = 50n; // Blocks rescanned when the cursor block was reorged out
+const MAX_BACKFILL_BLOCKS = 100000n;
+
+const CURSOR_KEY = 'mint_poll_cursor';
+const LOCK_KEY = 'mint_poll_lock';
+const LOCK_TTL = 120; // seconds
+
+function minBigInt(a, b) {
+  return a < b ? a : b;
+}
+
+function maxBigInt(a, b) {
+  return a > b ? a : b;
+}
+
+// ===== CURSOR =====
+
+export async function getCursor() {
+  return await storage.get(CURSOR_KEY);
+}
+
+async function saveCursor(blockNumber) {
+  const block = await publicClient.getBlock({ blockNumber });
+  const cursor = {
+    blockNumber: blockNumber.toString(),
+    blockHash: block.hash,
+    updatedAt: Date.now()
+  };
+
+  await storage.set(CURSOR_KEY, cursor);
+  return cursor;
+}
+
+// ===== SCANNING =====
+
+// Is `blockHash` still the canonical block at `blockNumber`? Cached per scan.
+async function isCanonical(blockNumber, blockHash, cache) {
+  const key = blockNumber.toString();
+  if (!cache.has(key)) {
+    const block = await publicClient.getBlock({ blockNumber });
+    cache.set(key, block.hash);
+  }
+  return cache.get(key) === blockHash;
+}
+
+function toResult(log, reward) {
+  const base = {
+    tokenId: log.args.tokenId.toString(),
+    recipient: log.args.owner,
+    mintTxHash: log.transactionHash,
+    blockNumber: log.blockNumber.toString()
+  };
+
+  if (reward.queued) return { ...base, status: 'queued', claimId: reward.claim.claimId };
+  if (reward.held) return { ...base, status: 'held', claimId: reward.claim.claimId };
+  if (reward.deferred) return { ...base, status: 'deferred', retryAt: reward.retryAt };
+  if (reward.duplicate) return { ...base, status: 'duplicate', claimId: reward.claim.claimId };
+  return { ...base, status: 'rejected', code: reward.code, error: reward.error };
+}
+
+// Reward every Minted log in [fromBlock, toBlock] that its owner can no longer
+// claim; the others are deferred. Stops early on a reorged block or an error;
+// `lastBlock` is the last block that was fully handled.
+export async function scanMintRange(fromBlock, toBlock, { source = 'poller' } = {}) {
+  const payoutToken = resolvePayoutToken(null);
+  const blockHashes = new Map();
+  const results = [];
+
+  for (let start = fromBlock; start <= toBlock; start += CHUNK_SIZE) {
+    const end = minBigInt(start + CHUNK_SIZE - 1n, toBlock);
+    const logs = await publicClient.getLogs({
+      address: NFT_CONTRACT_ADDRESS,
+      event: MINTED_EVENT,
+      fromBlock: start,
+      toBlock: end
+    });
+
+    for (const log of logs) {
+      if (log.removed) continue;
+
+      if (!await isCanonical(log.blockNumber, log.blockHash, blockHashes)) {
+        console.warn(`🔀 Block ${log.blockNumber} was reorged (log in ${log.blockHash}) - stopping scan`);
+        return { results, lastBlock: log.blockNumber - 1n, reorg: { blockNumber: log.blockNumber.toString() } };
+      }
+
+      try {
+        const reward = await rewardMint({
+          tokenId: log.args.tokenId.toString(),
+          recipient: log.args.owner,
+          mintTxHash: log.transactionHash,
+          payoutToken,
+          source,
+          deferToClaimant: true
+        });
+        if (reward.deferred) {
+          await deferMint({
+            tokenId: log.args.tokenId.toString(),
+            recipient: log.args.owner,
+            mintTxHash: log.transactionHash,
+            source,
+            retryAt: reward.retryAt
+          });
+        }
+        results.push(toResult(log, reward));
+      } catch (error) {
+        console.error(`❌ Failed to reward token #${log.args.tokenId} from block ${log.blockNumber}:`, error.message);
+        return { results, lastBlock: log.blockNumber - 1n, error: error.message };
+      }
+    }
+  }
+
+  return { results, lastBlock: toBlock };
+}
+
+function summarize(results) {
+  const counts = { queued: 0, held: 0, deferred: 0, duplicate: 0, rejected: 0 };
+  for (const result of results) counts[result.status] += 1;
+  return counts;
+}
+
+// ===== POLL (cron) =====
+
+export async function pollMints() {
+  const pause = await getPauseState();
+  if (pause?.paused) {
+    return { skipped: true, paused: true, reason: pause.reason };
+  }
+
+  const lockId = randomBytes(8).toString('hex');
+  if (!await storage.setIfAbsent(LOCK_KEY, { lockId }, LOCK_TTL)) {
+    console.log('🔒 Mint poller already running - skipping');
+    return { skipped: true };
+  }
+
+  try {
+    // Mints left to their owners' claims (webhook, poller) whose deadline has passed
+    const deferredMints = await processDeferredMints();
+    if (deferredMints.queued > 0) {
+      await tickPayoutQueue();
+    }
+
+    const latest = await publicClient.getBlockNumber();
+    const safeHead = latest - CONFIRMATIONS;
+    const cursor = await getCursor();
+    let fromBlock;
+    let reorg = null;
+
+    if (cursor) {
+      const cursorBlock = BigInt(cursor.blockNumber);
+      const block = await publicClient.getBlock({ blockNumber: cursorBlock });
+
+      if (block.hash !== cursor.blockHash) {
+        fromBlock = maxBigInt(0n, cursorBlock - REORG_REWIND + 1n);
+        reorg = { blockNumber: cursor.blockNumber, expected: cursor.blockHash, actual: block.hash };
+        console.warn(`🔀 Reorg at cursor block ${cursorBlock} - rescanning from ${fromBlock}`);
+      } else {
+        fromBlock = cursorBlock + 1n;
+      }
+    } else {
+      fromBlock = START_BLOCK ? BigInt(START_BLOCK) : maxBigInt(0n, safeHead - INITIAL_LOOKBACK);
+    }
+
+    if (fromBlock > safeHead) {
+      return { upToDate: true, cursor, safeHead: safeHead.toString(), reorg, deferredMints };
+    }
+
+    const toBlock = minBigInt(safeHead, fromBlock + MAX_BLOCKS_PER_RUN - 1n);
+    const scan = await scanMintRange(fromBlock, toBlock, { source: 'poller' });
+
+    const nextCursor = scan.lastBlock >= fromBlock ? await saveCursor(scan.lastBlock) : cursor;
+    const counts = summarize(scan.results);
+
+    if (counts.queued > 0) {
+      await tickPayoutQueue();
+    }
+
+    console.log(`⛏️ Mint poll ${fromBlock}-${scan.lastBlock}: ${counts.queued} queued, ${counts.held} held, ${counts.deferred} deferred, ${counts.duplicate} duplicate, ${counts.rejected} rejected`);
+
+    return {
+      fromBlock: fromBlock.toString(),
+      toBlock: toBlock.toString(),
+      scannedTo: scan.lastBlock.toString(),
+      safeHead: safeHead.toString(),
+      cursor: nextCursor,
+      reorg: reorg || scan.reorg || null,
+      error: scan.error || null,
+      ...counts,
+      results: scan.results,
+      deferredMints
+    };
+  } finally {
+    const lock = await storage.get(LOCK_KEY);
+    if (lock?.lockId === lockId) {
+      await storage.delete(LOCK_KEY);
+    }
+  }
+}
+
+// ===== BACKFILL (admin) =====
+
+// Replay an explicit block range without touching the cursor. Safe to repeat:
+// already rewarded mints come back as duplicates. Missed mints older than the
+// claim window are still paid - that is the point of a backfill - but mints
+// still inside it are left to their owners.
+// Returns `{ accepted: false, error }` for an invalid range.
+export async function backfillMints({ fromBlock, toBlock }) {
+  const from = BigInt(fromBlock);
+  const to = BigInt(toBlock);
+  const safeHead = await publicClient.getBlockNumber() - CONFIRMATIONS;
+
+  if (from > to) {
+    return { accepted: false, error: 'fromBlock must be <= toBlock' };
+  }
+  if (to - from + 1n > MAX_BACKFILL_BLOCKS) {
+    return { accepted: false, error: `Backfill range is limited to ${MAX_BACKFILL_BLOCKS} blocks` };
+  }
+  if (to > safeHead) {
+    return { accepted: false, error: `toBlock must be <= ${safeHead} (${CONFIRMATIONS} confirmations)` };
+  }
+
+  const scan = await scanMintRange(from, to, { source: 'backfill' });
+  const counts = summarize(scan.results);
+
+  if (counts.queued > 0) {
+    await tickPayoutQueue();
+  }
+
+  console.log(`⏪ Backfill ${from}-${scan.lastBlock}: ${counts.queued} queued, ${counts.held} held, ${counts.deferred} deferred, ${counts.duplicate} duplicate, ${counts.rejected} rejected`);
+
+  return {
+    accepted: true,
+    fromBlock: from.toString(),
+    toBlock: to.toString(),
+    scannedTo: scan.lastBlock.toString(),
+    complete: scan.lastBlock === to,
+    reorg: scan.reorg || null,
+    error: scan.error || null,
+    ...counts,
+    results: scan.results
+  };
+}
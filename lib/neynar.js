@@ -0,0 +1,95 @@
+// lib/neynar.js - Neynar mini app notification client
+// Shared by the daily notification cron and operator alerts (plus FID lookups for referrals)
+
+// ===== NEYNAR API SENDER =====
+// `message.targetUrl` overrides the mini app URL the notification opens
+export async function sendMiniAppNotificationsToFids(targetFids, message, uuid) {
+  const apiKey = process.env.NEYNAR_API_KEY;
+  const miniAppUrl = message.targetUrl || process.env.MINIAPP_URL || 'https://celo-nft-phi.vercel.app/';
+
+  if (!apiKey) {
+    throw new Error('NEYNAR_API_KEY is not configured');
+  }
+
+  if (!Array.isArray(targetFids) || targetFids.length === 0) {
+    throw new Error('targetFids must be a non-empty array');
+  }
+
+  if (targetFids.length > 100) {
+    throw new Error('targetFids length must be <= 100');
+  }
+
+  const notificationUuid = uuid || `celo-nft-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+  const payload = {
+    target_fids: targetFids,
+    notification: {
+      title: message.title,
+      body: message.body,
+      target_url: miniAppUrl,
+      uuid: notificationUuid
+    }
+  };
+
+  console.log(`📤 Sending notification to ${targetFids.length} users`);
+
+  const response = await fetch(
+    'https://api.neynar.com/v2/farcaster/frame/notifications/',
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey
+      },
+      body: JSON.stringify(payload)
+    }
+  );
+
+  const responseText = await response.text();
+  console.log(`📥 Neynar response (${response.status}):`, responseText);
+
+  if (!response.ok) {
+    throw new Error(`Neynar API error: ${response.status} - ${responseText}`);
+  }
+
+  const data = JSON.parse(responseText);
+
+  const deliveries = Array.isArray(data.notification_deliveries)
+    ? data.notification_deliveries
+    : [];
+
+  const successfulFids = deliveries
+    .filter(d => d.status === 'success')
+    .map(d => d.fid);
+
+  console.log(`✅ Successfully sent to ${successfulFids.length} users`);
+
+  return { successfulFids, deliveries };
+}
+
+// ===== USER LOOKUP =====
+// First verified ETH address of a Farcaster user (custody address as fallback), or null
+export async function getVerifiedAddressForFid(fid) {
+  const apiKey = process.env.NEYNAR_API_KEY;
+  if (!apiKey) {
+    throw new Error('NEYNAR_API_KEY is not configured');
+  }
+
+  const response = await fetch(
+    `https://api.neynar.com/v2/farcaster/user/bulk?fids=${encodeURIComponent(fid)}`,
+    {
+      headers: { 'x-api-key': apiKey },
+      signal: AbortSignal.timeout(5000)
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Neynar API error: ${response.status}`);
+  }
+
+  const { users = [] } = await response.json();
+  const user = users[0];
+  if (!user) return null;
+
+  return user.verified_addresses?.eth_addresses?.[0] || user.custody_address || null;
+}
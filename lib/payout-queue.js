@@ -0,0 +1,575 @@
+// lib/payout-queue.js - Nonce-managed payout queue for the airdrop hot wallets
+//
+// Claims are persisted as `queued` in the claim ledger and pushed onto a FIFO
+// queue. A single worker at a time (KV lock) picks a pool wallet for each
+// payout (see lib/wallet-pool.js), assigns that wallet's nonces in order,
+// broadcasts without waiting for receipts, and on later ticks confirms
+// submitted payouts or re-broadcasts stuck ones with bumped fees.
+//
+// Every transaction is signed locally and saved on the claim (nonce, hash,
+// signed bytes) before it is broadcast, so a worker that dies mid-tick leaves
+// a `submitting` claim that the next tick reconciles against the chain
+// instead of paying it again. The lock is renewed before every item and only
+// released by the worker that holds it.
+
+import { randomBytes } from 'crypto';
+import { parseEther, formatEther, keccak256, TransactionReceiptNotFoundError } from 'viem';
+import { storage } from './storage.js';
+import { chain, publicClient, getExplorerTxUrl } from './chain.js';
+import {
+  CLAIM_STATUS,
+  getClaim,
+  updateClaim,
+  completeClaim,
+  failClaim
+} from './claim-ledger.js';
+import { authorizePayout, recordSpend, getPauseState, pausePayouts } from './treasury.js';
+import { alertLowBalance, alertPayoutReview, recordPayoutFailure } from './alerts.js';
+import {
+  getPayoutToken,
+  isNativeToken,
+  toTokenUnits,
+  buildTransfer
+} from './payout-tokens.js';
+import {
+  nonceKey,
+  getPoolWallets,
+  loadPoolState,
+  loadTokenBalances,
+  selectWallet,
+  recordWalletPayout
+} from './wallet-pool.js';
+
+// ===== CONSTANTS =====
+const QUEUE_KEY = 'payout_queue';
+const INFLIGHT_KEY = 'payout_inflight';
+const REVIEW_KEY = 'payout_review';
+const LOCK_KEY = 'payout_lock';
+const LOCK_TTL = 60; // seconds, renewed before every item
+const STUCK_AFTER_MS = 45000; // Re-broadcast with higher fees after 45s unconfirmed
+const NONCE_CONSUMED_GRACE_MS = 120000; // How long to wait for a receipt once our nonce is used
+const GAS_BUMP_PERCENT = 125n; // +25% per replacement (nodes require >= +10%)
+const MAX_GAS_BUMPS = 5;
+const MAX_BROADCAST_RETRIES = 3; // Re-sends of a saved signed payout before it goes to review
+const GAS_LIMIT_BUFFER_PERCENT = 120n; // Headroom over the estimate (contract wallets, token hooks)
+const FALLBACK_GAS_LIMIT = 100000n; // Only used to price a payout whose estimate failed
+const LOW_BALANCE_THRESHOLD = '1.0'; // Alert when below 1 CELO
+
+function bumpFee(value) {
+  return (BigInt(value) * GAS_BUMP_PERCENT) / 100n;
+}
+
+function maxBigInt(a, b) {
+  return a > b ? a : b;
+}
+
+// Fail a claim because the payout itself went wrong (not a policy rejection).
+// Only for payouts that provably moved no funds: this releases the mint.
+async function failPayout(claimId, error, from = null) {
+  await failClaim(claimId, error);
+  await recordPayoutFailure({ claimId, error });
+  await recordWalletPayout(from, 'failed');
+}
+
+// The chain doesn't tell us whether this payout went out (its nonce was used
+// by a transaction we don't know, or its signed tx can't be broadcast). Keep
+// the mint reserved and leave it to an admin (see resolvePayoutReview).
+async function holdForReview(claim, reason) {
+  await updateClaim(claim.claimId, { status: CLAIM_STATUS.REVIEW, error: reason });
+  await storage.listPush(REVIEW_KEY, { claimId: claim.claimId });
+  await alertPayoutReview({ claimId: claim.claimId, from: claim.payout.from, nonce: claim.payout.nonce, reason });
+  console.error(`🚩 Payout for claim ${claim.claimId} needs review: ${reason}`);
+}
+
+// ===== ENQUEUE =====
+
+// Persist the payout on the claim and queue it for the worker.
+// `amount` is a decimal string in units of `token` (CELO, cUSD, ...).
+export async function enqueuePayout(claimId, { to, amount, token = 'CELO' }) {
+  const payoutToken = getPayoutToken(token);
+
+  const claim = await updateClaim(claimId, {
+    status: CLAIM_STATUS.QUEUED,
+    amount,
+    payoutToken: payoutToken.symbol,
+    payout: {
+      to: to.toLowerCase(),
+      token: payoutToken.symbol,
+      value: toTokenUnits(payoutToken, amount).toString(),
+      queuedAt: Date.now(),
+      nonce: null,
+      txHashes: [],
+      attempts: 0,
+      lastSubmittedAt: null
+    }
+  });
+
+  await storage.listPush(QUEUE_KEY, { claimId });
+  console.log(`📥 Payout queued for claim ${claimId}: ${amount} ${payoutToken.symbol} → ${to}`);
+
+  return claim;
+}
+
+// ===== WORKER =====
+
+// Run one worker tick. Safe to call from any request: only one tick runs
+// at a time (for the whole pool), the others return `{ skipped: true }`.
+// While the treasury circuit breaker is tripped, in-flight payouts are still
+// confirmed but nothing new is broadcast.
+export async function processPayoutQueue({ maxItems = 10 } = {}) {
+  const lock = { lockId: randomBytes(8).toString('hex') };
+  if (!await storage.setIfAbsent(LOCK_KEY, lock, LOCK_TTL)) {
+    console.log('⏭️ Payout worker already running, skipping tick');
+    return { skipped: true };
+  }
+
+  // Called before every item; false once the lock expired and another worker took it
+  const keepLock = async () => {
+    if (await storage.expireIfEquals(LOCK_KEY, lock, LOCK_TTL)) return true;
+    console.error('🔒 Payout worker lost its lock, ending tick');
+    return false;
+  };
+
+  try {
+    const { confirmed, pending, lockLost } = await reconcileInflight(keepLock);
+    if (lockLost) {
+      return { skipped: false, lockLost: true, confirmed, submitted: 0 };
+    }
+
+    const pause = await getPauseState();
+    if (pause?.paused) {
+      console.warn(`⏸️ Payouts paused (${pause.reason}), leaving queue untouched`);
+      return { skipped: false, paused: true, confirmed, submitted: 0 };
+    }
+
+    const { submitted, lockLost: lostWhileSubmitting } = await submitQueued(pending, maxItems, keepLock);
+
+    return { skipped: false, paused: false, lockLost: lostWhileSubmitting, confirmed, submitted };
+  } finally {
+    await storage.deleteIfEquals(LOCK_KEY, lock);
+  }
+}
+
+// Receipt of whichever attempt got mined, or null. RPC errors are thrown:
+// treating an outage as "not mined" would end in a wrong verdict.
+async function findReceipt(txHashes) {
+  for (const hash of txHashes) {
+    try {
+      return await publicClient.getTransactionReceipt({ hash });
+    } catch (error) {
+      if (!(error instanceof TransactionReceiptNotFoundError)) throw error;
+      // Not mined (yet) - try the next replacement
+    }
+  }
+  return null;
+}
+
+// Sign locally so the hash is known - and saved on the claim - before the
+// transaction leaves this process
+async function signPayout(wallet, request) {
+  const serializedTransaction = await wallet.walletClient.account.signTransaction(
+    { ...request, chainId: chain.id, type: 'eip1559' },
+    { serializer: chain.serializers?.transaction }
+  );
+  return { serializedTransaction, hash: keccak256(serializedTransaction) };
+}
+
+// Broadcast a signed payout. Sending the same bytes again is harmless: the
+// transaction can only be mined once.
+async function broadcast(serializedTransaction) {
+  try {
+    await publicClient.sendRawTransaction({ serializedTransaction });
+  } catch (error) {
+    // An earlier attempt already reached the node
+    if (/already known|known transaction/i.test(error.details || error.message)) return;
+    throw error;
+  }
+}
+
+// Next nonce to use: our own cursor, unless the chain is already ahead of it
+async function getNextNonce(address) {
+  const pendingCount = await publicClient.getTransactionCount({ address, blockTag: 'pending' });
+  const cursor = await storage.get(nonceKey(address));
+  return Math.max(pendingCount, cursor?.nonce ?? 0);
+}
+
+async function estimatePayoutGas(account, tx) {
+  const estimate = await publicClient.estimateGas({ account, ...tx });
+  return (estimate * GAS_LIMIT_BUFFER_PERCENT) / 100n;
+}
+
+async function getFees() {
+  const fees = await publicClient.estimateFeesPerGas();
+  return {
+    maxFeePerGas: fees.maxFeePerGas,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+  };
+}
+
+// Confirm, fail or re-broadcast payouts that were already signed.
+// Returns the confirmed count and the payouts still pending per wallet.
+async function reconcileInflight(keepLock) {
+  const wallets = new Map(getPoolWallets().map(wallet => [wallet.address, wallet]));
+  const confirmedCounts = new Map();
+  const inflight = await storage.listRange(INFLIGHT_KEY);
+  const pending = {};
+  let confirmed = 0;
+
+  for (const entry of inflight) {
+    if (!await keepLock()) return { confirmed, pending, lockLost: true };
+
+    const claim = await getClaim(entry.claimId);
+
+    if (!claim?.payout || ![CLAIM_STATUS.SUBMITTING, CLAIM_STATUS.SUBMITTED].includes(claim.status)) {
+      await storage.listRemove(INFLIGHT_KEY, entry);
+      continue;
+    }
+
+    const { payout } = claim;
+    const from = payout.from;
+    const receipt = await findReceipt(payout.txHashes);
+
+    if (receipt) {
+      await storage.listRemove(INFLIGHT_KEY, entry);
+
+      if (receipt.status === 'success') {
+        await completeClaim(claim.claimId, {
+          amount: claim.amount,
+          payoutTxHash: receipt.transactionHash,
+          payout: { ...payout, confirmedAt: Date.now(), blockNumber: receipt.blockNumber.toString() }
+        });
+        await recordWalletPayout(from, 'confirmed');
+        confirmed++;
+        console.log(`✅ Payout confirmed for claim ${claim.claimId}: ${receipt.transactionHash}`);
+      } else {
+        await failPayout(claim.claimId, new Error(`Payout transaction ${receipt.transactionHash} reverted`), from);
+        console.error(`❌ Payout reverted for claim ${claim.claimId}: ${receipt.transactionHash}`);
+      }
+      continue;
+    }
+
+    const sinceSubmit = Date.now() - payout.lastSubmittedAt;
+
+    // Our nonce was used, but by none of our hashes (receipts can lag behind a bit).
+    // Whatever used it may still have paid this claim, so it is not released.
+    if (!confirmedCounts.has(from)) {
+      confirmedCounts.set(from, await publicClient.getTransactionCount({ address: from, blockTag: 'latest' }));
+    }
+    if (confirmedCounts.get(from) > payout.nonce) {
+      if (sinceSubmit > NONCE_CONSUMED_GRACE_MS) {
+        await storage.listRemove(INFLIGHT_KEY, entry);
+        await holdForReview(claim, `Nonce ${payout.nonce} consumed by a transaction not recorded for this claim`);
+      }
+      continue;
+    }
+
+    pending[from] = (pending[from] || 0) + 1;
+
+    // Saved but never acknowledged by the node (the worker died, or the RPC
+    // call failed): send the same signed bytes again
+    if (claim.status === CLAIM_STATUS.SUBMITTING) {
+      try {
+        await broadcast(payout.signedTx);
+        await updateClaim(claim.claimId, {
+          status: CLAIM_STATUS.SUBMITTED,
+          payout: { ...payout, lastSubmittedAt: Date.now() }
+        });
+        console.log(`📤 Payout for claim ${claim.claimId} broadcast on retry (nonce ${payout.nonce})`);
+      } catch (error) {
+        const broadcastFailures = (payout.broadcastFailures || 0) + 1;
+        console.error(`❌ Payout broadcast retry failed for claim ${claim.claimId}:`, error.message);
+
+        if (broadcastFailures >= MAX_BROADCAST_RETRIES) {
+          await storage.listRemove(INFLIGHT_KEY, entry);
+          await holdForReview(claim, `Signed payout could not be broadcast: ${error.shortMessage || error.message}`);
+        } else {
+          await updateClaim(claim.claimId, { payout: { ...payout, broadcastFailures } });
+        }
+      }
+      continue;
+    }
+
+    if (sinceSubmit < STUCK_AFTER_MS) continue;
+
+    // Wallet was removed from the pool: wait for the receipt, but no fee bumps
+    const wallet = wallets.get(from);
+    if (!wallet) {
+      console.error(`⚠️ Payout for claim ${claim.claimId} is stuck on ${from}, which is no longer in the pool`);
+      continue;
+    }
+
+    if (payout.attempts > MAX_GAS_BUMPS) {
+      console.error(`⚠️ Payout for claim ${claim.claimId} still stuck after ${MAX_GAS_BUMPS} fee bumps (nonce ${payout.nonce})`);
+      continue;
+    }
+
+    // Replacement: same nonce, fees bumped above both the last attempt and the current market.
+    // Its hash is saved first, so whichever attempt gets mined is recognised.
+    try {
+      const market = await getFees();
+      const maxFeePerGas = maxBigInt(bumpFee(payout.maxFeePerGas), market.maxFeePerGas);
+      const maxPriorityFeePerGas = maxBigInt(bumpFee(payout.maxPriorityFeePerGas), market.maxPriorityFeePerGas);
+
+      const token = getPayoutToken(payout.token);
+      const { serializedTransaction, hash } = await signPayout(wallet, {
+        ...buildTransfer(token, payout.to, BigInt(payout.value)),
+        gas: BigInt(payout.gas || 21000), // Older payouts were fixed 21000-gas transfers
+        nonce: payout.nonce,
+        maxFeePerGas,
+        maxPriorityFeePerGas
+      });
+
+      await updateClaim(claim.claimId, {
+        payout: {
+          ...payout,
+          txHashes: [...payout.txHashes, hash],
+          signedTx: serializedTransaction,
+          attempts: payout.attempts + 1,
+          maxFeePerGas: maxFeePerGas.toString(),
+          maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+          lastSubmittedAt: Date.now()
+        }
+      });
+
+      await broadcast(serializedTransaction);
+      console.log(`⛽ Re-broadcast stuck payout for claim ${claim.claimId} (nonce ${payout.nonce}): ${hash}`);
+    } catch (error) {
+      console.error(`❌ Fee bump failed for claim ${claim.claimId}:`, error.message);
+    }
+  }
+
+  return { confirmed, pending, lockLost: false };
+}
+
+// Pick a pool wallet for each queued payout in FIFO order, assign that
+// wallet's next nonce and broadcast
+async function submitQueued(pending, maxItems, keepLock) {
+  const queued = await storage.listRange(QUEUE_KEY, 0, maxItems - 1);
+  if (queued.length === 0) return { submitted: 0, lockLost: false };
+
+  const wallets = await loadPoolState(pending);
+  const lowBalanceThreshold = parseEther(LOW_BALANCE_THRESHOLD);
+
+  // ⭐ LOW BALANCE ALERT
+  for (const { address, balance } of wallets) {
+    if (balance >= lowBalanceThreshold) continue;
+
+    console.error(`
+⚠️⚠️⚠️ CRITICAL: AIRDROP WALLET LOW BALANCE ⚠️⚠️⚠️
+Current Balance: ${Number(formatEther(balance)).toFixed(4)} CELO
+Threshold: ${LOW_BALANCE_THRESHOLD} CELO
+Wallet Address: ${address}
+⚠️⚠️⚠️ PLEASE REFILL IMMEDIATELY ⚠️⚠️⚠️
+    `);
+
+    await alertLowBalance({
+      address,
+      balance: Number(formatEther(balance)).toFixed(4),
+      threshold: LOW_BALANCE_THRESHOLD
+    });
+  }
+
+  let submitted = 0;
+
+  for (const entry of queued) {
+    if (!await keepLock()) return { submitted, lockLost: true };
+
+    const claim = await getClaim(entry.claimId);
+
+    if (!claim?.payout || claim.status !== CLAIM_STATUS.QUEUED) {
+      await storage.listRemove(QUEUE_KEY, entry);
+      continue;
+    }
+
+    const token = getPayoutToken(claim.payout.token);
+    const value = BigInt(claim.payout.value);
+    const tx = buildTransfer(token, claim.payout.to, value);
+    const fees = await getFees();
+    await loadTokenBalances(wallets, token);
+
+    // Pick the wallet on a worst-case fee, then estimate from that wallet
+    const selection = selectWallet(wallets, { token, value, fee: FALLBACK_GAS_LIMIT * fees.maxFeePerGas });
+    if (selection.busy) {
+      console.warn('⏳ Every payout wallet has too many unconfirmed payouts, retrying next tick');
+      break;
+    }
+
+    const wallet = selection.wallet || selection.richest;
+    const { address } = wallet;
+
+    // Estimate rather than assume 21000 - contract-wallet recipients and ERC-20 transfers need more
+    let gas;
+    let gasError = null;
+    try {
+      gas = await estimatePayoutGas(address, tx);
+    } catch (error) {
+      gasError = error;
+      gas = FALLBACK_GAS_LIMIT;
+    }
+
+    // Without a wallet that covers the payout, this trips the balance breaker
+    const decision = await authorizePayout({
+      token: token.symbol,
+      to: claim.payout.to,
+      value,
+      fee: gas * fees.maxFeePerGas,
+      balance: wallet.balance,
+      tokenBalance: isNativeToken(token) ? null : wallet.tokenBalances[token.symbol]
+    });
+
+    if (!decision.allowed) {
+      // Budget or balance floor breached - trip the breaker, keep the payout queued
+      if (decision.pause) {
+        await pausePayouts(decision.pause.reason, {
+          by: 'circuit-breaker',
+          ttl: decision.pause.ttl,
+          code: decision.pause.code
+        });
+        break;
+      }
+
+      await storage.listRemove(QUEUE_KEY, entry);
+      await failClaim(claim.claimId, new Error(decision.reason));
+      continue;
+    }
+
+    if (gasError) {
+      console.error(`❌ Gas estimation failed for claim ${claim.claimId}:`, gasError.shortMessage || gasError.message);
+      await storage.listRemove(QUEUE_KEY, entry);
+      await failPayout(claim.claimId, new Error(`Payout would fail: ${gasError.shortMessage || gasError.message}`));
+      continue;
+    }
+
+    if (wallet.nonce === null) {
+      wallet.nonce = await getNextNonce(address);
+    }
+    const { nonce } = wallet;
+
+    // Save the signed payout before broadcasting: if this worker dies after
+    // the broadcast, the next tick finds the claim `submitting` with its hash
+    const { serializedTransaction, hash } = await signPayout(wallet, { ...tx, gas, nonce, ...fees });
+    const payout = {
+      ...claim.payout,
+      from: address,
+      nonce,
+      gas: gas.toString(),
+      txHashes: [hash],
+      signedTx: serializedTransaction,
+      attempts: 1,
+      maxFeePerGas: fees.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+      lastSubmittedAt: Date.now()
+    };
+
+    await updateClaim(claim.claimId, { status: CLAIM_STATUS.SUBMITTING, payoutTxHash: hash, payout });
+    await storage.listPush(INFLIGHT_KEY, entry);
+
+    wallet.nonce = nonce + 1;
+    wallet.pending++;
+    await storage.set(nonceKey(address), { nonce: wallet.nonce });
+    await recordSpend(claim.payout.to, decision.celoValue);
+    if (isNativeToken(token)) {
+      wallet.balance -= value + gas * fees.maxFeePerGas;
+    } else {
+      wallet.tokenBalances[token.symbol] -= value;
+      wallet.balance -= gas * fees.maxFeePerGas;
+    }
+
+    try {
+      await broadcast(serializedTransaction);
+    } catch (error) {
+      console.error(`❌ Payout broadcast failed for claim ${claim.claimId}:`, error.message);
+
+      // The node rejected the nonce (e.g. someone else used the wallet), so this
+      // transaction can never be mined: resync the wallet next tick and put the
+      // payout back to queued for another wallet
+      if (/nonce too low/i.test(error.details || error.message)) {
+        await updateClaim(claim.claimId, { status: CLAIM_STATUS.QUEUED, payoutTxHash: null, payout: claim.payout });
+        await storage.listRemove(INFLIGHT_KEY, entry);
+        await storage.delete(nonceKey(address));
+        wallet.excluded = true;
+        continue;
+      }
+
+      // Anything else may or may not have reached the node - the next tick
+      // re-sends the saved transaction (same nonce, so at most one is mined)
+      await storage.listRemove(QUEUE_KEY, entry);
+      continue;
+    }
+
+    await storage.listRemove(QUEUE_KEY, entry);
+    await updateClaim(claim.claimId, { status: CLAIM_STATUS.SUBMITTED });
+    await recordWalletPayout(address, 'submitted');
+    submitted++;
+
+    console.log(`📤 Payout submitted for claim ${claim.claimId} from ${address} (nonce ${nonce}): ${hash}`);
+  }
+
+  return { submitted, lockLost: false };
+}
+
+// ===== STATUS =====
+
+export async function getQueueStats() {
+  const queued = await storage.listRange(QUEUE_KEY);
+  const inflight = await storage.listRange(INFLIGHT_KEY);
+  const review = await storage.listRange(REVIEW_KEY);
+  return { queued: queued.length, inflight: inflight.length, review: review.map(entry => entry.claimId) };
+}
+
+// Unconfirmed payouts per wallet (lowercase address -> count)
+export async function getPendingByWallet() {
+  const pending = {};
+
+  for (const entry of await storage.listRange(INFLIGHT_KEY)) {
+    const claim = await getClaim(entry.claimId);
+    const inflight = [CLAIM_STATUS.SUBMITTING, CLAIM_STATUS.SUBMITTED].includes(claim?.status);
+    const from = inflight ? claim.payout?.from : null;
+    if (from) pending[from] = (pending[from] || 0) + 1;
+  }
+
+  return pending;
+}
+
+// ===== REVIEW =====
+
+// Settle a payout held for review once an admin has checked the chain:
+// `sent` with the tx that paid it, or `failed` when nothing went out (which
+// releases the mint so it can be claimed again)
+export async function resolvePayoutReview(claimId, { outcome, txHash }) {
+  const claim = await getClaim(claimId);
+  if (claim?.status !== CLAIM_STATUS.REVIEW) {
+    throw new Error(`Claim ${claimId} is not waiting for review`);
+  }
+
+  let resolved;
+  if (outcome === 'sent') {
+    if (!/^0x[a-fA-F0-9]{64}$/.test(txHash || '')) throw new Error('A payout tx hash is required');
+    resolved = await completeClaim(claimId, { amount: claim.amount, payoutTxHash: txHash, reviewedAt: Date.now() });
+  } else if (outcome === 'failed') {
+    resolved = await failClaim(claimId, new Error(`Payout not sent (admin review): ${claim.error}`));
+  } else {
+    throw new Error('Outcome must be "sent" or "failed"');
+  }
+
+  await storage.listRemove(REVIEW_KEY, { claimId });
+  return resolved;
+}
+
+// Public view of a claim for polling clients
+export function toClaimStatus(claim) {
+  const txHash = claim.payoutTxHash || null;
+
+  return {
+    claimId: claim.claimId,
+    status: claim.status,
+    tokenId: claim.tokenId,
+    amount: claim.amount,
+    token: claim.payoutToken || 'CELO',
+    txHash,
+    explorerUrl: txHash ? getExplorerTxUrl(txHash) : null,
+    error: claim.status === CLAIM_STATUS.FAILED ? claim.error : null,
+    createdAt: claim.createdAt,
+    updatedAt: claim.updatedAt
+  };
+}
@@ -0,0 +1,122 @@
+// lib/payout-tokens.js - Assets the airdrop can be paid in
+//
+// Amounts are configured per token in that token's own units. The lucky,
+// rarity and prediction multipliers are applied to the rolled base amount and
+// the result is capped at `absoluteMax`, exactly as for CELO. Stablecoin
+// ranges are roughly the USD value of the CELO ones.
+//
+// `usdValue` is what one token is worth in USD; the treasury uses it with the
+// CELO price to count every payout against the same CELO budgets.
+
+import { encodeFunctionData, parseUnits } from 'viem';
+
+export const ERC20_ABI = [
+  {
+    name: 'transfer',
+    type: 'function',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'to', type: 'address' },
+      { name: 'amount', type: 'uint256' }
+    ],
+    outputs: [{ type: 'bool' }]
+  },
+  {
+    name: 'balanceOf',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'account', type: 'address' }],
+    outputs: [{ type: 'uint256' }]
+  }
+];
+
+// ===== TOKEN CONFIG =====
+export const PAYOUT_TOKENS = {
+  CELO: {
+    symbol: 'CELO',
+    address: null, // Native transfer
+    decimals: 18,
+    minAmount: '0.005',
+    maxAmount: '0.01',
+    absoluteMax: '0.033'
+  },
+  cUSD: {
+    symbol: 'cUSD',
+    address: '0x765DE816845861e75A25fCA122bb6898B8B1282a',
+    decimals: 18,
+    minAmount: '0.0025',
+    maxAmount: '0.005',
+    absoluteMax: '0.0165',
+    usdValue: 1
+  },
+  cEUR: {
+    symbol: 'cEUR',
+    address: '0xD8763CBa276a3738E6DE85b4b3bF5FDed6D6cA73',
+    decimals: 18,
+    minAmount: '0.0025',
+    maxAmount: '0.005',
+    absoluteMax: '0.0165',
+    usdValue: 1.08 // Approximate EUR/USD, override with AIRDROP_CELO_RATE_CEUR
+  },
+  USDC: {
+    symbol: 'USDC',
+    address: '0xcebA9300f2b948710d2653dD7B07f33A8B32118C',
+    decimals: 6,
+    minAmount: '0.0025',
+    maxAmount: '0.005',
+    absoluteMax: '0.0165',
+    usdValue: 1
+  }
+};
+
+// AIRDROP_PAYOUT_TOKENS limits which tokens users may pick (comma separated)
+const ENABLED_TOKENS = (process.env.AIRDROP_PAYOUT_TOKENS || Object.keys(PAYOUT_TOKENS).join(','))
+  .split(',')
+  .map(symbol => symbol.trim())
+  .filter(symbol => PAYOUT_TOKENS[symbol]);
+
+export const DEFAULT_PAYOUT_TOKEN = PAYOUT_TOKENS[process.env.AIRDROP_DEFAULT_TOKEN]
+  ? process.env.AIRDROP_DEFAULT_TOKEN
+  : 'CELO';
+
+export function getEnabledPayoutTokens() {
+  return ENABLED_TOKENS.includes(DEFAULT_PAYOUT_TOKEN)
+    ? ENABLED_TOKENS
+    : [DEFAULT_PAYOUT_TOKEN, ...ENABLED_TOKENS];
+}
+
+// Resolve a user preference (case-insensitive) to a token config.
+// Missing preference falls back to the default; unknown or disabled ones return null.
+export function resolvePayoutToken(preference) {
+  if (!preference) return PAYOUT_TOKENS[DEFAULT_PAYOUT_TOKEN];
+
+  const symbol = getEnabledPayoutTokens()
+    .find(s => s.toLowerCase() === String(preference).toLowerCase());
+  return symbol ? PAYOUT_TOKENS[symbol] : null;
+}
+
+export function getPayoutToken(symbol) {
+  return PAYOUT_TOKENS[symbol] || PAYOUT_TOKENS.CELO;
+}
+
+export function isNativeToken(token) {
+  return !token.address;
+}
+
+// Amount (decimal string in token units) -> base units
+export function toTokenUnits(token, amount) {
+  return parseUnits(amount, token.decimals);
+}
+
+// Transaction fields for paying `value` base units of `token` to `to`
+export function buildTransfer(token, to, value) {
+  if (isNativeToken(token)) {
+    return { to, value };
+  }
+
+  return {
+    to: token.address,
+    value: 0n,
+    data: encodeFunctionData({ abi: ERC20_ABI, functionName: 'transfer', args: [to, value] })
+  };
+}
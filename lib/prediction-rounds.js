@@ -0,0 +1,107 @@
+// lib/prediction-rounds.js - Prediction round types
+//
+// Shared by the prediction API and the frontend (round selector), so it must
+// stay browser-safe: no Node imports and no process.env here. The server can
+// swap the whole set with PREDICTION_ROUNDS_JSON (see loadRoundTypes) and
+// serves the active rounds at GET /api/prediction?rounds=true.
+//
+// A round:
+//   id              unique, sent with the prediction
+//   label           shown in the selector, popups and bonus messages
+//   durationMs      how long the round runs
+//   endOfDay        instead of durationMs: the round ends at the next 00:00 UTC
+//   winMultiplier   airdrop multiplier for a correct prediction
+//   lossMultiplier  consolation multiplier for a wrong one
+//
+// The first round is the default (requests without a roundType).
+
+const DAY_MS = 86400000;
+const MIN_DURATION_MS = 10000;
+const MIN_END_OF_DAY_MS = 600000; // Closer to midnight than this rolls over to the next day
+const MAX_WIN_MULTIPLIER = 10;
+
+export const DEFAULT_ROUND_TYPES = [
+  { id: '1m', label: '1 Minute', durationMs: 60000, winMultiplier: 2, lossMultiplier: 0.5 },
+  { id: '5m', label: '5 Minutes', durationMs: 300000, winMultiplier: 2.5, lossMultiplier: 0.5 },
+  { id: '1h', label: '1 Hour', durationMs: 3600000, winMultiplier: 3, lossMultiplier: 0.4 },
+  { id: 'eod', label: 'End of Day', endOfDay: true, winMultiplier: 4, lossMultiplier: 0.25 }
+];
+
+// Round `id` from `rounds`; no id means the default round. Null if unknown.
+export function findRoundType(rounds, id) {
+  if (id === undefined || id === null || id === '') return rounds[0];
+  return rounds.find(round => round.id === String(id)) || null;
+}
+
+// When a round started at `startedAt` (ms) ends
+export function getRoundExpiry(round, startedAt) {
+  if (!round.endOfDay) return startedAt + round.durationMs;
+
+  const midnight = (Math.floor(startedAt / DAY_MS) + 1) * DAY_MS;
+  return midnight - startedAt < MIN_END_OF_DAY_MS ? midnight + DAY_MS : midnight;
+}
+
+export function getRoundMultiplier(round, correct) {
+  return correct ? round.winMultiplier : round.lossMultiplier;
+}
+
+// "45s", "5m", "1h 30m" - for timers and round durations
+export function formatRoundDuration(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+}
+
+// ===== VALIDATION =====
+
+// Returns a list of problems; empty when the round set is usable
+export function validateRoundTypes(rounds) {
+  if (!Array.isArray(rounds) || rounds.length === 0) return ['Prediction rounds must be a non-empty array'];
+
+  const errors = [];
+  const ids = new Set();
+
+  rounds.forEach((round, i) => {
+    const name = round?.id || `#${i}`;
+
+    if (!round || typeof round.id !== 'string') errors.push(`Round ${name}: missing id`);
+    else if (ids.has(round.id)) errors.push(`Round ${name}: duplicate id`);
+    else ids.add(round.id);
+
+    if (typeof round?.label !== 'string') errors.push(`Round ${name}: missing label`);
+    if (!round?.endOfDay && !(Number.isInteger(round?.durationMs) && round.durationMs >= MIN_DURATION_MS && round.durationMs <= DAY_MS)) {
+      errors.push(`Round ${name}: "durationMs" must be between ${MIN_DURATION_MS} and ${DAY_MS}, or set "endOfDay"`);
+    }
+    if (!(round?.winMultiplier >= 1 && round.winMultiplier <= MAX_WIN_MULTIPLIER)) {
+      errors.push(`Round ${name}: winMultiplier must be >= 1 and <= ${MAX_WIN_MULTIPLIER}`);
+    }
+    if (!(round?.lossMultiplier > 0 && round.lossMultiplier <= 1)) {
+      errors.push(`Round ${name}: lossMultiplier must be > 0 and <= 1`);
+    }
+  });
+
+  return errors;
+}
+
+// Parse a JSON round set (e.g. PREDICTION_ROUNDS_JSON); falls back to the
+// defaults when it is missing or invalid so a bad config never breaks the game.
+export function loadRoundTypes(json) {
+  if (!json) return DEFAULT_ROUND_TYPES;
+
+  try {
+    const rounds = JSON.parse(json);
+    const errors = validateRoundTypes(rounds);
+    if (errors.length === 0) return rounds;
+
+    console.error('❌ Invalid prediction rounds, using defaults:', errors.join('; '));
+  } catch (e) {
+    console.error('❌ Could not parse prediction rounds JSON, using defaults:', e.message);
+  }
+
+  return DEFAULT_ROUND_TYPES;
+}
@@ -0,0 +1,415 @@
+// lib/predictions.js - Shared access to the prediction store
+// api/prediction.js writes these keys, api/airdrop.js reads them to derive
+// the prediction multiplier server-side.
+//
+// Predictions resolve on the server after `expiresAt`: the resolution cron
+// (api/resolve-predictions.js) takes a price snapshot and sweeps the open
+// list, and reading an expired prediction's outcome resolves it once that
+// snapshot exists. Either way a prediction is resolved - and counted in the
+// stats - exactly once, against the first snapshot after its end (see
+// resolvePrediction). Requests never take snapshots, so nobody can time their exit price.
+//
+// Rules: one open prediction per address, no resolution before `expiresAt`
+// (minus RESOLVE_TOLERANCE_MS of clock slack), and the verify action consumes
+// a prediction once. Violations carry a PREDICTION_ERRORS code.
+//
+// Each prediction is played over a round type (lib/prediction-rounds.js) that
+// sets its length and win/loss multipliers; both are fixed on the prediction
+// when it is made, so a config change never alters a running round.
+
+import { storage } from './storage.js';
+import { takePriceSnapshot, getFirstSnapshotAfter } from './price.js';
+import { loadRoundTypes, findRoundType, getRoundExpiry, getRoundMultiplier } from './prediction-rounds.js';
+
+// ===== CONSTANTS =====
+export const STATS_TTL = 2592000; // 30 days
+export const PREDICTION_TTL = 600; // 10 minutes past the end of the round
+export const RESULT_TTL = 3600; // 1 hour - resolved results stay claimable this long
+const RESOLVING_TTL = 30; // seconds - a crashed resolution can be retried after this
+const RESOLVE_TOLERANCE_MS = 2000; // Client timers may fire slightly early
+// The sweep runs every minute; an end snapshot later than this means it was down
+const END_PRICE_TOLERANCE_MS = parseInt(process.env.PREDICTION_PRICE_TOLERANCE_SECONDS || '180', 10) * 1000;
+const OPEN_PREDICTIONS_KEY = 'pred_open';
+const MAX_RECENT_PREDICTIONS = 5; // Per address, for claim deadlines of automated payouts
+
+export const PREDICTION_ERRORS = {
+  INVALID: 'PREDICTION_INVALID',
+  NOT_FOUND: 'PREDICTION_NOT_FOUND',
+  NOT_EXPIRED: 'PREDICTION_NOT_EXPIRED',
+  ALREADY_ACTIVE: 'PREDICTION_ALREADY_ACTIVE',
+  ALREADY_CONSUMED: 'PREDICTION_ALREADY_CONSUMED',
+  NO_END_PRICE: 'PREDICTION_NO_END_PRICE'
+};
+
+// ===== ROUND TYPES =====
+// PREDICTION_ROUNDS_JSON replaces the whole set (see lib/prediction-rounds.js)
+export const PREDICTION_ROUNDS = loadRoundTypes(process.env.PREDICTION_ROUNDS_JSON);
+
+// Round `id`, the default round without one, or null if unknown
+export function getRoundType(id) {
+  return findRoundType(PREDICTION_ROUNDS, id);
+}
+
+// Predictions made before round types existed are 1-minute 2x/0.5x rounds
+function getPredictionRound(prediction) {
+  return {
+    id: prediction.roundType || '1m',
+    label: prediction.roundLabel || '1 Minute',
+    winMultiplier: prediction.winMultiplier ?? 2,
+    lossMultiplier: prediction.lossMultiplier ?? 0.5
+  };
+}
+
+// ===== STREAK BONUS TIERS =====
+// A correct prediction on a win streak adds a tier multiplier on top of the
+// round's win multiplier. STREAK_BONUS_TIERS overrides the tiers as
+// `minStreak:multiplier` pairs, e.g. "3:1.1,5:1.25,10:1.5".
+const DEFAULT_STREAK_TIERS = '3:1.1,5:1.25,10:1.5';
+
+// Highest tier first; invalid config falls back to the defaults
+export function parseStreakTiers(value) {
+  const parse = config => config.split(',').map(pair => {
+    const [minStreak, multiplier] = pair.split(':').map(Number);
+    return { minStreak, multiplier, label: `🔥 ${minStreak}-Win Streak` };
+  });
+
+  const tiers = parse(value || DEFAULT_STREAK_TIERS);
+  const valid = tiers.every(tier =>
+    Number.isInteger(tier.minStreak) && tier.minStreak > 1 &&
+    Number.isFinite(tier.multiplier) && tier.multiplier >= 1
+  );
+
+  if (!valid) {
+    console.error(`❌ Invalid STREAK_BONUS_TIERS "${value}" - using ${DEFAULT_STREAK_TIERS}`);
+    return parse(DEFAULT_STREAK_TIERS).sort((a, b) => b.minStreak - a.minStreak);
+  }
+
+  return tiers.sort((a, b) => b.minStreak - a.minStreak);
+}
+
+export const STREAK_TIERS = parseStreakTiers(process.env.STREAK_BONUS_TIERS);
+
+// Tier reached with `streak` correct predictions in a row, or null
+export function getStreakTier(streak) {
+  return STREAK_TIERS.find(tier => streak >= tier.minStreak) || null;
+}
+
+// ===== KEYS =====
+export function predictionKey(address, idOrTimestamp) {
+  return `pred_${address.toLowerCase()}_${idOrTimestamp}`;
+}
+
+export function predictionResultKey(address, predictionId) {
+  return `pred_result_${address.toLowerCase()}_${predictionId}`;
+}
+
+export function predictionClaimKey(predictionId) {
+  return `pred_claimed_${predictionId}`;
+}
+
+export function statsKey(address) {
+  return `stats_${address.toLowerCase()}`;
+}
+
+function resolvingKey(predictionId) {
+  return `pred_resolving_${predictionId}`;
+}
+
+function activeKey(address) {
+  return `pred_active_${address.toLowerCase()}`;
+}
+
+function verifiedKey(predictionId) {
+  return `pred_verified_${predictionId}`;
+}
+
+function recentKey(address) {
+  return `pred_recent_${address.toLowerCase()}`;
+}
+
+// ===== STATS =====
+export async function getPredictionStats(address) {
+  return await storage.get(statsKey(address)) || {
+    totalPredictions: 0,
+    correctPredictions: 0,
+    currentStreak: 0,
+    bestStreak: 0,
+    lastPredictionCorrect: false,
+  };
+}
+
+async function recordOutcome(address, correct) {
+  const stats = await getPredictionStats(address);
+
+  stats.totalPredictions++;
+  if (correct) {
+    stats.correctPredictions++;
+    stats.currentStreak = stats.lastPredictionCorrect ? stats.currentStreak + 1 : 1;
+    stats.bestStreak = Math.max(stats.bestStreak, stats.currentStreak);
+    stats.lastPredictionCorrect = true;
+  } else {
+    stats.currentStreak = 0;
+    stats.lastPredictionCorrect = false;
+  }
+
+  await storage.set(statsKey(address), stats, STATS_TTL);
+  return stats;
+}
+
+// ===== RESULTS =====
+export async function saveResolvedPrediction(result) {
+  const key = predictionResultKey(result.userAddress, result.predictionId);
+  await storage.set(key, result, RESULT_TTL);
+  return result;
+}
+
+export async function getResolvedPrediction(address, predictionId) {
+  if (!address || !predictionId) return null;
+  return await storage.get(predictionResultKey(address, predictionId));
+}
+
+// ===== OPEN PREDICTIONS =====
+
+export function isPredictionResolvable(prediction, now = Date.now()) {
+  return now >= prediction.expiresAt - RESOLVE_TOLERANCE_MS;
+}
+
+// Open predictions (and the active slot) are kept until PREDICTION_TTL past the round's end
+function getOpenTtl(expiresAt) {
+  return PREDICTION_TTL + Math.ceil(Math.max(0, expiresAt - Date.now()) / 1000);
+}
+
+// Claim the address's single open-prediction slot for `predictionId`, played
+// over `round`. A slot held by an expired prediction is freed by resolving
+// that one first. Returns `{ reserved: true }` or `{ reserved: false, active }`.
+export async function reserveActivePrediction(address, predictionId, round) {
+  const slot = { predictionId, reservedAt: Date.now() };
+  const ttl = getOpenTtl(getRoundExpiry(round, slot.reservedAt));
+  if (await storage.setIfAbsent(activeKey(address), slot, ttl)) {
+    return { reserved: true };
+  }
+
+  const active = await storage.get(activeKey(address));
+  const prediction = active ? await storage.get(predictionKey(address, active.predictionId)) : null;
+
+  if (active && prediction) {
+    if (!isPredictionResolvable(prediction)) {
+      return { reserved: false, active: { predictionId: prediction.predictionId, expiresAt: prediction.expiresAt } };
+    }
+
+    const outcome = await getPredictionOutcome(address, prediction.predictionId);
+    if (outcome.status === 'pending') {
+      return { reserved: false, active: { predictionId: prediction.predictionId, expiresAt: prediction.expiresAt } };
+    }
+  }
+
+  // Slot was stale (resolved, or its prediction expired from the store) - retry once
+  if (active) await releaseActivePrediction(address, active.predictionId);
+  return await storage.setIfAbsent(activeKey(address), slot, ttl)
+    ? { reserved: true }
+    : { reserved: false, active: null };
+}
+
+// Free the slot, if `predictionId` still holds it
+export async function releaseActivePrediction(address, predictionId) {
+  const active = await storage.get(activeKey(address));
+  if (active?.predictionId === predictionId) {
+    await storage.delete(activeKey(address));
+  }
+}
+
+// The verify action hands out a prediction's result once.
+// Returns false if it was already verified.
+export async function consumePredictionVerification(predictionId) {
+  return await storage.setIfAbsent(verifiedKey(predictionId), { verifiedAt: Date.now() }, RESULT_TTL);
+}
+
+// Store a new prediction under both keys and queue it for the resolution sweep
+export async function saveOpenPrediction(data) {
+  const ttl = getOpenTtl(data.expiresAt);
+  await storage.set(predictionKey(data.userAddress, data.timestamp), data, ttl);
+  await storage.set(predictionKey(data.userAddress, data.predictionId), data, ttl);
+  await storage.listPush(OPEN_PREDICTIONS_KEY, {
+    userAddress: data.userAddress,
+    predictionId: data.predictionId,
+    expiresAt: data.expiresAt
+  });
+
+  const recent = recentKey(data.userAddress);
+  await storage.listPush(recent, { predictionId: data.predictionId, timestamp: data.timestamp, expiresAt: data.expiresAt });
+  await storage.listTrim(recent, -MAX_RECENT_PREDICTIONS);
+}
+
+// `{ predictionId, timestamp, expiresAt }` of the address's last few predictions,
+// resolved or not - for callers that don't know which one goes with a mint
+export async function getRecentPredictions(address) {
+  return await storage.listRange(recentKey(address));
+}
+
+// ===== RESOLUTION =====
+
+// Was the end snapshot taken close enough to the round's end?
+export function isEndPriceValid(quote, expiresAt) {
+  return quote.fetchedAt >= expiresAt && quote.fetchedAt - expiresAt <= END_PRICE_TOLERANCE_MS;
+}
+
+// Resolve `prediction` against the first snapshot after `expiresAt`. Only one
+// caller wins; it updates the stats and stores the result. Returns the
+// result, or null while another caller is resolving or the snapshot hasn't
+// been taken yet. If the sweep took no snapshot within END_PRICE_TOLERANCE_MS
+// of the end (it was down), the prediction is void: no win or loss, 1x, stats untouched.
+export async function resolvePrediction(prediction) {
+  const addr = prediction.userAddress;
+  const existing = await getResolvedPrediction(addr, prediction.predictionId);
+  if (existing) return existing;
+
+  if (!await storage.setIfAbsent(resolvingKey(prediction.predictionId), { at: Date.now() }, RESOLVING_TTL)) {
+    return await getResolvedPrediction(addr, prediction.predictionId);
+  }
+
+  let quote;
+  try {
+    quote = await getFirstSnapshotAfter(prediction.expiresAt);
+  } catch (error) {
+    await storage.delete(resolvingKey(prediction.predictionId));
+    throw error;
+  }
+
+  if (!quote && Date.now() - prediction.expiresAt <= END_PRICE_TOLERANCE_MS) {
+    await storage.delete(resolvingKey(prediction.predictionId));
+    return null;
+  }
+
+  const round = getPredictionRound(prediction);
+  const base = {
+    predictionId: prediction.predictionId,
+    userAddress: addr,
+    prediction: prediction.prediction,
+    roundType: round.id,
+    roundLabel: round.label,
+    startPrice: prediction.currentPrice,
+    timestamp: prediction.timestamp,
+    expiresAt: prediction.expiresAt,
+    resolvedAt: Date.now()
+  };
+
+  let result;
+  if (!quote || !isEndPriceValid(quote, prediction.expiresAt)) {
+    result = await saveResolvedPrediction({
+      ...base,
+      void: true,
+      code: PREDICTION_ERRORS.NO_END_PRICE,
+      correct: null,
+      multiplier: 1,
+      endPrice: null,
+      endPriceAt: null
+    });
+    console.error(`❌ ${round.label} prediction ${prediction.predictionId} void: no end price snapshot within ${END_PRICE_TOLERANCE_MS / 1000}s - is the resolution cron running?`);
+  } else {
+    const endPrice = quote.price;
+    const actuallyUp = endPrice - prediction.currentPrice > 0;
+    const correct = (prediction.prediction === 'up') === actuallyUp;
+    const stats = await recordOutcome(addr, correct);
+
+    // Keep the resolved result so /api/airdrop can derive the multiplier
+    // (and the streak tier, from the streak as of this prediction) itself
+    result = await saveResolvedPrediction({
+      ...base,
+      correct,
+      multiplier: getRoundMultiplier(round, correct),
+      streak: stats.currentStreak,
+      endPrice,
+      endPriceAt: quote.fetchedAt,
+      priceSources: quote.sources
+    });
+    console.log(`🎯 ${round.label} prediction ${prediction.predictionId} resolved: ${prediction.prediction} ${prediction.currentPrice} → ${endPrice} (${correct ? 'correct' : 'wrong'})`);
+  }
+
+  await storage.delete(predictionKey(addr, prediction.predictionId));
+  await storage.delete(predictionKey(addr, prediction.timestamp));
+  await releaseActivePrediction(addr, prediction.predictionId);
+
+  return result;
+}
+
+// Outcome of a prediction, resolving it first if it has expired:
+// `{ status: 'resolved', result }`, `{ status: 'pending', expiresAt }` or
+// `{ status: 'not_found' }` (unknown, or expired from the store unresolved)
+export async function getPredictionOutcome(address, predictionId) {
+  const resolved = await getResolvedPrediction(address, predictionId);
+  if (resolved) return { status: 'resolved', result: resolved };
+
+  const prediction = await storage.get(predictionKey(address, predictionId));
+  if (!prediction) return { status: 'not_found' };
+
+  if (!isPredictionResolvable(prediction)) {
+    return { status: 'pending', expiresAt: prediction.expiresAt };
+  }
+
+  const result = await resolvePrediction(prediction);
+  return result
+    ? { status: 'resolved', result }
+    : { status: 'pending', expiresAt: prediction.expiresAt };
+}
+
+// Resolved result or open prediction, without resolving it
+export async function findPrediction(address, predictionId) {
+  if (!address || !predictionId) return null;
+  return await getResolvedPrediction(address, predictionId)
+    || await storage.get(predictionKey(address, predictionId));
+}
+
+// Cron sweep: snapshot the price for rounds that just ended, then resolve
+// every open prediction past `expiresAt`
+export async function resolveExpiredPredictions() {
+  const open = await storage.listRange(OPEN_PREDICTIONS_KEY);
+  const now = Date.now();
+  const counts = { resolved: 0, void: 0, waiting: 0, dropped: 0, failed: 0 };
+
+  if (open.some(entry => entry.expiresAt <= now)) {
+    try {
+      await takePriceSnapshot();
+    } catch (error) {
+      console.error('❌ Could not take the end price snapshot:', error.message);
+    }
+  }
+
+  for (const entry of open) {
+    if (!isPredictionResolvable(entry, now)) {
+      counts.waiting++;
+      continue;
+    }
+
+    try {
+      const outcome = await getPredictionOutcome(entry.userAddress, entry.predictionId);
+      if (outcome.status === 'pending') {
+        counts.waiting++;
+        continue;
+      }
+
+      await storage.listRemove(OPEN_PREDICTIONS_KEY, entry);
+      if (outcome.status !== 'resolved') counts.dropped++;
+      else counts[outcome.result.void ? 'void' : 'resolved']++;
+    } catch (error) {
+      console.error(`❌ Could not resolve prediction ${entry.predictionId}:`, error.message);
+      counts.failed++;
+    }
+  }
+
+  return counts;
+}
+
+// Bind a resolved prediction to a single airdrop claim.
+// Returns false if the prediction was already used by another claim.
+export async function consumePredictionForClaim(predictionId, claimId) {
+  return await storage.setIfAbsent(
+    predictionClaimKey(predictionId),
+    { claimId, consumedAt: Date.now() },
+    RESULT_TTL
+  );
+}
+
+// Undo consumePredictionForClaim when the claim's payout failed
+export async function releasePredictionClaim(predictionId) {
+  await storage.delete(predictionClaimKey(predictionId));
+}
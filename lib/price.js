@@ -0,0 +1,245 @@
+// lib/price.js - Server-side CELO/USD price, aggregated from several sources
+//
+// Serves the prediction game (api/prediction.js records start and end prices
+// itself; clients only send UP/DOWN) and /api/price, which the frontend uses
+// for the mint price snapshot and the wallet USD value.
+//
+// Every source is queried, stale quotes are dropped, then quotes more than
+// PRICE_MAX_DEVIATION away from the median are rejected as outliers and the
+// median of the rest is the price. Results are cached for PRICE_CACHE_SECONDS.
+// Prediction end prices come from snapshots that only the resolution sweep
+// takes (takePriceSnapshot), never from a price some request happened to fetch.
+//
+// setPriceSources() swaps the sources out, e.g. for a fixed local feed in tests:
+//
+//   setPriceSources([createFixedPriceSource(0.5)]);
+
+import { storage } from './storage.js';
+import { publicClient, chain } from './chain.js';
+
+// ===== CONFIGURATION =====
+const FETCH_TIMEOUT_MS = 5000;
+const CACHE_SECONDS = parseInt(process.env.PRICE_CACHE_SECONDS || '10', 10);
+const MAX_QUOTE_AGE_MS = parseInt(process.env.PRICE_MAX_AGE_SECONDS || '300', 10) * 1000;
+const MAX_DEVIATION = parseFloat(process.env.PRICE_MAX_DEVIATION || '0.02'); // 2% from the median
+const MIN_SOURCES = parseInt(process.env.PRICE_MIN_SOURCES || '1', 10); // Quotes needed after filtering
+
+const HISTORY_SIZE = parseInt(process.env.PRICE_HISTORY_SIZE || '1000', 10); // Snapshots kept
+
+const CACHE_KEY = 'price_celo_usd';
+const SNAPSHOTS_KEY = 'price_celo_usd_snapshots';
+
+// Celo mainnet SortedOracles, quoting cUSD per CELO
+const SORTED_ORACLES_ADDRESS = '0xefB84935239dAcdecF7c5bA76d8dE40b077B7b33';
+const CUSD_ADDRESS = '0x765DE816845861e75A25fCA122bb6898B8B1282a';
+const CELO_MAINNET_ID = 42220;
+
+const SORTED_ORACLES_ABI = [
+  {
+    name: 'medianRate',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'token', type: 'address' }],
+    outputs: [{ type: 'uint256' }, { type: 'uint256' }]
+  },
+  {
+    name: 'medianTimestamp',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'token', type: 'address' }],
+    outputs: [{ type: 'uint256' }]
+  }
+];
+
+async function fetchJson(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return await response.json();
+}
+
+// ===== SOURCES =====
+// Each source is `{ name, fetchQuote: async () => quote }` where quote is
+// `{ price, timestamp? }` (USD per CELO, ms) or just the price. Quotes
+// without a timestamp count as fresh.
+
+const coingeckoSource = {
+  name: 'coingecko',
+  fetchQuote: async () => {
+    const data = await fetchJson('https://api.coingecko.com/api/v3/simple/price?ids=celo&vs_currencies=usd&include_24hr_change=true&include_last_updated_at=true');
+    return {
+      price: data?.celo?.usd,
+      timestamp: data?.celo?.last_updated_at ? data.celo.last_updated_at * 1000 : null,
+      change24h: data?.celo?.usd_24h_change ?? null
+    };
+  }
+};
+
+const binanceSource = {
+  name: 'binance',
+  fetchQuote: async () => {
+    const data = await fetchJson('https://api.binance.com/api/v3/ticker/price?symbol=CELOUSDT');
+    return { price: data?.price };
+  }
+};
+
+const coinbaseSource = {
+  name: 'coinbase',
+  fetchQuote: async () => {
+    const data = await fetchJson('https://api.coinbase.com/v2/prices/CELO-USD/spot');
+    return { price: data?.data?.amount };
+  }
+};
+
+// Mento's on-chain oracle: cUSD per CELO (cUSD tracks USD)
+const sortedOraclesSource = {
+  name: 'sorted-oracles',
+  fetchQuote: async () => {
+    if (chain.id !== CELO_MAINNET_ID) {
+      throw new Error('only available on Celo mainnet');
+    }
+
+    const [[numerator, denominator], timestamp] = await Promise.all([
+      publicClient.readContract({
+        address: SORTED_ORACLES_ADDRESS,
+        abi: SORTED_ORACLES_ABI,
+        functionName: 'medianRate',
+        args: [CUSD_ADDRESS]
+      }),
+      publicClient.readContract({
+        address: SORTED_ORACLES_ADDRESS,
+        abi: SORTED_ORACLES_ABI,
+        functionName: 'medianTimestamp',
+        args: [CUSD_ADDRESS]
+      })
+    ]);
+
+    if (denominator === 0n) throw new Error('no oracle rate');
+    return {
+      price: Number(numerator * 1000000n / denominator) / 1e6,
+      timestamp: Number(timestamp) * 1000
+    };
+  }
+};
+
+export const DEFAULT_PRICE_SOURCES = [coingeckoSource, binanceSource, coinbaseSource, sortedOraclesSource];
+
+let priceSources = DEFAULT_PRICE_SOURCES;
+
+// Swap the source list (tests, local dev)
+export function setPriceSources(sources) {
+  priceSources = sources;
+}
+
+// Source that always quotes `price`
+export function createFixedPriceSource(price, name = `fixed-${price}`) {
+  return { name, fetchQuote: async () => ({ price }) };
+}
+
+// ===== AGGREGATION =====
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+async function fetchSourceQuote(source, now) {
+  try {
+    const raw = await source.fetchQuote();
+    const quote = typeof raw === 'object' && raw !== null ? raw : { price: raw };
+    const price = Number(quote.price);
+
+    if (!Number.isFinite(price) || price <= 0) {
+      return { source: source.name, rejected: 'invalid', price: quote.price ?? null };
+    }
+    if (quote.timestamp && now - quote.timestamp > MAX_QUOTE_AGE_MS) {
+      return { source: source.name, rejected: 'stale', price, timestamp: quote.timestamp };
+    }
+
+    return { source: source.name, price, timestamp: quote.timestamp || now, change24h: quote.change24h ?? null };
+  } catch (error) {
+    return { source: source.name, rejected: 'error', error: error.message };
+  }
+}
+
+// Query every source and aggregate. Returns the full breakdown; throws
+// when fewer than MIN_SOURCES quotes survive.
+async function aggregatePrice() {
+  const now = Date.now();
+  const results = await Promise.all(priceSources.map(source => fetchSourceQuote(source, now)));
+
+  const fresh = results.filter(result => !result.rejected);
+  if (fresh.length === 0) {
+    throw new Error(`CELO price unavailable from all sources (${results.map(r => `${r.source}: ${r.rejected}`).join(', ')})`);
+  }
+
+  const firstMedian = median(fresh.map(quote => quote.price));
+  for (const quote of fresh) {
+    if (Math.abs(quote.price - firstMedian) / firstMedian > MAX_DEVIATION) {
+      quote.rejected = 'outlier';
+    }
+  }
+
+  const accepted = fresh.filter(quote => !quote.rejected);
+  if (accepted.length < Math.max(1, MIN_SOURCES)) {
+    throw new Error(`Only ${accepted.length} CELO price source(s) agree, need ${MIN_SOURCES}`);
+  }
+
+  for (const result of results.filter(r => r.rejected)) {
+    console.warn(`⚠️ Price source ${result.source} rejected (${result.rejected})${result.error ? `: ${result.error}` : ''}`);
+  }
+
+  return {
+    price: median(accepted.map(quote => quote.price)),
+    sources: accepted.map(quote => quote.source),
+    quotes: results,
+    change24h: accepted.find(quote => quote.change24h !== null)?.change24h ?? null,
+    fetchedAt: now
+  };
+}
+
+// ===== PRICE =====
+
+// `{ price, sources, quotes, change24h, fetchedAt, cached }`. Cached for
+// CACHE_SECONDS across instances; throws when no usable price is available.
+// `notBefore` (ms) skips a cached price fetched before then.
+export async function getCeloPrice({ notBefore = 0 } = {}) {
+  const sourceSet = priceSources.map(source => source.name).join(',');
+
+  const cached = await storage.get(CACHE_KEY);
+  if (cached?.sourceSet === sourceSet && Date.now() - cached.fetchedAt < CACHE_SECONDS * 1000 && cached.fetchedAt >= notBefore) {
+    return { ...cached.result, cached: true };
+  }
+
+  const result = await aggregatePrice();
+  await storage.set(CACHE_KEY, { sourceSet, fetchedAt: result.fetchedAt, result }, CACHE_SECONDS);
+
+  console.log(`💲 CELO price $${result.price.toFixed(4)} from ${result.sources.join(', ')}`);
+  return { ...result, cached: false };
+}
+
+// ===== SNAPSHOTS =====
+
+// Fetch a fresh price and keep it as a snapshot. Server schedule only (the
+// prediction sweep): a snapshot decides which price ends a round, so no
+// caller-driven path may take one.
+export async function takePriceSnapshot() {
+  const { price, sources, fetchedAt } = await getCeloPrice({ notBefore: Date.now() });
+  const snapshot = { price, sources, fetchedAt };
+
+  await storage.listPush(SNAPSHOTS_KEY, snapshot);
+  await storage.listTrim(SNAPSHOTS_KEY, -HISTORY_SIZE);
+
+  return snapshot;
+}
+
+// The first snapshot taken at or after `from` (ms): `{ price, sources, fetchedAt }` or null
+export async function getFirstSnapshotAfter(from) {
+  const snapshots = await storage.listRange(SNAPSHOTS_KEY);
+
+  return snapshots
+    .filter(snapshot => snapshot.fetchedAt >= from)
+    .reduce((first, snapshot) => (!first || snapshot.fetchedAt < first.fetchedAt ? snapshot : first), null);
+}
@@ -0,0 +1,296 @@
+// lib/referrals.js - Referral edges and attributed airdrop bonuses
+//
+// Share links carry `?ref=<address or FID>`. The frontend sends it with the
+// airdrop claim, which records a referral edge (referee -> referrer) for
+// wallets on their first mint. When that first mint's airdrop is queued -
+// through whichever path rewards it - the referrer gets a bonus: a share of
+// the referee's airdrop, capped per payout and per referrer.
+//
+// Self-referral checks: same wallet, referrer has never minted, the two
+// wallets referring each other, or both wallets claiming from the same IP or
+// device (see getClientWallets() in lib/risk.js). Referees whose airdrop was
+// reduced or held by risk scoring don't earn their referrer anything.
+
+import { isAddress, parseUnits, formatUnits } from 'viem';
+import { storage } from './storage.js';
+import { CLAIM_STATUS, findClaim, getFirstMintClaim, createBonusClaim, failClaim } from './claim-ledger.js';
+import { enqueuePayout } from './payout-queue.js';
+import { checkClaimAllowed } from './treasury.js';
+import { getPayoutToken } from './payout-tokens.js';
+import { getVerifiedAddressForFid } from './neynar.js';
+import { RISK_DECISIONS, getClientWallets } from './risk.js';
+
+// ===== CONFIGURATION =====
+const BONUS_SHARE = parseFloat(process.env.REFERRAL_BONUS_SHARE || '0.25'); // Of the referee's airdrop
+const MAX_CONVERSIONS = parseInt(process.env.REFERRAL_MAX_CONVERSIONS || '25', 10); // Paid referrals per referrer
+const MAX_RECENT = 50; // Referrals listed in the stats view
+
+export const REFERRAL_STATUS = {
+  PENDING: 'pending', // Recorded, waiting for the referee's first airdrop
+  CONVERTED: 'converted', // Referrer bonus queued
+  REJECTED: 'rejected' // No bonus (see `reason`)
+};
+
+// ===== KEYS =====
+function edgeKey(referee) {
+  return `referral_edge_${referee.toLowerCase()}`;
+}
+
+function convertedKey(referee) {
+  return `referral_converted_${referee.toLowerCase()}`;
+}
+
+// One key per paid referral; taking a free slot is what counts a conversion
+function conversionSlotKey(referrer, slot) {
+  return `referral_slot_${referrer.toLowerCase()}_${slot}`;
+}
+
+function statsKey(referrer) {
+  return `referral_stats_${referrer.toLowerCase()}`;
+}
+
+// ===== READS =====
+
+export async function getReferralStats(referrer) {
+  return await storage.get(statsKey(referrer)) || {
+    invites: 0,
+    conversions: 0,
+    rejected: 0,
+    earned: {},
+    recent: []
+  };
+}
+
+async function updateStats(referrer, update) {
+  const stats = await getReferralStats(referrer);
+  update(stats);
+  stats.recent = stats.recent.slice(-MAX_RECENT);
+  await storage.set(statsKey(referrer), stats);
+}
+
+function setRecentStatus(stats, referee, status) {
+  const entry = stats.recent.find(item => item.referee === referee);
+  if (entry) entry.status = status;
+}
+
+// `ref` is an address or a Farcaster FID. Returns a lowercase address or null.
+async function resolveReferrer(ref) {
+  const value = String(ref).trim();
+  if (isAddress(value, { strict: false })) return value.toLowerCase();
+
+  if (/^\d{1,10}$/.test(value)) {
+    try {
+      const address = await getVerifiedAddressForFid(value);
+      return address && isAddress(address, { strict: false }) ? address.toLowerCase() : null;
+    } catch (error) {
+      console.warn(`⚠️ Could not resolve referral FID ${value}:`, error.message);
+      return null;
+    }
+  }
+
+  return null;
+}
+
+// ===== RECORD =====
+
+// Record who referred `referee`. Only the first referral of a wallet counts,
+// and only before (or at) its first mint. Returns `{ recorded: true, referrer }`
+// or `{ recorded: false, reason }`.
+export async function recordReferral({ referee, ref, mintTxHash, riskContext = {} }) {
+  const refereeAddress = referee.toLowerCase();
+  const referrer = await resolveReferrer(ref);
+  if (!referrer) {
+    return { recorded: false, reason: 'invalid_ref' };
+  }
+
+  if (referrer === refereeAddress) {
+    return { recorded: false, reason: 'self_referral' };
+  }
+
+  if (await storage.get(edgeKey(refereeAddress))) {
+    return { recorded: false, reason: 'already_referred' };
+  }
+
+  // Referrals only count for new wallets: no mint claims other than this one
+  const firstClaim = await getFirstMintClaim(refereeAddress);
+  if (firstClaim && firstClaim.mintTxHash !== mintTxHash.toLowerCase()) {
+    return { recorded: false, reason: 'not_first_mint' };
+  }
+
+  // Referrers must have minted themselves
+  if (!await getFirstMintClaim(referrer)) {
+    return { recorded: false, reason: 'referrer_not_minted' };
+  }
+
+  // Two wallets referring each other
+  const reverse = await storage.get(edgeKey(referrer));
+  if (reverse?.referrer === refereeAddress) {
+    return { recorded: false, reason: 'circular_referral' };
+  }
+
+  // Same person on another wallet: the referrer claimed from this IP or device
+  const clientWallets = await getClientWallets(riskContext);
+  if (clientWallets.has(referrer)) {
+    console.warn(`🚫 Self-referral blocked: ${referrer} and ${refereeAddress} share an IP or device`);
+    await updateStats(referrer, stats => {
+      stats.rejected += 1;
+    });
+    return { recorded: false, reason: 'same_client' };
+  }
+
+  const edge = {
+    referee: refereeAddress,
+    referrer,
+    ref: String(ref),
+    status: REFERRAL_STATUS.PENDING,
+    createdAt: Date.now()
+  };
+
+  if (!await storage.setIfAbsent(edgeKey(refereeAddress), edge)) {
+    return { recorded: false, reason: 'already_referred' };
+  }
+
+  await updateStats(referrer, stats => {
+    stats.invites += 1;
+    stats.recent.push({ referee: refereeAddress, status: REFERRAL_STATUS.PENDING, createdAt: edge.createdAt });
+  });
+
+  console.log(`🤝 Referral recorded: ${referrer} → ${refereeAddress}`);
+  return { recorded: true, referrer };
+}
+
+// ===== CONVERT =====
+
+// Take one of the referrer's MAX_CONVERSIONS slots for `referee`. Each slot is
+// a SET NX, so concurrent conversions can't both get the last one. Returns the
+// slot key, or null when the referrer is at the cap.
+async function acquireConversionSlot(referrer, referee) {
+  for (let slot = 0; slot < MAX_CONVERSIONS; slot++) {
+    const key = conversionSlotKey(referrer, slot);
+    if (await storage.setIfAbsent(key, { referee, takenAt: Date.now() })) {
+      return key;
+    }
+  }
+
+  return null;
+}
+
+async function rejectReferral(edge, reason) {
+  await storage.set(edgeKey(edge.referee), {
+    ...edge,
+    status: REFERRAL_STATUS.REJECTED,
+    reason,
+    updatedAt: Date.now()
+  });
+
+  await updateStats(edge.referrer, stats => {
+    stats.rejected += 1;
+    setRecentStatus(stats, edge.referee, REFERRAL_STATUS.REJECTED);
+  });
+
+  console.log(`🚫 Referral ${edge.referrer} → ${edge.referee} rejected: ${reason}`);
+  return null;
+}
+
+// Pay the referrer once the referee's first airdrop is queued. Safe to call
+// for any claim - it is a no-op unless `claim` is the first mint of a referred
+// wallet. Returns the referrer's bonus claim, or null.
+export async function convertReferral(claim) {
+  if (!claim?.tokenId) return null;
+
+  const edge = await storage.get(edgeKey(claim.userAddress));
+  if (!edge || edge.status !== REFERRAL_STATUS.PENDING) return null;
+
+  const firstClaim = await getFirstMintClaim(claim.userAddress);
+  if (firstClaim?.claimId !== claim.claimId) {
+    return await rejectReferral(edge, 'not_first_mint');
+  }
+
+  // Only airdrops that are actually going out count
+  if (![CLAIM_STATUS.QUEUED, CLAIM_STATUS.SUBMITTING, CLAIM_STATUS.SUBMITTED, CLAIM_STATUS.SENT].includes(claim.status)) {
+    return claim.status === CLAIM_STATUS.HELD ? await rejectReferral(edge, 'risk_hold') : null;
+  }
+  if (claim.risk && claim.risk.decision !== RISK_DECISIONS.PAY) {
+    return await rejectReferral(edge, 'risk_reduced');
+  }
+
+  // One conversion per referee, even with concurrent claim + webhook
+  if (!await storage.setIfAbsent(convertedKey(claim.userAddress), { claimId: claim.claimId })) {
+    return null;
+  }
+
+  // Until the bonus is queued (or the referral rejected) the marker and the
+  // conversion slot are released on errors, so a later call - claim retry,
+  // webhook, poller - can still convert the referral
+  let payoutToken;
+  let amount;
+  let slotKey;
+  let bonus;
+  try {
+    payoutToken = getPayoutToken(claim.payoutToken || 'CELO');
+    const treasuryCheck = await checkClaimAllowed(edge.referrer);
+    if (!treasuryCheck.allowed) {
+      return await rejectReferral(edge, treasuryCheck.code);
+    }
+
+    // Share of the referee's airdrop, capped at the token's max base amount
+    amount = Math.min(parseFloat(claim.amount) * BONUS_SHARE, parseFloat(payoutToken.maxAmount)).toFixed(4);
+    if (parseFloat(amount) <= 0) {
+      return await rejectReferral(edge, 'zero_bonus');
+    }
+
+    slotKey = await acquireConversionSlot(edge.referrer, edge.referee);
+    if (!slotKey) {
+      return await rejectReferral(edge, 'referrer_cap');
+    }
+
+    bonus = await createBonusClaim({
+      userAddress: edge.referrer,
+      source: 'referral',
+      referee: edge.referee,
+      referredClaimId: claim.claimId,
+      bonusMessages: [`🤝 Referral bonus (${edge.referee.slice(0, 6)}...${edge.referee.slice(-4)})`]
+    });
+
+    await enqueuePayout(bonus.claimId, { to: edge.referrer, amount, token: payoutToken.symbol });
+  } catch (error) {
+    if (bonus) await failClaim(bonus.claimId, error);
+    if (slotKey) await storage.delete(slotKey);
+    await storage.delete(convertedKey(claim.userAddress));
+    throw error;
+  }
+
+  await storage.set(edgeKey(edge.referee), {
+    ...edge,
+    status: REFERRAL_STATUS.CONVERTED,
+    referredClaimId: claim.claimId,
+    bonusClaimId: bonus.claimId,
+    amount,
+    token: payoutToken.symbol,
+    updatedAt: Date.now()
+  });
+
+  await updateStats(edge.referrer, stats => {
+    const previous = parseUnits(stats.earned[payoutToken.symbol] || '0', 18);
+    stats.earned[payoutToken.symbol] = formatUnits(previous + parseUnits(amount, 18), 18);
+    stats.conversions += 1;
+    setRecentStatus(stats, edge.referee, REFERRAL_STATUS.CONVERTED);
+  });
+
+  console.log(`🤝 Referral bonus queued: ${amount} ${payoutToken.symbol} → ${edge.referrer} (referred ${edge.referee})`);
+  return bonus;
+}
+
+// Referral step of a mint claim: record `ref` (if any) and convert if the
+// claim is already queued. Never throws - referrals must not break airdrops.
+export async function handleClaimReferral({ referee, ref, mintTxHash, tokenId, riskContext }) {
+  try {
+    const referral = ref ? await recordReferral({ referee, ref, mintTxHash, riskContext }) : null;
+    const claim = await findClaim({ mintTxHash, tokenId });
+    if (claim) await convertReferral(claim);
+    return referral;
+  } catch (error) {
+    console.error('Referral handling failed:', error);
+    return null;
+  }
+}
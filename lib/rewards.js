@@ -0,0 +1,630 @@
+// lib/rewards.js - Shared airdrop reward and payout service
+//
+// Every airdrop goes through rewardMint(), whichever path sees the mint first:
+// the user's claim (/api/airdrop) or the mint webhook (/api/webhook). The claim
+// ledger reserves the mint tx hash AND the token ID atomically, so a token is
+// paid exactly once, with the same bonus rules, hard cap and treasury checks.
+// Sybil risk scoring (lib/risk.js) can reduce the payout or hold it for review.
+// A referred wallet's first queued airdrop also pays its referrer (lib/referrals.js).
+
+import { parseEventLogs, isAddressEqual } from 'viem';
+import { publicClient, NFT_CONTRACT_ADDRESS } from './chain.js';
+import { storage } from './storage.js';
+import { findClaim, reserveClaim, updateClaim, failClaim } from './claim-ledger.js';
+import { enqueuePayout, processPayoutQueue } from './payout-queue.js';
+import { rollBaseAmount } from './fairness.js';
+import { checkClaimAllowed } from './treasury.js';
+import { PAYOUT_TOKENS, resolvePayoutToken } from './payout-tokens.js';
+import { getPredictionOutcome, findPrediction, getRecentPredictions, consumePredictionForClaim, getStreakTier } from './predictions.js';
+import { loadBonusRules, evaluateBonusRules } from './bonus-rules.js';
+import { RISK_DECISIONS, assessClaimRisk, holdClaim } from './risk.js';
+import { convertReferral } from './referrals.js';
+
+// ===== CONSTANTS =====
+const MINT_CLAIM_WINDOW = 600; // Seconds after the mint block a reward can be claimed
+const DEFERRED_MINTS_KEY = 'mint_deferred';
+const MAX_DEFERRED_PER_RUN = 20;
+
+export const REWARD_ERRORS = {
+  ALREADY_CLAIMED: 'ALREADY_CLAIMED',
+  MINT_TX_INVALID: 'MINT_TX_INVALID',
+  MINT_TOO_OLD: 'MINT_TOO_OLD',
+  CLAIM_WINDOW_OPEN: 'CLAIM_WINDOW_OPEN'
+};
+
+// ===== LUCKY TOKEN BONUSES =====
+// Rules live in lib/bonus-rules.js (shared with the frontend).
+// BONUS_RULES_JSON replaces the whole set, e.g. to add seasonal rules.
+export const BONUS_RULES = loadBonusRules(process.env.BONUS_RULES_JSON);
+
+export function calculateLuckyBonus(tokenId) {
+  const { multiplier, bonusReasons, matchedRules } = evaluateBonusRules(tokenId, BONUS_RULES);
+  return { multiplier, bonusReasons, matchedRules };
+}
+
+// ===== RARITY BONUSES =====
+const RARITY_LABELS = ['Common', 'Rare', 'Legendary', 'Mythic'];
+export const RARITY_MULTIPLIERS = [1, 1.1, 1.25, 2]; // Based on rarity
+
+// NFT Contract ABI (minimal for verification)
+export const NFT_ABI = [
+  {
+    name: 'ownerOf',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'tokenId', type: 'uint256' }],
+    outputs: [{ type: 'address' }]
+  },
+  {
+    name: 'tokenTraits',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: '', type: 'uint256' }],
+    outputs: [
+      { name: 'priceSnapshot', type: 'uint128' },
+      { name: 'rarity', type: 'uint8' },
+      { name: 'mintedAt', type: 'uint40' }
+    ]
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: 'owner', type: 'address' },
+      { indexed: true, name: 'tokenId', type: 'uint256' },
+      { indexed: false, name: 'rarity', type: 'uint8' },
+      { indexed: false, name: 'priceSnapshot', type: 'uint128' }
+    ],
+    name: 'Minted',
+    type: 'event'
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: 'from', type: 'address' },
+      { indexed: true, name: 'to', type: 'address' },
+      { indexed: true, name: 'tokenId', type: 'uint256' }
+    ],
+    name: 'Transfer',
+    type: 'event'
+  }
+];
+
+export const MINTED_EVENT = NFT_ABI.find(item => item.type === 'event' && item.name === 'Minted');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Get rarity multiplier from NFT traits
+async function getRarityMultiplier(tokenId) {
+  try {
+    const traits = await publicClient.readContract({
+      address: NFT_CONTRACT_ADDRESS,
+      abi: NFT_ABI,
+      functionName: 'tokenTraits',
+      args: [BigInt(tokenId)]
+    });
+    
+    const rarity = Number(traits[1]);
+    
+    return {
+      multiplier: RARITY_MULTIPLIERS[rarity] || 1,
+      rarity: RARITY_LABELS[rarity] || 'Unknown'
+    };
+  } catch (error) {
+    console.error('Failed to get rarity:', error);
+    return { multiplier: 1, rarity: 'Unknown' };
+  }
+}
+
+// Generate provably fair airdrop amount with lucky bonus
+// The base amount is derived from the committed server seed + mint tx + block hash (see lib/fairness.js)
+async function getRandomAirdropAmount(tokenId, mint, payoutToken) {
+  const { baseAmount, fairness } = await rollBaseAmount({
+    mintTxHash: mint.mintTxHash,
+    blockHash: mint.blockHash,
+    mintTimestamp: mint.mintTimestamp,
+    minAmount: payoutToken.minAmount,
+    maxAmount: payoutToken.maxAmount
+  });
+  
+  // Apply lucky bonus
+  const { multiplier, bonusReasons, matchedRules } = calculateLuckyBonus(tokenId);
+  const amountWithLucky = parseFloat(baseAmount) * multiplier;
+  
+  return {
+    baseAmount,
+    fairness,
+    amountWithLucky,
+    luckyMultiplier: multiplier,
+    bonusReasons,
+    matchedRules,
+    isLucky: multiplier > 1
+  };
+}
+
+// Security: Verify the mint tx actually minted `tokenId` to `userAddress`
+// Returns { valid: true } or { valid: false, code, error }
+export function verifyMintReceipt(receipt, tokenId, userAddress) {
+  if (!receipt.to || !isAddressEqual(receipt.to, NFT_CONTRACT_ADDRESS)) {
+    return {
+      valid: false,
+      code: 'MINT_TX_WRONG_CONTRACT',
+      error: 'Mint transaction was not sent to the NFT contract'
+    };
+  }
+  
+  // Decode Minted events (and ERC-721 mints as a fallback) emitted by our contract
+  const contractLogs = receipt.logs.filter(log => isAddressEqual(log.address, NFT_CONTRACT_ADDRESS));
+  const mints = parseEventLogs({ abi: NFT_ABI, logs: contractLogs, strict: false })
+    .map(log => {
+      if (log.eventName === 'Minted') {
+        return { tokenId: log.args.tokenId, owner: log.args.owner };
+      }
+      if (log.eventName === 'Transfer' && log.args.from && isAddressEqual(log.args.from, ZERO_ADDRESS)) {
+        return { tokenId: log.args.tokenId, owner: log.args.to };
+      }
+      return null;
+    })
+    .filter(mint => mint && mint.tokenId !== undefined && mint.owner);
+  
+  if (mints.length === 0) {
+    return {
+      valid: false,
+      code: 'MINT_EVENT_NOT_FOUND',
+      error: 'No mint event found in transaction'
+    };
+  }
+  
+  const mint = mints.find(m => m.tokenId === BigInt(tokenId));
+  if (!mint) {
+    return {
+      valid: false,
+      code: 'MINT_TOKEN_MISMATCH',
+      error: `Transaction did not mint token #${tokenId}`
+    };
+  }
+  
+  if (!isAddressEqual(mint.owner, userAddress)) {
+    return {
+      valid: false,
+      code: 'MINT_RECIPIENT_MISMATCH',
+      error: 'Token was not minted to this address'
+    };
+  }
+  
+  return { valid: true };
+}
+
+// Security: Derive the prediction multiplier from the server-side prediction store.
+// Anything that doesn't resolve to this user's own, resolved prediction is 1x.
+// The streak tier comes from the streak recorded when the prediction resolved.
+export async function getPredictionMultiplier(userAddress, predictionId) {
+  if (!predictionId) return { multiplier: 1, predictionId: null, streakTier: null, round: null };
+  
+  // Resolves the prediction here if it expired and the sweep hasn't run yet
+  let result = null;
+  try {
+    const outcome = await getPredictionOutcome(userAddress.toLowerCase(), predictionId);
+    result = outcome.status === 'resolved' ? outcome.result : null;
+  } catch (error) {
+    console.warn(`⚠️ Could not resolve prediction ${predictionId}:`, error.message);
+  }
+  
+  if (!result) {
+    console.warn(`⚠️ Prediction ${predictionId} not resolved for ${userAddress} - using 1x`);
+    return { multiplier: 1, predictionId: null, streakTier: null, round: null };
+  }
+  
+  if (result.userAddress !== userAddress.toLowerCase()) {
+    console.warn(`⚠️ Prediction ${predictionId} belongs to ${result.userAddress} - using 1x`);
+    return { multiplier: 1, predictionId: null, streakTier: null, round: null };
+  }
+  
+  return {
+    multiplier: result.multiplier,
+    predictionId: result.predictionId,
+    streakTier: result.correct ? getStreakTier(result.streak || 0) : null,
+    round: { id: result.roundType || '1m', label: result.roundLabel || '1 Minute', correct: result.correct }
+  };
+}
+
+// Rounds can outlast MINT_CLAIM_WINDOW: a mint made alongside its prediction
+// stays claimable until MINT_CLAIM_WINDOW after the round ends. Without a
+// `predictionId` (webhook, poller) any recent prediction of the recipient counts.
+async function getClaimDeadline(mint, recipient, predictionId) {
+  const windowMs = MINT_CLAIM_WINDOW * 1000;
+  const predictions = predictionId
+    ? [await findPrediction(recipient.toLowerCase(), predictionId)]
+    : await getRecentPredictions(recipient);
+  
+  return predictions
+    .filter(prediction => prediction?.timestamp && Math.abs(prediction.timestamp - mint.mintTimestamp) <= windowMs)
+    .reduce((deadline, prediction) => Math.max(deadline, prediction.expiresAt + windowMs), mint.mintTimestamp + windowMs);
+}
+
+// HARD CAP: Ensure no one gets more than the token's absoluteMax
+function applyHardCap(amount, payoutToken) {
+  const absoluteMax = parseFloat(payoutToken.absoluteMax);
+  const capped = amount > absoluteMax;
+  
+  return {
+    amount: (capped ? absoluteMax : amount).toFixed(4),
+    capped
+  };
+}
+
+// `predictionRound` is `{ label, correct }` of the round played, when known
+function buildBonusMessages(luckyBonus, rarityBonus, predictionMultiplier, { streakTier = null, riskMultiplier = 1, predictionRound = null } = {}) {
+  const bonusMessages = [];
+  if (luckyBonus.luckyMultiplier > 1) {
+    bonusMessages.push(...luckyBonus.bonusReasons);
+    bonusMessages.push(`${luckyBonus.luckyMultiplier}x Lucky Bonus`);
+  }
+  if (rarityBonus.multiplier > 1) {
+    bonusMessages.push(`${rarityBonus.rarity} (${rarityBonus.multiplier}x Rarity)`);
+  }
+  const round = predictionRound ? ` - ${predictionRound.label} round` : '';
+  if (predictionMultiplier > 1) {
+    bonusMessages.push(`🎯 Correct Prediction (${predictionMultiplier}x Bonus${round})`);
+  } else if (predictionMultiplier < 1) {
+    bonusMessages.push(`🎲 Consolation Prize (${predictionMultiplier}x${round})`);
+  }
+  if (streakTier) {
+    bonusMessages.push(`${streakTier.label} (${streakTier.multiplier}x Streak Bonus)`);
+  }
+  if (riskMultiplier < 1) {
+    bonusMessages.push(`🛡️ Reduced after risk review (${riskMultiplier}x)`);
+  }
+  return bonusMessages;
+}
+
+// Dry run of calculateAirdrop: same multipliers and cap, nothing reserved or sent.
+// The base roll depends on the mint tx, so the quote is the min/max range.
+// Unminted tokens have no rarity yet - the range then spans every rarity.
+export async function quoteAirdrop(tokenId, predictionMultiplier = 1, payoutToken = PAYOUT_TOKENS.CELO, streakTier = null) {
+  const { multiplier: luckyMultiplier, bonusReasons } = calculateLuckyBonus(tokenId);
+  const rarityBonus = await getRarityMultiplier(tokenId);
+  const rarityKnown = rarityBonus.rarity !== 'Unknown';
+  
+  const minRarity = rarityKnown ? rarityBonus.multiplier : Math.min(...RARITY_MULTIPLIERS);
+  const maxRarity = rarityKnown ? rarityBonus.multiplier : Math.max(...RARITY_MULTIPLIERS);
+  
+  const streakMultiplier = streakTier?.multiplier || 1;
+  const min = applyHardCap(parseFloat(payoutToken.minAmount) * luckyMultiplier * minRarity * predictionMultiplier * streakMultiplier, payoutToken);
+  const max = applyHardCap(parseFloat(payoutToken.maxAmount) * luckyMultiplier * maxRarity * predictionMultiplier * streakMultiplier, payoutToken);
+  
+  return {
+    tokenId: String(tokenId),
+    token: payoutToken.symbol,
+    range: { min: min.amount, max: max.amount },
+    baseRange: { min: payoutToken.minAmount, max: payoutToken.maxAmount },
+    absoluteMax: payoutToken.absoluteMax,
+    capped: max.capped,
+    luckyMultiplier,
+    bonusReasons,
+    rarity: rarityBonus.rarity,
+    rarityMultiplier: rarityKnown ? rarityBonus.multiplier : null,
+    predictionMultiplier,
+    streakMultiplier,
+    bonusMessages: buildBonusMessages({ luckyMultiplier, bonusReasons }, rarityBonus, predictionMultiplier, { streakTier })
+  };
+}
+
+// Calculate the airdrop (in the payout token) with random amount, lucky bonuses, rarity multiplier,
+// prediction bonus and streak tier (sending happens in the payout queue).
+// `riskMultiplier` < 1 when risk scoring reduced the payout.
+async function calculateAirdrop(tokenId, mint, {
+  predictionMultiplier = 1,
+  predictionRound = null,
+  streakTier = null,
+  riskMultiplier = 1,
+  payoutToken = PAYOUT_TOKENS.CELO
+} = {}) {
+  const symbol = payoutToken.symbol;
+  const streakMultiplier = streakTier?.multiplier || 1;
+  
+  // Get lucky bonus
+  const luckyBonus = await getRandomAirdropAmount(tokenId, mint, payoutToken);
+  
+  // Get rarity bonus
+  const rarityBonus = await getRarityMultiplier(tokenId);
+  
+  // Calculate final amount with all bonuses (lucky, rarity, prediction, streak), still under the hard cap
+  const baseWithLucky = luckyBonus.amountWithLucky;
+  const beforeCap = baseWithLucky * rarityBonus.multiplier * predictionMultiplier * streakMultiplier * riskMultiplier;
+  const { amount: finalAmountString, capped } = applyHardCap(beforeCap, payoutToken);
+  
+  if (capped) {
+    console.log(`⚠️ Capping airdrop from ${beforeCap.toFixed(4)} to ${payoutToken.absoluteMax} ${symbol}`);
+  }
+  
+  const bonusMessages = buildBonusMessages(luckyBonus, rarityBonus, predictionMultiplier, { streakTier, riskMultiplier, predictionRound });
+  
+  console.log(`🎲 Airdrop calculation for Token #${tokenId}:
+    Base Random: ${luckyBonus.baseAmount} ${symbol}
+    Lucky Bonus: ${luckyBonus.luckyMultiplier}x → ${luckyBonus.amountWithLucky.toFixed(4)} ${symbol}
+    Rarity: ${rarityBonus.rarity} (${rarityBonus.multiplier}x)
+    Prediction: ${predictionMultiplier}x
+    Streak: ${streakMultiplier}x${streakTier ? ` (${streakTier.minStreak}+ wins)` : ''}
+    Risk: ${riskMultiplier}x
+    Before Cap: ${beforeCap.toFixed(4)} ${symbol}
+    Final Amount: ${finalAmountString} ${symbol} (Max: ${payoutToken.absoluteMax})
+    Bonuses: ${bonusMessages.join(', ') || 'None'}
+  `);
+  
+  return {
+    amount: finalAmountString,
+    token: symbol,
+    baseAmount: luckyBonus.baseAmount,
+    // Everything needed to recompute `amount` from the base amount (see /api/fairness)
+    fairness: {
+      ...luckyBonus.fairness,
+      multipliers: {
+        lucky: luckyBonus.luckyMultiplier,
+        rarity: rarityBonus.multiplier,
+        prediction: predictionMultiplier,
+        streak: streakMultiplier,
+        risk: riskMultiplier
+      },
+      bonusRules: luckyBonus.matchedRules,
+      hardCap: payoutToken.absoluteMax
+    },
+    luckyMultiplier: luckyBonus.luckyMultiplier,
+    rarityMultiplier: rarityBonus.multiplier,
+    predictionMultiplier,
+    predictionRound: predictionRound?.label || null,
+    streakMultiplier,
+    streakTier: streakTier?.minStreak || null,
+    riskMultiplier,
+    rarity: rarityBonus.rarity,
+    bonusMessages
+  };
+}
+
+// Run a payout worker tick; a failed tick only delays the payout until the next one
+export async function tickPayoutQueue() {
+  try {
+    await processPayoutQueue({ maxItems: 5 });
+  } catch (error) {
+    console.error('Payout worker tick failed:', error);
+  }
+}
+
+
+// ===== REWARD A MINT =====
+
+// Does `claim` belong to this exact mint (token ID + mint tx)?
+export function isSameMint(claim, tokenId, mintTxHash) {
+  return claim.tokenId === String(tokenId) && claim.mintTxHash === mintTxHash.toLowerCase();
+}
+
+// Verify a mint and queue its airdrop. Used by every entry point.
+// Returns `{ queued: true, claim, result }`, `{ queued: false, duplicate: true, claim }`
+// when the mint was already rewarded, `{ queued: false, held: true, claim, result }`
+// when risk scoring parked it for review, `{ queued: false, deferred: true, retryAt, code, error }`
+// (see `deferToClaimant`), or `{ queued: false, code, error }`.
+// `deferToClaimant` is for automated paths (webhook, poller, backfill): they
+// leave the mint to the user's own claim, with its prediction, payout token and
+// risk context, until the claim deadline has passed, and only pay it after that.
+// The user's claim is rejected past the deadline, so each mint is paid once.
+// `riskContext` is `{ ip, deviceId }` of the claiming request, when there is one.
+// `rateSlot` is the caller's claim rate-limit slot, released if the claim fails.
+export async function rewardMint({
+  tokenId,
+  recipient,
+  mintTxHash,
+  predictionId = null,
+  payoutToken = PAYOUT_TOKENS.CELO,
+  source = 'claim',
+  deferToClaimant = false,
+  riskContext = {},
+  rateSlot = null
+}) {
+  const existing = await findClaim({ mintTxHash, tokenId });
+  if (existing) {
+    return { queued: false, duplicate: true, claim: existing };
+  }
+  
+  // Treasury circuit breaker and per-address lifetime cap
+  const treasuryCheck = await checkClaimAllowed(recipient);
+  if (!treasuryCheck.allowed) {
+    return { queued: false, code: treasuryCheck.code, error: treasuryCheck.error };
+  }
+  
+  // Verify the mint transaction exists and is successful
+  const mintReceipt = await publicClient.getTransactionReceipt({
+    hash: mintTxHash
+  }).catch(error => {
+    console.error('Mint receipt lookup failed:', error);
+    return null;
+  });
+  
+  if (!mintReceipt || mintReceipt.status !== 'success') {
+    return {
+      queued: false,
+      code: REWARD_ERRORS.MINT_TX_INVALID,
+      error: 'Invalid or failed mint transaction'
+    };
+  }
+  
+  // Verify the tx minted this token to the recipient
+  const mintCheck = verifyMintReceipt(mintReceipt, tokenId, recipient);
+  if (!mintCheck.valid) {
+    console.warn(`⚠️ Mint receipt check failed (${mintCheck.code}) for token #${tokenId}, tx ${mintTxHash}`);
+    return { queued: false, code: mintCheck.code, error: mintCheck.error };
+  }
+  
+  // Mint block feeds the provably fair roll and bounds the claim window
+  const mintBlock = await publicClient.getBlock({ blockHash: mintReceipt.blockHash });
+  const mint = {
+    mintTxHash,
+    blockHash: mintReceipt.blockHash,
+    mintTimestamp: Number(mintBlock.timestamp) * 1000
+  };
+  
+  const deadline = await getClaimDeadline(mint, recipient, predictionId);
+  if (deferToClaimant && Date.now() <= deadline) {
+    return {
+      queued: false,
+      deferred: true,
+      retryAt: deadline + 1000,
+      code: REWARD_ERRORS.CLAIM_WINDOW_OPEN,
+      error: 'Mint can still be claimed by its owner'
+    };
+  }
+  
+  if (!deferToClaimant && Date.now() > deadline) {
+    return {
+      queued: false,
+      code: REWARD_ERRORS.MINT_TOO_OLD,
+      error: `Airdrop only available for recent mints (within ${MINT_CLAIM_WINDOW / 60} minutes, or of the end of their prediction round)`
+    };
+  }
+  
+  // Reserve the claim in the ledger (atomic across instances and entry points)
+  const { reserved, claim } = await reserveClaim({ tokenId, userAddress: recipient, mintTxHash, source, rateSlot });
+  if (!reserved) {
+    return claim
+      ? { queued: false, duplicate: true, claim }
+      : { queued: false, code: REWARD_ERRORS.ALREADY_CLAIMED, error: 'Airdrop already claimed for this transaction' };
+  }
+  
+  // Look up the prediction multiplier server-side and bind it to this claim
+  let prediction = await getPredictionMultiplier(recipient, predictionId);
+  if (prediction.predictionId && !await consumePredictionForClaim(prediction.predictionId, claim.claimId)) {
+    console.warn(`⚠️ Prediction ${prediction.predictionId} already used by another claim - using 1x`);
+    prediction = { multiplier: 1, predictionId: null, streakTier: null, round: null };
+  }
+  if (prediction.predictionId) {
+    await updateClaim(claim.claimId, { predictionId: prediction.predictionId });
+  }
+  
+  // Score, calculate and queue the payout - the worker assigns the nonce and sends it
+  let risk;
+  let result;
+  let queued;
+  try {
+    risk = await assessClaimRisk(claim, riskContext);
+    result = await calculateAirdrop(tokenId, mint, {
+      predictionMultiplier: prediction.multiplier,
+      predictionRound: prediction.round,
+      streakTier: prediction.streakTier,
+      riskMultiplier: risk.multiplier,
+      payoutToken
+    });
+    
+    await updateClaim(claim.claimId, {
+      baseAmount: result.baseAmount,
+      fairness: result.fairness,
+      luckyMultiplier: result.luckyMultiplier,
+      rarityMultiplier: result.rarityMultiplier,
+      predictionMultiplier: result.predictionMultiplier,
+      predictionRound: result.predictionRound,
+      streakMultiplier: result.streakMultiplier,
+      streakTier: result.streakTier,
+      riskMultiplier: result.riskMultiplier,
+      rarity: result.rarity,
+      bonusMessages: result.bonusMessages,
+      risk: { decision: risk.decision, score: risk.score }
+    });
+    
+    const payout = {
+      to: recipient,
+      amount: result.amount,
+      token: payoutToken.symbol
+    };
+    
+    if (risk.decision === RISK_DECISIONS.HOLD) {
+      const held = await holdClaim(claim.claimId, payout);
+      console.log(`🛡️ Airdrop held for review (${source}): claim ${claim.claimId}, ${result.amount} ${result.token}`);
+      return { queued: false, held: true, claim: held, result };
+    }
+    
+    queued = await enqueuePayout(claim.claimId, payout);
+  } catch (error) {
+    await failClaim(claim.claimId, error);
+    throw error;
+  }
+  
+  // Referral bonus for the referrer, if this is a referred wallet's first mint
+  try {
+    await convertReferral(queued);
+  } catch (error) {
+    console.error(`Referral conversion failed for claim ${claim.claimId}:`, error);
+  }
+  
+  console.log(`✅ Airdrop queued (${source}):
+      Claim ID: ${claim.claimId}
+      Token ID: ${tokenId}
+      Recipient: ${recipient}
+      Base Amount: ${result.baseAmount} ${result.token}
+      Lucky Multiplier: ${result.luckyMultiplier}x
+      Rarity Multiplier: ${result.rarityMultiplier}x (${result.rarity})
+      Prediction Multiplier: ${result.predictionMultiplier}x
+      Streak Multiplier: ${result.streakMultiplier}x
+      Risk: ${risk.decision} (score ${risk.score})
+      Final Amount: ${result.amount} ${result.token}
+      Bonuses: ${result.bonusMessages.join(', ') || 'None'}
+  `);
+  
+  return { queued: true, claim, result };
+}
+
+// ===== DEFERRED MINTS =====
+// Mints seen by the webhook or poller while their claim window is open wait
+// here; the poll-mints cron pays the ones nobody claimed once it has passed.
+
+function isSameDeferredMint(entry, tokenId, mintTxHash) {
+  return entry.tokenId === String(tokenId) && entry.mintTxHash === mintTxHash.toLowerCase();
+}
+
+export async function deferMint({ tokenId, recipient, mintTxHash, source, retryAt }) {
+  const pending = await storage.listRange(DEFERRED_MINTS_KEY);
+  if (pending.some(entry => isSameDeferredMint(entry, tokenId, mintTxHash))) return;
+
+  await storage.listPush(DEFERRED_MINTS_KEY, {
+    tokenId: String(tokenId),
+    recipient,
+    mintTxHash: mintTxHash.toLowerCase(),
+    source,
+    retryAt
+  });
+}
+
+// Reward deferred mints whose claim deadline has passed. A mint the user
+// claimed in the meantime comes back as a duplicate and is dropped.
+export async function processDeferredMints() {
+  const pending = await storage.listRange(DEFERRED_MINTS_KEY);
+  const due = pending.filter(entry => entry.retryAt <= Date.now()).slice(0, MAX_DEFERRED_PER_RUN);
+  const counts = { queued: 0, held: 0, duplicate: 0, rejected: 0, deferred: 0, failed: 0 };
+
+  for (const entry of due) {
+    let reward;
+    try {
+      reward = await rewardMint({
+        tokenId: entry.tokenId,
+        recipient: entry.recipient,
+        mintTxHash: entry.mintTxHash,
+        payoutToken: resolvePayoutToken(null),
+        source: entry.source,
+        deferToClaimant: true
+      });
+    } catch (error) {
+      console.error(`❌ Deferred mint token #${entry.tokenId} failed, retrying next run:`, error.message);
+      counts.failed++;
+      continue;
+    }
+
+    await storage.listRemove(DEFERRED_MINTS_KEY, entry);
+
+    // A prediction made alongside the mint can push the deadline out
+    if (reward.deferred) {
+      await deferMint({ ...entry, retryAt: reward.retryAt });
+      counts.deferred++;
+    } else if (reward.queued) counts.queued++;
+    else if (reward.held) counts.held++;
+    else if (reward.duplicate) counts.duplicate++;
+    else counts.rejected++;
+  }
+
+  return { pending: pending.length - due.length + counts.deferred + counts.failed, ...counts };
+}
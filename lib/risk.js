@@ -0,0 +1,392 @@
+// lib/risk.js - Sybil risk scoring before an airdrop is paid
+//
+// Every reward runs through assessClaimRisk() after the claim is reserved.
+// Each signal returns `{ score, detail }` (or null when it has nothing to say)
+// and the scores are summed:
+//   score <  RISK_REDUCE_SCORE -> pay
+//   score <  RISK_HOLD_SCORE   -> reduce (payout x RISK_REDUCE_MULTIPLIER)
+//   otherwise                  -> hold (claim parked for admin review)
+//
+// Signals:
+//   wallet_activity - nonce via getTransactionCount; wallet age from the first
+//                     explorer tx (CELOSCAN_API_KEY)
+//   funding_source  - many claimers funded by the same address
+//   farcaster       - FID verified for the address and its Neynar score
+//   ip_velocity     - distinct wallets claiming from one IP per day
+//   device_velocity - distinct wallets claiming from one device per day
+//
+// A signal that throws is skipped (fail open) and noted in the audit entry.
+// Every decision - and every admin review of a held claim - is appended to
+// the audit log. Tests can swap the signals with setRiskSignals().
+
+import { createHash } from 'crypto';
+import { publicClient } from './chain.js';
+import { storage } from './storage.js';
+import { CLAIM_STATUS, getClaim, updateClaim } from './claim-ledger.js';
+import { enqueuePayout } from './payout-queue.js';
+
+// ===== CONFIGURATION =====
+const RISK_ENABLED = process.env.RISK_SCORING !== 'off';
+const REDUCE_SCORE = parseInt(process.env.RISK_REDUCE_SCORE || '40', 10);
+const HOLD_SCORE = parseInt(process.env.RISK_HOLD_SCORE || '70', 10);
+const REDUCE_MULTIPLIER = parseFloat(process.env.RISK_REDUCE_MULTIPLIER || '0.5');
+const MAX_WALLETS_PER_IP = parseInt(process.env.RISK_MAX_WALLETS_PER_IP || '3', 10); // per day
+const MAX_WALLETS_PER_DEVICE = parseInt(process.env.RISK_MAX_WALLETS_PER_DEVICE || '2', 10); // per day
+const FUNDER_CLUSTER_SIZE = parseInt(process.env.RISK_FUNDER_CLUSTER_SIZE || '3', 10);
+// Exchanges, bridges, faucets... funding from these says nothing about clustering
+const FUNDER_ALLOWLIST = (process.env.RISK_FUNDER_ALLOWLIST || '')
+  .split(',')
+  .map(address => address.trim().toLowerCase())
+  .filter(Boolean);
+
+const EXPLORER_API_URL = 'https://api.etherscan.io/v2/api';
+const NEYNAR_API_URL = 'https://api.neynar.com/v2/farcaster/user/bulk-by-address';
+const SIGNAL_TIMEOUT_MS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FUNDER_TTL = 30 * 24 * 3600; // seconds
+const VELOCITY_TTL = 2 * 24 * 3600; // seconds
+const MAX_CLUSTER_MEMBERS = 100;
+const MAX_AUDIT_ENTRIES = parseInt(process.env.RISK_AUDIT_MAX_ENTRIES || '5000', 10); // Oldest are dropped
+
+const AUDIT_KEY = 'risk_audit';
+const REVIEW_KEY = 'risk_review_queue';
+
+export const RISK_DECISIONS = {
+  PAY: 'pay',
+  REDUCE: 'reduce',
+  HOLD: 'hold'
+};
+
+// ===== HELPERS =====
+
+// IPs and device IDs are only stored hashed
+function hashId(value) {
+  return createHash('sha256').update(String(value)).digest('hex').slice(0, 32);
+}
+
+function dayBucket() {
+  return Math.floor(Date.now() / DAY_MS);
+}
+
+function velocityKey(contextKey, id, day = dayBucket()) {
+  return `risk_${contextKey}_${hashId(id)}_${day}`;
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(SIGNAL_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return await response.json();
+}
+
+// Add `address` to a set stored under `key`; returns the distinct member count
+async function addToSet(key, address, ttl) {
+  const members = await storage.get(key) || [];
+  const member = address.toLowerCase();
+
+  if (!members.includes(member)) {
+    members.push(member);
+    await storage.set(key, members.slice(-MAX_CLUSTER_MEMBERS), ttl);
+  }
+
+  return members.length;
+}
+
+// First transaction touching the address (explorer, oldest first)
+async function getFirstTransaction(address) {
+  const apiKey = process.env.CELOSCAN_API_KEY;
+  if (!apiKey) return null;
+
+  const url = new URL(EXPLORER_API_URL);
+  url.searchParams.set('chainid', '42220');
+  url.searchParams.set('module', 'account');
+  url.searchParams.set('action', 'txlist');
+  url.searchParams.set('address', address);
+  url.searchParams.set('page', '1');
+  url.searchParams.set('offset', '1');
+  url.searchParams.set('sort', 'asc');
+  url.searchParams.set('apikey', apiKey);
+
+  const data = await fetchJson(url);
+  return Array.isArray(data.result) && data.result.length > 0 ? data.result[0] : null;
+}
+
+// ===== SIGNALS =====
+// A signal is `{ name, evaluate(context) }` returning `{ score, detail }` or null.
+// `context` is `{ address, tokenId, source, ip, deviceId }` plus `firstTx`,
+// the explorer lookup shared by the wallet and funding signals.
+
+const walletActivitySignal = {
+  name: 'wallet_activity',
+  async evaluate({ address, firstTx }) {
+    const nonce = await publicClient.getTransactionCount({ address });
+    let score = 0;
+
+    // The mint itself is one transaction
+    if (nonce <= 1) score += 25;
+    else if (nonce <= 5) score += 10;
+
+    let ageDays = null;
+    if (firstTx?.timeStamp) {
+      ageDays = Math.floor((Date.now() - Number(firstTx.timeStamp) * 1000) / DAY_MS);
+      if (ageDays < 1) score += 20;
+      else if (ageDays < 7) score += 10;
+    }
+
+    return { score, detail: { nonce, ageDays } };
+  }
+};
+
+const fundingSourceSignal = {
+  name: 'funding_source',
+  async evaluate({ address, firstTx }) {
+    // The wallet's first transaction is normally the one that funded it
+    if (!firstTx || firstTx.to?.toLowerCase() !== address.toLowerCase()) return null;
+
+    const funder = firstTx.from.toLowerCase();
+    if (FUNDER_ALLOWLIST.includes(funder)) {
+      return { score: 0, detail: { funder, allowlisted: true } };
+    }
+
+    const clusterSize = await addToSet(`risk_funder_${funder}`, address, FUNDER_TTL);
+    const score = clusterSize >= FUNDER_CLUSTER_SIZE * 2 ? 50
+      : clusterSize >= FUNDER_CLUSTER_SIZE ? 30
+        : 0;
+
+    return { score, detail: { funder, clusterSize } };
+  }
+};
+
+const farcasterSignal = {
+  name: 'farcaster',
+  async evaluate({ address }) {
+    const apiKey = process.env.NEYNAR_API_KEY;
+    if (!apiKey) return null;
+
+    const url = `${NEYNAR_API_URL}?addresses=${address.toLowerCase()}`;
+    const data = await fetchJson(url, { headers: { 'x-api-key': apiKey } })
+      .catch(error => {
+        // Neynar answers 404 when no user has verified the address
+        if (error.message === 'HTTP 404') return {};
+        throw error;
+      });
+
+    const user = data[address.toLowerCase()]?.[0];
+    if (!user) {
+      return { score: 10, detail: { fid: null } };
+    }
+
+    const userScore = user.score ?? user.experimental?.neynar_user_score ?? null;
+    let score = 0;
+    if (userScore !== null && userScore < 0.3) score = 15;
+    else if (userScore !== null && userScore >= 0.7) score = -20;
+
+    return { score, detail: { fid: user.fid, userScore } };
+  }
+};
+
+function velocitySignal(name, contextKey, limit) {
+  return {
+    name,
+    async evaluate(context) {
+      const id = context[contextKey];
+      if (!id) return null;
+
+      const wallets = await addToSet(velocityKey(contextKey, id), context.address, VELOCITY_TTL);
+      const score = wallets > limit * 2 ? 50 : wallets > limit ? 30 : 0;
+
+      return { score, detail: { wallets, limit } };
+    }
+  };
+}
+
+export const DEFAULT_RISK_SIGNALS = [
+  walletActivitySignal,
+  fundingSourceSignal,
+  farcasterSignal,
+  velocitySignal('ip_velocity', 'ip', MAX_WALLETS_PER_IP),
+  velocitySignal('device_velocity', 'deviceId', MAX_WALLETS_PER_DEVICE)
+];
+
+let riskSignals = DEFAULT_RISK_SIGNALS;
+
+// Swap the signal set (tests, or extra signals without touching the flow)
+export function setRiskSignals(signals) {
+  riskSignals = signals;
+}
+
+// ===== CLIENT CONTEXT =====
+
+// Request IP and device ID for the velocity signals. The device ID is a
+// random ID the frontend keeps in localStorage (X-Device-Id).
+export function getRiskContext(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  const ip = (typeof forwarded === 'string' ? forwarded.split(',')[0].trim() : null)
+    || req.headers['x-real-ip']
+    || req.socket?.remoteAddress
+    || null;
+  const deviceId = req.headers['x-device-id'];
+
+  return {
+    ip,
+    deviceId: typeof deviceId === 'string' && deviceId.length <= 128 ? deviceId : null
+  };
+}
+
+// Wallets that claimed from the same IP or device today or yesterday
+export async function getClientWallets({ ip = null, deviceId = null } = {}) {
+  const wallets = new Set();
+  const today = dayBucket();
+
+  for (const [contextKey, id] of [['ip', ip], ['deviceId', deviceId]]) {
+    if (!id) continue;
+    for (const day of [today, today - 1]) {
+      for (const address of await storage.get(velocityKey(contextKey, id, day)) || []) {
+        wallets.add(address);
+      }
+    }
+  }
+
+  return wallets;
+}
+
+// ===== SCORING =====
+
+function decide(score) {
+  if (score >= HOLD_SCORE) return RISK_DECISIONS.HOLD;
+  if (score >= REDUCE_SCORE) return RISK_DECISIONS.REDUCE;
+  return RISK_DECISIONS.PAY;
+}
+
+async function audit(entry) {
+  try {
+    await storage.listPush(AUDIT_KEY, { ...entry, at: Date.now() });
+    await storage.listTrim(AUDIT_KEY, -MAX_AUDIT_ENTRIES);
+  } catch (error) {
+    console.error('Risk audit write failed:', error);
+  }
+}
+
+// Score a reserved claim. Returns `{ decision, score, multiplier, signals }`.
+export async function assessClaimRisk(claim, { ip = null, deviceId = null } = {}) {
+  if (!RISK_ENABLED) {
+    return { decision: RISK_DECISIONS.PAY, score: 0, multiplier: 1, signals: {} };
+  }
+
+  const context = {
+    address: claim.userAddress,
+    tokenId: claim.tokenId,
+    source: claim.source,
+    ip,
+    deviceId
+  };
+  context.firstTx = await getFirstTransaction(context.address).catch(error => {
+    console.warn('⚠️ Explorer lookup for risk scoring failed:', error.message);
+    return null;
+  });
+
+  let score = 0;
+  const signals = {};
+  for (const signal of riskSignals) {
+    try {
+      const result = await signal.evaluate(context);
+      if (!result) continue;
+      score += result.score;
+      signals[signal.name] = result;
+    } catch (error) {
+      console.warn(`⚠️ Risk signal ${signal.name} failed:`, error.message);
+      signals[signal.name] = { score: 0, error: error.message };
+    }
+  }
+
+  const decision = decide(score);
+  const multiplier = decision === RISK_DECISIONS.REDUCE ? REDUCE_MULTIPLIER : 1;
+
+  await audit({
+    type: 'decision',
+    claimId: claim.claimId,
+    tokenId: claim.tokenId,
+    address: claim.userAddress,
+    source: claim.source,
+    decision,
+    score,
+    signals
+  });
+
+  if (decision !== RISK_DECISIONS.PAY) {
+    console.warn(`🛡️ Risk ${decision} for claim ${claim.claimId} (${claim.userAddress}): score ${score}`);
+  }
+
+  return { decision, score, multiplier, signals };
+}
+
+// ===== REVIEW QUEUE =====
+
+// Park a calculated claim until an admin approves or rejects it
+export async function holdClaim(claimId, payout) {
+  const claim = await updateClaim(claimId, {
+    status: CLAIM_STATUS.HELD,
+    amount: payout.amount,
+    payoutToken: payout.token,
+    heldPayout: payout
+  });
+
+  await storage.listPush(REVIEW_KEY, { claimId });
+  return claim;
+}
+
+export async function getHeldClaims() {
+  const entries = await storage.listRange(REVIEW_KEY);
+  const claims = [];
+
+  for (const { claimId } of entries) {
+    const claim = await getClaim(claimId);
+    if (claim?.status === CLAIM_STATUS.HELD) claims.push(claim);
+  }
+
+  return claims;
+}
+
+// Latest audit entries, newest first
+export async function getRiskAudit(limit = 50) {
+  const entries = await storage.listRange(AUDIT_KEY, -limit, -1);
+  return entries.reverse();
+}
+
+// Admin review. Returns `{ reviewed: true, claim }` or `{ reviewed: false, error }`.
+// Approved claims go to the payout queue with the held amount; rejected claims
+// keep their ledger reservation, so the mint can't be claimed again.
+export async function reviewHeldClaim(claimId, approve, { by = 'admin', note = null } = {}) {
+  const claim = await getClaim(claimId);
+  if (!claim || claim.status !== CLAIM_STATUS.HELD) {
+    return { reviewed: false, error: 'Claim is not held for review' };
+  }
+
+  const review = { approved: approve, by, note, reviewedAt: Date.now() };
+  let updated;
+
+  if (approve) {
+    await updateClaim(claimId, { review });
+    updated = await enqueuePayout(claimId, claim.heldPayout);
+  } else {
+    updated = await updateClaim(claimId, {
+      status: CLAIM_STATUS.FAILED,
+      error: 'Rejected after risk review',
+      review
+    });
+  }
+
+  await storage.listRemove(REVIEW_KEY, { claimId });
+  await audit({
+    type: 'review',
+    claimId,
+    tokenId: claim.tokenId,
+    address: claim.userAddress,
+    decision: approve ? 'approved' : 'rejected',
+    by,
+    note
+  });
+
+  return { reviewed: true, claim: updated };
+}
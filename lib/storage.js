@@ -0,0 +1,359 @@
+// lib/storage.js - Shared Vercel KV storage with in-memory fallback
+// Used by the API routes that need durable state across serverless instances
+
+// ===== KV STORAGE INITIALIZATION =====
+let kv = null;
+let useKV = false;
+
+// Try to load Vercel KV
+async function initializeKV() {
+  if (kv !== null) return useKV; // Already initialized
+
+  try {
+    // Dynamic import to avoid issues
+    const vercelKV = await import('@vercel/kv');
+    kv = vercelKV.kv;
+
+    // Test KV connection
+    await kv.ping();
+
+    useKV = true;
+    console.log('✅ Vercel KV initialized successfully');
+    return true;
+  } catch (e) {
+    console.warn('⚠️ Vercel KV not available:', e.message);
+    console.log('📝 Using in-memory storage fallback');
+    useKV = false;
+    return false;
+  }
+}
+
+// In-memory fallback storage
+export const memoryStore = new Map();
+
+export function isUsingKV() {
+  return useKV;
+}
+
+// KV may hand back values it already deserialized
+function deserialize(raw) {
+  if (typeof raw !== 'string') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+// ===== STORAGE WRAPPER WITH AUTOMATIC FALLBACK =====
+export class Storage {
+  constructor() {
+    this.initialized = false;
+  }
+
+  async init() {
+    if (!this.initialized) {
+      await initializeKV();
+      this.initialized = true;
+    }
+  }
+
+  async set(key, value, ttl = null) {
+    await this.init();
+
+    const data = JSON.stringify(value);
+    console.log(`📝 SET ${key}:`, value);
+
+    // Try KV first
+    if (useKV && kv) {
+      try {
+        if (ttl) {
+          await kv.set(key, data, { ex: ttl });
+        } else {
+          await kv.set(key, data);
+        }
+        console.log(`✅ KV SET success: ${key}`);
+      } catch (e) {
+        console.error(`❌ KV SET failed for ${key}:`, e.message);
+        // Don't throw, fall through to memory
+      }
+    }
+
+    // Always save to memory as backup
+    const expires = ttl ? Date.now() + (ttl * 1000) : null;
+    memoryStore.set(key, { value, expires });
+    console.log(`✅ Memory SET success: ${key}`);
+
+    return true;
+  }
+
+  // Atomic "SET NX": only writes when the key does not exist yet.
+  // Returns true if this call created the key, false if it was already taken.
+  // Throws when KV is configured but fails: the in-memory map is per instance,
+  // so falling back to it would let two instances both "win" the key.
+  async setIfAbsent(key, value, ttl = null) {
+    await this.init();
+
+    const data = JSON.stringify(value);
+    console.log(`📝 SETNX ${key}:`, value);
+
+    if (useKV && kv) {
+      try {
+        const options = ttl ? { nx: true, ex: ttl } : { nx: true };
+        const result = await kv.set(key, data, options);
+
+        if (result === null) {
+          console.log(`⚠️ KV SETNX key already exists: ${key}`);
+          return false;
+        }
+
+        const expires = ttl ? Date.now() + (ttl * 1000) : null;
+        memoryStore.set(key, { value, expires });
+        console.log(`✅ KV SETNX success: ${key}`);
+        return true;
+      } catch (e) {
+        console.error(`❌ KV SETNX failed for ${key}:`, e.message);
+        throw new Error(`Storage unavailable, could not reserve ${key}`);
+      }
+    }
+
+    const existing = memoryStore.get(key);
+    if (existing && (!existing.expires || Date.now() < existing.expires)) {
+      console.log(`⚠️ Memory SETNX key already exists: ${key}`);
+      return false;
+    }
+
+    const expires = ttl ? Date.now() + (ttl * 1000) : null;
+    memoryStore.set(key, { value, expires });
+    console.log(`✅ Memory SETNX success: ${key}`);
+    return true;
+  }
+
+  // Compare-and-delete: removes the key only while it still holds `value`
+  // (e.g. a lock owned by this caller). Returns true if it was deleted.
+  async deleteIfEquals(key, value) {
+    await this.init();
+
+    const data = JSON.stringify(value);
+    console.log(`🗑️ DELETE ${key} if`, value);
+
+    if (useKV && kv) {
+      try {
+        const deleted = await kv.eval(
+          "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+          [key],
+          [data]
+        );
+        if (deleted) memoryStore.delete(key);
+        return deleted === 1;
+      } catch (e) {
+        console.error(`❌ KV compare-and-delete failed for ${key}:`, e.message);
+        throw new Error(`Storage unavailable, could not release ${key}`);
+      }
+    }
+
+    const item = memoryStore.get(key);
+    if (!item || (item.expires && Date.now() >= item.expires) || JSON.stringify(item.value) !== data) {
+      return false;
+    }
+
+    memoryStore.delete(key);
+    return true;
+  }
+
+  // Compare-and-expire: resets the TTL only while the key still holds `value`.
+  // Returns false when the key is gone or now belongs to someone else.
+  async expireIfEquals(key, value, ttl) {
+    await this.init();
+
+    const data = JSON.stringify(value);
+
+    if (useKV && kv) {
+      try {
+        const renewed = await kv.eval(
+          "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('expire', KEYS[1], ARGV[2]) else return 0 end",
+          [key],
+          [data, String(ttl)]
+        );
+        if (renewed) memoryStore.set(key, { value, expires: Date.now() + (ttl * 1000) });
+        return renewed === 1;
+      } catch (e) {
+        console.error(`❌ KV compare-and-expire failed for ${key}:`, e.message);
+        throw new Error(`Storage unavailable, could not renew ${key}`);
+      }
+    }
+
+    const item = memoryStore.get(key);
+    if (!item || (item.expires && Date.now() >= item.expires) || JSON.stringify(item.value) !== data) {
+      return false;
+    }
+
+    item.expires = Date.now() + (ttl * 1000);
+    return true;
+  }
+
+  async get(key) {
+    await this.init();
+
+    console.log(`🔍 GET ${key}`);
+
+    // Try KV first
+    if (useKV && kv) {
+      try {
+        const raw = await kv.get(key);
+        if (raw !== null) {
+          const parsed = deserialize(raw);
+          console.log(`✅ KV GET success: ${key}`, parsed);
+          return parsed;
+        }
+        console.log(`⚠️ KV GET returned null: ${key}`);
+      } catch (e) {
+        console.error(`❌ KV GET failed for ${key}:`, e.message);
+        // Fall through to memory
+      }
+    }
+
+    // Fallback to memory
+    const item = memoryStore.get(key);
+    if (item) {
+      // Check expiration
+      if (item.expires && Date.now() >= item.expires) {
+        console.log(`⏰ Memory key expired: ${key}`);
+        memoryStore.delete(key);
+        return null;
+      }
+      console.log(`✅ Memory GET success: ${key}`, item.value);
+      return item.value;
+    }
+
+    console.log(`❌ Key not found: ${key}`);
+    return null;
+  }
+
+  async delete(key) {
+    await this.init();
+
+    console.log(`🗑️ DELETE ${key}`);
+
+    // Try KV first
+    if (useKV && kv) {
+      try {
+        await kv.del(key);
+        console.log(`✅ KV DELETE success: ${key}`);
+      } catch (e) {
+        console.error(`❌ KV DELETE failed for ${key}:`, e.message);
+      }
+    }
+
+    // Always delete from memory
+    memoryStore.delete(key);
+    console.log(`✅ Memory DELETE success: ${key}`);
+
+    return true;
+  }
+
+  // ===== LISTS (FIFO queues) =====
+  // Store objects, not bare strings, so list entries round-trip exactly.
+
+  async listPush(key, value) {
+    await this.init();
+
+    console.log(`📝 RPUSH ${key}:`, value);
+
+    if (useKV && kv) {
+      try {
+        await kv.rpush(key, JSON.stringify(value));
+        console.log(`✅ KV RPUSH success: ${key}`);
+      } catch (e) {
+        console.error(`❌ KV RPUSH failed for ${key}:`, e.message);
+      }
+    }
+
+    const item = memoryStore.get(key) || { value: [], expires: null };
+    item.value.push(value);
+    memoryStore.set(key, item);
+
+    return true;
+  }
+
+  async listRange(key, start = 0, end = -1) {
+    await this.init();
+
+    if (useKV && kv) {
+      try {
+        const items = await kv.lrange(key, start, end);
+        return items.map(deserialize);
+      } catch (e) {
+        console.error(`❌ KV LRANGE failed for ${key}:`, e.message);
+      }
+    }
+
+    const items = memoryStore.get(key)?.value || [];
+    return items.slice(start, end === -1 ? undefined : end + 1);
+  }
+
+  async listRemove(key, value) {
+    await this.init();
+
+    console.log(`🗑️ LREM ${key}:`, value);
+
+    if (useKV && kv) {
+      try {
+        await kv.lrem(key, 0, JSON.stringify(value));
+      } catch (e) {
+        console.error(`❌ KV LREM failed for ${key}:`, e.message);
+      }
+    }
+
+    const item = memoryStore.get(key);
+    if (item) {
+      const serialized = JSON.stringify(value);
+      item.value = item.value.filter(entry => JSON.stringify(entry) !== serialized);
+    }
+
+    return true;
+  }
+
+  // Keep only entries start..end (LTRIM semantics, negative indexes count from the end)
+  async listTrim(key, start, end = -1) {
+    await this.init();
+
+    if (useKV && kv) {
+      try {
+        await kv.ltrim(key, start, end);
+      } catch (e) {
+        console.error(`❌ KV LTRIM failed for ${key}:`, e.message);
+      }
+    }
+
+    const item = memoryStore.get(key);
+    if (item) {
+      const length = item.value.length;
+      const from = start < 0 ? Math.max(0, length + start) : start;
+      const to = end < 0 ? length + end : end;
+      item.value = item.value.slice(from, to + 1);
+    }
+
+    return true;
+  }
+
+  async has(key) {
+    await this.init();
+
+    // Check KV first
+    if (useKV && kv) {
+      try {
+        const exists = await kv.exists(key);
+        if (exists) return true;
+      } catch (e) {
+        console.error(`❌ KV EXISTS failed for ${key}:`, e.message);
+      }
+    }
+
+    // Check memory
+    return memoryStore.has(key);
+  }
+}
+
+// Create singleton instance
+export const storage = new Storage();
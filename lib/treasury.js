@@ -0,0 +1,258 @@
+// lib/treasury.js - Spend budgets and circuit breaker for the airdrop hot wallets
+//
+// Spend is recorded by the payout worker when a transfer is broadcast. The
+// worker holds the payout queue lock while it checks and records spend, so the
+// budget checks below are never raced by another payout. Budgets cover the
+// whole wallet pool; the balance floor applies to each wallet.
+//
+// Budgets and the per-address cap are tracked in one unit, CELO wei, whatever
+// token pays out: stablecoin payouts are converted with the aggregated CELO
+// price (lib/price.js) or a configured rate (AIRDROP_CELO_RATE_<SYMBOL>), so
+// switching tokens never gives a wallet a fresh cap.
+
+import { parseEther, formatEther, formatUnits } from 'viem';
+import { storage } from './storage.js';
+import { PAYOUT_TOKENS, getPayoutToken, isNativeToken } from './payout-tokens.js';
+import { getCeloPrice } from './price.js';
+import { alertCircuitBreaker } from './alerts.js';
+
+// ===== CONFIGURATION (CELO, "0" disables a limit) =====
+const DAILY_BUDGET = process.env.AIRDROP_DAILY_BUDGET || '5';
+const HOURLY_BUDGET = process.env.AIRDROP_HOURLY_BUDGET || '1';
+const ADDRESS_LIFETIME_CAP = process.env.AIRDROP_ADDRESS_CAP || '0.5';
+const BALANCE_FLOOR = process.env.AIRDROP_BALANCE_FLOOR || '0.5'; // CELO kept for gas
+
+const PAUSE_KEY = 'treasury_paused';
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+export const TREASURY_ERRORS = {
+  PAUSED: 'TREASURY_PAUSED',
+  ADDRESS_CAP: 'ADDRESS_CAP_REACHED'
+};
+
+function dayKey(now = Date.now()) {
+  return `treasury_spend_day_${new Date(now).toISOString().slice(0, 10)}`;
+}
+
+function hourKey(now = Date.now()) {
+  return `treasury_spend_hour_${new Date(now).toISOString().slice(0, 13)}`;
+}
+
+function addressKey(address) {
+  return `treasury_spend_addr_${address.toLowerCase()}`;
+}
+
+// Lifetime spend recorded per token (in token units) before budgets were unified
+function legacyAddressKey(symbol, address) {
+  return `treasury_spend_addr_${symbol.toLowerCase()}_${address.toLowerCase()}`;
+}
+
+// Seconds until the current hour/day window rolls over
+function secondsUntilNext(windowMs, now = Date.now()) {
+  return Math.ceil((windowMs - (now % windowMs)) / 1000);
+}
+
+// Limit in CELO wei, or null when disabled
+function limit(celoValue) {
+  const wei = parseEther(celoValue);
+  return wei > 0n ? wei : null;
+}
+
+export function getTreasuryConfig() {
+  return {
+    unit: 'CELO',
+    dailyBudget: limit(DAILY_BUDGET),
+    hourlyBudget: limit(HOURLY_BUDGET),
+    addressLifetimeCap: limit(ADDRESS_LIFETIME_CAP),
+    balanceFloor: parseEther(BALANCE_FLOOR)
+  };
+}
+
+// ===== CONVERSION =====
+
+// CELO per one `token`: AIRDROP_CELO_RATE_<SYMBOL>, else its USD value at the
+// current CELO price. Without a price, the ratio of the reward ranges (what
+// the token tables were sized with) keeps payouts moving.
+export async function getCeloRate(token) {
+  if (isNativeToken(token)) return 1;
+
+  const configured = Number(process.env[`AIRDROP_CELO_RATE_${token.symbol.toUpperCase()}`]);
+  if (configured > 0) return configured;
+
+  try {
+    const { price } = await getCeloPrice();
+    return token.usdValue / price;
+  } catch (error) {
+    console.warn(`⚠️ No CELO price for ${token.symbol} budget conversion, using the reward range ratio:`, error.message);
+    return Number(PAYOUT_TOKENS.CELO.maxAmount) / Number(token.maxAmount);
+  }
+}
+
+// `units` of `symbol` (base units) -> CELO wei
+export async function toCeloValue(symbol, units) {
+  const token = getPayoutToken(symbol);
+  if (isNativeToken(token)) return units;
+
+  const rate = parseEther((await getCeloRate(token)).toFixed(18));
+  return units * rate / 10n ** BigInt(token.decimals);
+}
+
+async function getSpent(key) {
+  const entry = await storage.get(key);
+  return BigInt(entry?.wei || '0');
+}
+
+async function getAddressSpent(address) {
+  let spent = await getSpent(addressKey(address));
+
+  for (const token of Object.values(PAYOUT_TOKENS).filter(t => !isNativeToken(t))) {
+    const legacy = await getSpent(legacyAddressKey(token.symbol, address));
+    if (legacy > 0n) spent += await toCeloValue(token.symbol, legacy);
+  }
+
+  return spent;
+}
+
+// Spend in CELO wei across every payout token
+export async function getSpend(address = null) {
+  return {
+    day: await getSpent(dayKey()),
+    hour: await getSpent(hourKey()),
+    address: address ? await getAddressSpent(address) : null
+  };
+}
+
+// ===== CIRCUIT BREAKER =====
+
+export async function getPauseState() {
+  return await storage.get(PAUSE_KEY);
+}
+
+// `ttl` (seconds) lets budget trips lift themselves when the window rolls over.
+// `code` identifies the trip condition (used to dedupe alerts).
+export async function pausePayouts(reason, { by = 'admin', ttl = null, code = 'manual' } = {}) {
+  const state = {
+    paused: true,
+    reason,
+    code,
+    by,
+    pausedAt: Date.now(),
+    resumesAt: ttl ? Date.now() + ttl * 1000 : null
+  };
+
+  await storage.set(PAUSE_KEY, state, ttl);
+  console.error(`🛑 Airdrop payouts paused by ${by}: ${reason}`);
+  await alertCircuitBreaker(state);
+  return state;
+}
+
+export async function resumePayouts(by = 'admin') {
+  await storage.delete(PAUSE_KEY);
+  console.log(`▶️ Airdrop payouts resumed by ${by}`);
+}
+
+// ===== CHECKS =====
+
+// Cheap pre-check for the claim endpoint. The payout worker re-checks
+// everything authoritatively before broadcasting.
+export async function checkClaimAllowed(address) {
+  const pause = await getPauseState();
+  if (pause?.paused) {
+    return {
+      allowed: false,
+      code: TREASURY_ERRORS.PAUSED,
+      error: 'Airdrops are temporarily paused. Please try again later.'
+    };
+  }
+
+  const { addressLifetimeCap } = getTreasuryConfig();
+  if (addressLifetimeCap && await getAddressSpent(address) >= addressLifetimeCap) {
+    return {
+      allowed: false,
+      code: TREASURY_ERRORS.ADDRESS_CAP,
+      error: 'Lifetime airdrop limit reached for this address'
+    };
+  }
+
+  return { allowed: true };
+}
+
+// Decide whether a payout may be broadcast. `value` is in token units,
+// `fee` and `balance` in CELO wei, `tokenBalance` only for ERC-20 payouts.
+// Returns `{ allowed: true, celoValue }` (pass `celoValue` to recordSpend),
+// `{ allowed: false, pause: { code, reason, ttl } }` to trip the breaker
+// (payout stays queued), or `{ allowed: false, reason }` to fail just this claim.
+export async function authorizePayout({ token = 'CELO', to, value, fee, balance, tokenBalance = null }) {
+  const payoutToken = getPayoutToken(token);
+  const config = getTreasuryConfig();
+  const spend = await getSpend(to);
+  const celoValue = await toCeloValue(payoutToken.symbol, value);
+  const format = wei => `${formatEther(wei)} CELO`;
+  const celoOut = isNativeToken(payoutToken) ? value + fee : fee;
+
+  if (balance - celoOut < config.balanceFloor) {
+    return {
+      allowed: false,
+      pause: {
+        code: 'balance_floor',
+        reason: `Wallet balance ${formatEther(balance)} CELO would drop below floor of ${formatEther(config.balanceFloor)} CELO`
+      }
+    };
+  }
+
+  if (tokenBalance !== null && tokenBalance < value) {
+    return {
+      allowed: false,
+      pause: {
+        code: `token_balance_${payoutToken.symbol}`,
+        reason: `Wallet ${payoutToken.symbol} balance ${formatUnits(tokenBalance, payoutToken.decimals)} is too low for pending payouts`
+      }
+    };
+  }
+
+  if (config.hourlyBudget && spend.hour + celoValue > config.hourlyBudget) {
+    return {
+      allowed: false,
+      pause: {
+        code: 'hourly_budget',
+        reason: `Hourly budget of ${format(config.hourlyBudget)} exceeded`,
+        ttl: secondsUntilNext(HOUR_MS)
+      }
+    };
+  }
+
+  if (config.dailyBudget && spend.day + celoValue > config.dailyBudget) {
+    return {
+      allowed: false,
+      pause: {
+        code: 'daily_budget',
+        reason: `Daily budget of ${format(config.dailyBudget)} exceeded`,
+        ttl: secondsUntilNext(DAY_MS)
+      }
+    };
+  }
+
+  if (config.addressLifetimeCap && spend.address + celoValue > config.addressLifetimeCap) {
+    return {
+      allowed: false,
+      reason: 'Lifetime airdrop limit reached for this address'
+    };
+  }
+
+  return { allowed: true, celoValue };
+}
+
+// ===== ACCOUNTING =====
+
+async function addSpent(key, value, ttl = null) {
+  const total = await getSpent(key) + value;
+  await storage.set(key, { wei: total.toString() }, ttl);
+}
+
+// `celoValue` in CELO wei, as returned by authorizePayout
+export async function recordSpend(to, celoValue) {
+  await addSpent(hourKey(), celoValue, 2 * HOUR_MS / 1000);
+  await addSpent(dayKey(), celoValue, 2 * DAY_MS / 1000);
+  await addSpent(addressKey(to), celoValue);
+}
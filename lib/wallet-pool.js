@@ -0,0 +1,266 @@
+// lib/wallet-pool.js - Pool of airdrop hot wallets
+//
+// Payouts are spread over every wallet in AIRDROP_WALLET_PRIVATE_KEYS. Each
+// wallet keeps its own nonce cursor, so one stuck transaction only holds up
+// that wallet. For every payout the worker picks the least loaded wallet
+// (fewest unconfirmed payouts, then highest balance) that can cover it
+// without dropping below the balance floor; wallets below the floor are
+// skipped. Only when no wallet can cover a payout does the treasury circuit
+// breaker trip.
+//
+// With AIRDROP_TREASURY_PRIVATE_KEY set, the payout worker also refills pool
+// wallets that fall below POOL_TOPUP_THRESHOLD from that treasury wallet.
+
+import { parseEther, formatEther, formatUnits } from 'viem';
+import { storage } from './storage.js';
+import {
+  publicClient,
+  getAirdropAccounts,
+  getAirdropWalletClient,
+  getTreasuryAccount
+} from './chain.js';
+import {
+  ERC20_ABI,
+  PAYOUT_TOKENS,
+  getEnabledPayoutTokens,
+  isNativeToken
+} from './payout-tokens.js';
+import { getTreasuryConfig } from './treasury.js';
+
+// ===== CONFIGURATION =====
+const MAX_PENDING_PER_WALLET = parseInt(process.env.POOL_MAX_PENDING_PER_WALLET || '5', 10); // Unconfirmed payouts
+const TOPUP_THRESHOLD = process.env.POOL_TOPUP_THRESHOLD || '2'; // CELO
+const TOPUP_AMOUNT = process.env.POOL_TOPUP_AMOUNT || '5'; // CELO per refill
+const TOPUP_COOLDOWN = 600; // seconds between refills of the same wallet
+const THROUGHPUT_WINDOW_MS = 86400000; // Recent payouts kept for throughput stats
+const MAX_RECENT = 1000;
+const HOUR_MS = 3600000;
+
+// Per-wallet nonce cursor, owned by the payout worker (lib/payout-queue.js)
+export function nonceKey(address) {
+  return `payout_nonce_${address.toLowerCase()}`;
+}
+
+function statsKey(address) {
+  return `payout_wallet_stats_${address.toLowerCase()}`;
+}
+
+function topUpKey(address) {
+  return `payout_topup_${address.toLowerCase()}`;
+}
+
+// ===== WALLETS =====
+
+// `[{ address, walletClient }]`, in configuration order
+export function getPoolWallets() {
+  return getAirdropAccounts().map(account => ({
+    address: account.address.toLowerCase(),
+    walletClient: getAirdropWalletClient(account)
+  }));
+}
+
+export function getPoolConfig() {
+  const treasury = getTreasuryAccount();
+
+  return {
+    floor: formatEther(getTreasuryConfig().balanceFloor),
+    maxPendingPerWallet: MAX_PENDING_PER_WALLET,
+    topUp: treasury
+      ? { treasury: treasury.address, threshold: TOPUP_THRESHOLD, amount: TOPUP_AMOUNT }
+      : null
+  };
+}
+
+async function getTokenBalance(token, address) {
+  return await publicClient.readContract({
+    address: token.address,
+    abi: ERC20_ABI,
+    functionName: 'balanceOf',
+    args: [address]
+  });
+}
+
+// Balances and load of every pool wallet for one worker tick.
+// `pending` maps lowercase addresses to their unconfirmed payout count.
+export async function loadPoolState(pending = {}) {
+  const wallets = getPoolWallets();
+
+  for (const wallet of wallets) {
+    wallet.balance = await publicClient.getBalance({ address: wallet.address });
+    wallet.tokenBalances = {};
+    wallet.pending = pending[wallet.address] || 0;
+    wallet.nonce = null; // Loaded when the wallet is first picked
+    wallet.excluded = false;
+  }
+
+  return wallets;
+}
+
+// ERC-20 balances are only fetched once a payout in that token comes up
+export async function loadTokenBalances(wallets, token) {
+  if (isNativeToken(token)) return;
+
+  for (const wallet of wallets) {
+    if (wallet.tokenBalances[token.symbol] === undefined) {
+      wallet.tokenBalances[token.symbol] = await getTokenBalance(token, wallet.address);
+    }
+  }
+}
+
+function canCover(wallet, { token, value, fee, floor }) {
+  const celoOut = isNativeToken(token) ? value + fee : fee;
+  if (wallet.balance - celoOut < floor) return false;
+  return isNativeToken(token) || wallet.tokenBalances[token.symbol] >= value;
+}
+
+// Pick the wallet for one payout: `{ wallet }`, `{ wallet: null, busy: true }`
+// when every wallet has MAX_PENDING_PER_WALLET payouts unconfirmed, or
+// `{ wallet: null, richest }` when no wallet can cover it (the caller runs
+// the treasury checks against `richest`, which trips the breaker).
+export function selectWallet(wallets, { token, value, fee }) {
+  const floor = getTreasuryConfig().balanceFloor;
+  const available = wallets.filter(wallet => !wallet.excluded && wallet.pending < MAX_PENDING_PER_WALLET);
+  if (available.length === 0) {
+    return { wallet: null, busy: true };
+  }
+
+  const byBalance = (a, b) => (a.balance === b.balance ? 0 : a.balance > b.balance ? -1 : 1);
+  const candidates = available
+    .filter(wallet => canCover(wallet, { token, value, fee, floor }))
+    .sort((a, b) => a.pending - b.pending || byBalance(a, b));
+
+  if (candidates.length === 0) {
+    return { wallet: null, richest: [...available].sort(byBalance)[0] };
+  }
+
+  return { wallet: candidates[0] };
+}
+
+// ===== THROUGHPUT =====
+
+export async function getWalletStats(address) {
+  return await storage.get(statsKey(address)) || {
+    submitted: 0,
+    confirmed: 0,
+    failed: 0,
+    recent: [],
+    lastSubmittedAt: null
+  };
+}
+
+// `event` is 'submitted', 'confirmed' or 'failed'
+export async function recordWalletPayout(address, event) {
+  if (!address) return;
+
+  const stats = await getWalletStats(address);
+  stats[event] = (stats[event] || 0) + 1;
+
+  if (event === 'submitted') {
+    const now = Date.now();
+    stats.lastSubmittedAt = now;
+    stats.recent = [...stats.recent, now]
+      .filter(timestamp => now - timestamp < THROUGHPUT_WINDOW_MS)
+      .slice(-MAX_RECENT);
+  }
+
+  await storage.set(statsKey(address), stats);
+}
+
+// ===== ADMIN VIEW =====
+
+// Per-wallet balances, load and throughput, plus pool-wide token totals.
+// `pending` as for loadPoolState().
+export async function getPoolStatus(pending = {}) {
+  const floor = getTreasuryConfig().balanceFloor;
+  const symbols = getEnabledPayoutTokens();
+  const totals = Object.fromEntries(symbols.map(symbol => [symbol, 0n]));
+  const now = Date.now();
+  const wallets = [];
+
+  for (const { address } of getPoolWallets()) {
+    const celoBalance = await publicClient.getBalance({ address });
+    const balances = {};
+    for (const symbol of symbols) {
+      const token = PAYOUT_TOKENS[symbol];
+      const balance = isNativeToken(token) ? celoBalance : await getTokenBalance(token, address);
+      totals[symbol] += balance;
+      balances[symbol] = formatUnits(balance, token.decimals);
+    }
+
+    const stats = await getWalletStats(address);
+    const nonce = await storage.get(nonceKey(address));
+
+    wallets.push({
+      address,
+      balances,
+      belowFloor: celoBalance < floor,
+      pending: pending[address] || 0,
+      nonce: nonce?.nonce ?? null,
+      throughput: {
+        lastHour: stats.recent.filter(timestamp => now - timestamp < HOUR_MS).length,
+        last24h: stats.recent.filter(timestamp => now - timestamp < THROUGHPUT_WINDOW_MS).length
+      },
+      totals: { submitted: stats.submitted, confirmed: stats.confirmed, failed: stats.failed },
+      lastSubmittedAt: stats.lastSubmittedAt
+    });
+  }
+
+  return {
+    wallets,
+    totals: Object.fromEntries(symbols.map(symbol => [symbol, formatUnits(totals[symbol], PAYOUT_TOKENS[symbol].decimals)]))
+  };
+}
+
+// ===== TOP-UPS =====
+
+// Refill pool wallets below TOPUP_THRESHOLD from the treasury wallet. Each
+// wallet is refilled at most once per TOPUP_COOLDOWN, and the treasury never
+// goes below the balance floor itself. No-op without a treasury key.
+export async function topUpWallets() {
+  const treasury = getTreasuryAccount();
+  if (!treasury) return { enabled: false, toppedUp: [] };
+
+  const walletClient = getAirdropWalletClient(treasury);
+  const threshold = parseEther(TOPUP_THRESHOLD);
+  const amount = parseEther(TOPUP_AMOUNT);
+  const floor = getTreasuryConfig().balanceFloor;
+  const toppedUp = [];
+
+  let treasuryBalance = null;
+  let nonce = null;
+
+  for (const { address } of getPoolWallets()) {
+    if (address === treasury.address.toLowerCase()) continue;
+
+    const balance = await publicClient.getBalance({ address });
+    if (balance >= threshold) continue;
+
+    if (treasuryBalance === null) {
+      treasuryBalance = await publicClient.getBalance({ address: treasury.address });
+      nonce = await publicClient.getTransactionCount({ address: treasury.address, blockTag: 'pending' });
+    }
+
+    // The treasury keeps the floor for its own gas
+    if (treasuryBalance - amount < floor) {
+      console.warn(`⚠️ Treasury ${treasury.address} too low to refill ${address} (${formatEther(treasuryBalance)} CELO)`);
+      break;
+    }
+
+    if (!await storage.setIfAbsent(topUpKey(address), { at: Date.now() }, TOPUP_COOLDOWN)) {
+      continue;
+    }
+
+    try {
+      const hash = await walletClient.sendTransaction({ to: address, value: amount, nonce });
+      nonce++;
+      treasuryBalance -= amount;
+      toppedUp.push({ address, amount: TOPUP_AMOUNT, txHash: hash });
+      console.log(`⛽ Topped up ${address} with ${TOPUP_AMOUNT} CELO (balance was ${formatEther(balance)}): ${hash}`);
+    } catch (error) {
+      await storage.delete(topUpKey(address));
+      console.error(`❌ Top-up of ${address} failed:`, error.shortMessage || error.message);
+    }
+  }
+
+  return { enabled: true, toppedUp };
+}
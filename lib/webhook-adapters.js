@@ -0,0 +1,160 @@
+// lib/webhook-adapters.js - Turn provider webhook payloads into mint logs
+//
+// Each adapter pulls raw logs out of one provider's payload shape (or returns
+// null when it doesn't recognise it):
+//   alchemy   - Custom (GraphQL) webhooks: event.data.block.logs[]
+//               Address Activity webhooks: event.activity[].log
+//   quicknode - Streams: arrays (or arrays of arrays) of logs, or { data: [...] }
+//   goldsky   - raw_logs rows: [row], { data: [rows] } or { data: { new: row } }
+//               (comma-separated `topics`, snake_case fields)
+//   generic   - { log }, { logs: [...] }, a bare array of logs, or the legacy
+//               pre-decoded { event: { args: { owner, tokenId }, transactionHash } }
+//
+// Logs are then filtered to NFT_CONTRACT_ADDRESS + the Minted topic and decoded.
+// rewardMint() still verifies every mint against the on-chain receipt.
+
+import { decodeEventLog, encodeEventTopics, isAddress } from 'viem';
+import { NFT_CONTRACT_ADDRESS } from './chain.js';
+import { MINTED_EVENT } from './rewards.js';
+
+const MINTED_TOPIC = encodeEventTopics({ abi: [MINTED_EVENT], eventName: 'Minted' })[0];
+
+// ===== NORMALIZATION =====
+
+function toTopics(topics) {
+  if (Array.isArray(topics)) return topics;
+  if (typeof topics === 'string') return topics.split(',').map(t => t.trim()).filter(Boolean);
+  return [];
+}
+
+// Common shape: { address, topics, data, transactionHash, blockNumber, blockHash, logIndex }
+function normalizeLog(log, overrides = {}) {
+  return {
+    address: log.address ?? log.account?.address ?? null,
+    topics: toTopics(log.topics),
+    data: log.data ?? '0x',
+    transactionHash: log.transactionHash ?? log.transaction_hash ?? log.transaction?.hash ?? null,
+    blockNumber: log.blockNumber ?? log.block_number ?? null,
+    blockHash: log.blockHash ?? log.block_hash ?? null,
+    logIndex: log.logIndex ?? log.log_index ?? log.index ?? null,
+    removed: Boolean(log.removed),
+    ...overrides
+  };
+}
+
+function isLogLike(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) && 'topics' in value;
+}
+
+// ===== ADAPTERS =====
+
+function alchemyAdapter(body) {
+  const block = body?.event?.data?.block;
+  if (Array.isArray(block?.logs)) {
+    return block.logs.map(log => normalizeLog(log, {
+      blockNumber: block.number ?? null,
+      blockHash: block.hash ?? null
+    }));
+  }
+
+  if (Array.isArray(body?.event?.activity)) {
+    return body.event.activity
+      .filter(activity => activity.log)
+      .map(activity => normalizeLog(activity.log));
+  }
+
+  return null;
+}
+
+function quicknodeAdapter(body) {
+  const payload = Array.isArray(body) ? body : body?.data;
+  if (!Array.isArray(payload)) return null;
+
+  return payload.flat(2).filter(isLogLike).map(log => normalizeLog(log));
+}
+
+function goldskyAdapter(body) {
+  let rows = null;
+  if (Array.isArray(body)) rows = body;
+  else if (Array.isArray(body?.data)) rows = body.data;
+  else if (body?.data?.new) rows = [body.data.new];
+
+  return rows ? rows.filter(isLogLike).map(row => normalizeLog(row)) : null;
+}
+
+function genericAdapter(body) {
+  if (Array.isArray(body)) return body.filter(isLogLike).map(log => normalizeLog(log));
+  if (Array.isArray(body?.logs)) return body.logs.map(log => normalizeLog(log));
+  if (body?.log?.topics) {
+    return [normalizeLog(body.log, { transactionHash: body.log.transactionHash || body.transaction?.hash || null })];
+  }
+
+  // Legacy pre-decoded event - no topics to check, the receipt check covers it
+  if (body?.event?.args) {
+    return [{
+      decoded: true,
+      address: body.event.address ?? null,
+      owner: body.event.args.owner,
+      tokenId: body.event.args.tokenId,
+      transactionHash: body.event.transactionHash || body.transaction?.hash || null,
+      logIndex: body.event.logIndex ?? null
+    }];
+  }
+
+  return null;
+}
+
+const ADAPTERS = {
+  alchemy: alchemyAdapter,
+  quicknode: quicknodeAdapter,
+  goldsky: goldskyAdapter,
+  generic: genericAdapter
+};
+
+// Raw logs from a payload, trying the configured provider's adapter first and
+// then the others. Returns null when no adapter recognises the body.
+export function extractWebhookLogs(body, provider = 'generic') {
+  const order = [provider, ...Object.keys(ADAPTERS).filter(name => name !== provider)];
+
+  for (const name of order) {
+    const logs = ADAPTERS[name]?.(body);
+    if (logs) return logs;
+  }
+
+  return null;
+}
+
+// ===== FILTER + DECODE =====
+
+// `{ mint: { owner, tokenId, mintTxHash } }` or `{ skipped: reason }`
+export function decodeMintLog(log) {
+  if (log.removed) return { skipped: 'Log was removed (reorg)' };
+
+  if (log.address && String(log.address).toLowerCase() !== NFT_CONTRACT_ADDRESS.toLowerCase()) {
+    return { skipped: 'Log is not from the NFT contract' };
+  }
+
+  if (!log.transactionHash || !/^0x[a-fA-F0-9]{64}$/.test(log.transactionHash)) {
+    return { skipped: 'Missing mint transaction hash' };
+  }
+
+  if (log.decoded) {
+    if (!isAddress(String(log.owner)) || !/^\d+$/.test(String(log.tokenId ?? ''))) {
+      return { skipped: 'Event is missing a valid owner or tokenId' };
+    }
+    return { mint: { owner: log.owner, tokenId: String(log.tokenId), mintTxHash: log.transactionHash } };
+  }
+
+  if (!log.address) return { skipped: 'Log has no contract address' };
+
+  if (log.topics[0]?.toLowerCase() !== MINTED_TOPIC) {
+    return { skipped: 'Not a Minted event' };
+  }
+
+  try {
+    const { args } = decodeEventLog({ abi: [MINTED_EVENT], topics: log.topics, data: log.data });
+    return { mint: { owner: args.owner, tokenId: args.tokenId.toString(), mintTxHash: log.transactionHash } };
+  } catch (error) {
+    return { skipped: `Could not decode Minted event: ${error.shortMessage || error.message}` };
+  }
+}
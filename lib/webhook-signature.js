@@ -0,0 +1,215 @@
+// lib/webhook-signature.js - Signature verification for mint webhooks
+//
+// WEBHOOK_PROVIDER selects how /api/webhook requests are signed:
+//   alchemy   - x-alchemy-signature: hex HMAC-SHA256(secret, body);
+//               replay window from the payload's `createdAt`
+//   quicknode - x-qn-signature: HMAC-SHA256(secret, nonce + timestamp + body)
+//               with x-qn-nonce / x-qn-timestamp (unix seconds)
+//   goldsky   - goldsky-webhook-secret: the shared secret itself (Goldsky
+//               does not sign payloads), compared in constant time
+//   generic   - x-webhook-signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+//               with x-webhook-timestamp (unix seconds). Default.
+//
+// WEBHOOK_SECRET is the provider's signing key. When it is set, unsigned or
+// badly signed requests are rejected. Delivery IDs / signatures are
+// remembered for the replay window, so a captured request can't be resent.
+
+import { createHmac, createHash, timingSafeEqual } from 'crypto';
+import { storage } from './storage.js';
+
+// ===== CONFIGURATION =====
+export const WEBHOOK_PROVIDERS = ['alchemy', 'quicknode', 'goldsky', 'generic'];
+
+const REPLAY_WINDOW = parseInt(process.env.WEBHOOK_REPLAY_WINDOW || '300', 10); // seconds
+
+export const WEBHOOK_ERRORS = {
+  MISCONFIGURED: 'WEBHOOK_MISCONFIGURED',
+  SIGNATURE_MISSING: 'WEBHOOK_SIGNATURE_MISSING',
+  SIGNATURE_INVALID: 'WEBHOOK_SIGNATURE_INVALID',
+  TIMESTAMP_INVALID: 'WEBHOOK_TIMESTAMP_INVALID',
+  REPLAYED: 'WEBHOOK_REPLAYED'
+};
+
+export function getWebhookConfig() {
+  return {
+    provider: (process.env.WEBHOOK_PROVIDER || 'generic').toLowerCase(),
+    secret: process.env.WEBHOOK_SECRET || null
+  };
+}
+
+function replayKey(provider, id) {
+  return `webhook_seen_${provider}_${id}`;
+}
+
+// ===== RAW BODY =====
+
+// Signatures cover the exact bytes sent, so handlers using this must disable
+// body parsing (`export const config = { api: { bodyParser: false } }`)
+export async function readRawBody(req) {
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+  if (typeof req.body === 'string') return req.body;
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// ===== HELPERS =====
+
+function hmac(secret, payload) {
+  return createHmac('sha256', secret).update(payload, 'utf8').digest();
+}
+
+// Compare a provided hex or base64 signature with the expected digest
+function signatureMatches(expected, provided) {
+  if (typeof provided !== 'string' || provided.length === 0) return false;
+
+  const value = provided.trim();
+  const candidate = /^[a-f0-9]+$/i.test(value) && value.length === expected.length * 2
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+
+  return candidate.length === expected.length && timingSafeEqual(candidate, expected);
+}
+
+function secretMatches(secret, provided) {
+  if (typeof provided !== 'string') return false;
+
+  const a = Buffer.from(provided);
+  const b = Buffer.from(secret);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Unix seconds or ISO date -> ms, null when unparseable
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return Number(value) * 1000;
+
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function invalid(code, error) {
+  return { valid: false, code, error };
+}
+
+// ===== PROVIDERS =====
+// Each returns `{ valid, timestamp, deliveryId }` or an invalid result
+
+function verifyAlchemy(req, rawBody, secret) {
+  const signature = req.headers['x-alchemy-signature'];
+  if (!signature) return invalid(WEBHOOK_ERRORS.SIGNATURE_MISSING, 'Missing x-alchemy-signature header');
+
+  if (!signatureMatches(hmac(secret, rawBody), signature)) {
+    return invalid(WEBHOOK_ERRORS.SIGNATURE_INVALID, 'Invalid webhook signature');
+  }
+
+  // The timestamp and event ID are inside the signed body
+  let payload = {};
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    // Signature is valid, malformed JSON is reported by the handler
+  }
+
+  return { valid: true, timestamp: parseTimestamp(payload.createdAt), deliveryId: payload.id || null };
+}
+
+function verifyQuickNode(req, rawBody, secret) {
+  const signature = req.headers['x-qn-signature'];
+  const nonce = req.headers['x-qn-nonce'];
+  const timestamp = req.headers['x-qn-timestamp'];
+
+  if (!signature || !nonce || !timestamp) {
+    return invalid(WEBHOOK_ERRORS.SIGNATURE_MISSING, 'Missing x-qn-signature, x-qn-nonce or x-qn-timestamp header');
+  }
+
+  if (!signatureMatches(hmac(secret, `${nonce}${timestamp}${rawBody}`), signature)) {
+    return invalid(WEBHOOK_ERRORS.SIGNATURE_INVALID, 'Invalid webhook signature');
+  }
+
+  return { valid: true, timestamp: parseTimestamp(timestamp), deliveryId: nonce };
+}
+
+function verifyGoldsky(req, rawBody, secret) {
+  const provided = req.headers['goldsky-webhook-secret'];
+  if (!provided) return invalid(WEBHOOK_ERRORS.SIGNATURE_MISSING, 'Missing goldsky-webhook-secret header');
+
+  if (!secretMatches(secret, provided)) {
+    return invalid(WEBHOOK_ERRORS.SIGNATURE_INVALID, 'Invalid webhook secret');
+  }
+
+  // No timestamp or delivery ID - identical bodies are treated as replays
+  return {
+    valid: true,
+    timestamp: null,
+    deliveryId: createHash('sha256').update(rawBody).digest('hex')
+  };
+}
+
+function verifyGeneric(req, rawBody, secret) {
+  const header = req.headers['x-webhook-signature'];
+  const timestamp = req.headers['x-webhook-timestamp'];
+
+  if (!header || !timestamp) {
+    return invalid(WEBHOOK_ERRORS.SIGNATURE_MISSING, 'Missing x-webhook-signature or x-webhook-timestamp header');
+  }
+
+  const signature = header.replace(/^sha256=/, '');
+  if (!signatureMatches(hmac(secret, `${timestamp}.${rawBody}`), signature)) {
+    return invalid(WEBHOOK_ERRORS.SIGNATURE_INVALID, 'Invalid webhook signature');
+  }
+
+  return { valid: true, timestamp: parseTimestamp(timestamp), deliveryId: signature.toLowerCase() };
+}
+
+const VERIFIERS = {
+  alchemy: verifyAlchemy,
+  quicknode: verifyQuickNode,
+  goldsky: verifyGoldsky,
+  generic: verifyGeneric
+};
+
+// ===== VERIFY =====
+
+// Returns `{ valid: true, signed, deliveryKey }` or `{ valid: false, code, error }`.
+// Without WEBHOOK_SECRET every request is accepted (`signed: false`).
+export async function verifyWebhookRequest(req, rawBody, { provider, secret } = getWebhookConfig()) {
+  if (!secret) {
+    console.warn('⚠️ WEBHOOK_SECRET not set - accepting unsigned webhook');
+    return { valid: true, signed: false };
+  }
+
+  const verify = VERIFIERS[provider];
+  if (!verify) {
+    console.error(`❌ Unknown WEBHOOK_PROVIDER "${provider}" (expected ${WEBHOOK_PROVIDERS.join(', ')})`);
+    return invalid(WEBHOOK_ERRORS.MISCONFIGURED, 'Webhook verification misconfigured');
+  }
+
+  const result = verify(req, rawBody, secret);
+  if (!result.valid) return result;
+
+  if (result.timestamp !== null) {
+    if (Math.abs(Date.now() - result.timestamp) > REPLAY_WINDOW * 1000) {
+      return invalid(WEBHOOK_ERRORS.TIMESTAMP_INVALID, `Webhook timestamp outside the ${REPLAY_WINDOW}s window`);
+    }
+  } else if (provider !== 'goldsky') {
+    return invalid(WEBHOOK_ERRORS.TIMESTAMP_INVALID, 'Missing or invalid webhook timestamp');
+  }
+
+  const deliveryKey = result.deliveryId ? replayKey(provider, result.deliveryId) : null;
+  if (deliveryKey && !await storage.setIfAbsent(deliveryKey, { seenAt: Date.now() }, REPLAY_WINDOW * 2)) {
+    return invalid(WEBHOOK_ERRORS.REPLAYED, 'Webhook delivery already processed');
+  }
+
+  return { valid: true, signed: true, deliveryKey };
+}
+
+// Let the provider's retry through when handling a verified delivery failed
+export async function releaseWebhookDelivery(verification) {
+  if (verification?.deliveryKey) {
+    await storage.delete(verification.deliveryKey);
+  }
+}
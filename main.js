@@ -14,18 +14,22 @@ import {
   readContract,
   waitForTransactionReceipt,
   http,
-  getBalance
+  getBalance,
+  signMessage
 } from '@wagmi/core';
 import { celo } from '@wagmi/core/chains';
 import { farcasterMiniApp } from '@farcaster/miniapp-wagmi-connector';
 import { createAppKit } from '@reown/appkit';
 import { WagmiAdapter } from '@reown/appkit-adapter-wagmi';
 import confetti from 'canvas-confetti';
+import { DEFAULT_BONUS_RULES, findRule, matchesRule } from './lib/bonus-rules.js';
+import { DEFAULT_ROUND_TYPES, findRoundType, formatRoundDuration } from './lib/prediction-rounds.js';
 
 // Configuration
 const MAX_SUPPLY_FUNCTION_NAME = 'maxSupply';
 const PROJECT_ID = 'e0dd881bad824ac3418617434a79f917';
 const MINIAPP_URL = 'https://farcaster.xyz/miniapps/Tip8ngTAKnHC/celo-nft';
+const APP_URL = 'https://celo-nft-phi.vercel.app/';
 
 // DOM Elements
 const statusBox = document.getElementById('statusBox');
@@ -44,6 +48,9 @@ const giftBtn = document.getElementById('giftBtn');
 const totalMintedStat = document.getElementById('totalMintedStat');
 const yourMintsStat = document.getElementById('yourMintsStat');
 const remainingStat = document.getElementById('remainingStat');
+const payoutTokenPicker = document.getElementById('payoutTokenPicker');
+const payoutTokenSelect = document.getElementById('payoutTokenSelect');
+const nextTokenBonusHint = document.getElementById('nextTokenBonusHint');
 const ALL_RARITY_CLASSES = ["common", "rare", "legendary", "mythic"];
 
 let MAX_SUPPLY = 0;
@@ -60,6 +67,7 @@ let currentNFTData = null;
 let accountChangeTimeout = null;
 let tradingViewLoaded = false;
 let lastAirdropAmount = null; // Store last airdrop amount for cast
+let lastAirdropToken = 'CELO'; // Token the last airdrop was paid in
 
 // Safe LocalStorage wrapper
 const safeLocalStorage = {
@@ -204,6 +212,9 @@ function showAddress(addr) {
   userAddrBox.classList.remove('hidden');
   connectBtn.classList.add('hidden');
   mintBtn.classList.remove('hidden');
+  if (payoutTokenSelect.options.length > 1) {
+    payoutTokenPicker.classList.remove('hidden');
+  }
   
   userAddrBox.onclick = () => {
     if (modal) {
@@ -215,22 +226,24 @@ function showAddress(addr) {
 function showConnectButton() {
   connectBtn.classList.remove('hidden');
   mintBtn.classList.add('hidden');
+  payoutTokenPicker.classList.add('hidden');
   userAddrBox.classList.add('hidden');
 }
 
+// Median of several price sources, aggregated and cached server-side (lib/price.js)
 async function fetchCeloPrice() {
   try {
-    const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=celo&vs_currencies=usd&include_24hr_change=true');
+    const response = await fetch('/api/price');
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
     const data = await response.json();
-    if (!data || !data.celo || !data.celo.usd) {
-      throw new Error("Invalid response structure from CoinGecko.");
+    if (!data || !data.price) {
+      throw new Error("Invalid response structure from /api/price.");
     }
     return {
-      price: data.celo.usd,
-      change24h: data.celo.usd_24h_change || 0
+      price: data.price,
+      change24h: data.change24h || 0
     };
   } catch (e) {
     console.error("Failed to fetch CELO price:", e);
@@ -322,6 +335,10 @@ async function updateSupply(initialLoad = false) {
       mintBtn.title = '';
     }
 
+    if (MAX_SUPPLY === 0 || totalNumber < MAX_SUPPLY) {
+      showNextTokenBonusHint(totalNumber + 1);
+    }
+
     return total;
   } catch (e) {
     if (totalMintedStat) totalMintedStat.textContent = '--';
@@ -331,6 +348,32 @@ async function updateSupply(initialLoad = false) {
   }
 }
 
+// Tell the user when the next token ID qualifies for a lucky bonus (dry-run quote)
+let quotedTokenId = null;
+
+async function showNextTokenBonusHint(tokenId) {
+  if (!nextTokenBonusHint || tokenId === quotedTokenId) return;
+  quotedTokenId = tokenId;
+  
+  try {
+    const params = new URLSearchParams({ quote: 'true', tokenId: String(tokenId) });
+    if (payoutTokenSelect.value) params.set('payoutToken', payoutTokenSelect.value);
+    
+    const response = await fetch(`/api/airdrop?${params}`);
+    if (!response.ok) return;
+    const quote = await response.json();
+    
+    if (quote.luckyMultiplier > 1) {
+      nextTokenBonusHint.textContent = `🍀 Next NFT #${tokenId} qualifies for ${quote.bonusReasons.join(', ')} — ${quote.luckyMultiplier}x bonus (up to ${quote.range.max} ${quote.token})!`;
+      nextTokenBonusHint.classList.remove('hidden');
+    } else {
+      nextTokenBonusHint.classList.add('hidden');
+    }
+  } catch (e) {
+    console.warn('Failed to quote next token:', e);
+  }
+}
+
 function updateUserMintCount() {
   if (!userAddress || !contractDetails) {
     if (yourMintsStat) yourMintsStat.textContent = '--';
@@ -465,6 +508,94 @@ async function getTokenIdFromReceipt(receipt) {
   }
 }
 
+// ===== WALLET SIGN-IN =====
+// Airdrop and prediction APIs require proof that we control userAddress.
+// One signature creates a short-lived session token reused for later calls.
+
+const AUTH_STORAGE_KEY = 'celoNftAuthSession';
+let authSession = null;
+let authSessionPromise = null;
+
+function loadAuthSession() {
+  if (authSession) return authSession;
+  try {
+    authSession = JSON.parse(sessionStorage.getItem(AUTH_STORAGE_KEY));
+  } catch (e) {
+    authSession = null;
+  }
+  return authSession;
+}
+
+function clearAuthSession() {
+  authSession = null;
+  sessionStorage.removeItem(AUTH_STORAGE_KEY);
+}
+
+async function signIn(address) {
+  setStatus('Please sign the message in your wallet to continue...', 'info');
+  
+  const nonceResponse = await fetch(`/api/auth?address=${address}`);
+  const { nonce, message, error } = await nonceResponse.json();
+  if (!nonceResponse.ok) {
+    throw new Error(error || 'Failed to start sign-in');
+  }
+  
+  const signature = await signMessage(wagmiConfig, { account: address, message });
+  
+  const response = await fetch('/api/auth', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ address, nonce, signature })
+  });
+  const session = await response.json();
+  if (!response.ok) {
+    throw new Error(session.error || 'Sign-in failed');
+  }
+  
+  authSession = session;
+  sessionStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+  return session;
+}
+
+// Reuse a valid session for the connected wallet, or ask for a signature
+async function ensureAuthSession() {
+  if (!userAddress) throw new Error('Wallet not connected');
+  
+  const session = loadAuthSession();
+  const stillValid = session &&
+    session.address === userAddress.toLowerCase() &&
+    session.expiresAt - Date.now() > 60000;
+  if (stillValid) return session;
+  
+  // Concurrent callers share one signature prompt
+  if (!authSessionPromise) {
+    authSessionPromise = signIn(userAddress).finally(() => {
+      authSessionPromise = null;
+    });
+  }
+  return authSessionPromise;
+}
+
+// fetch() with the session token attached; signs in again once if it expired
+async function authFetch(url, options = {}, retry = true) {
+  const session = await ensureAuthSession();
+  
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      Authorization: `Bearer ${session.token}`
+    }
+  });
+  
+  if (response.status === 401 && retry) {
+    clearAuthSession();
+    return authFetch(url, options, false);
+  }
+  
+  return response;
+}
+
 // ===== PRICE PREDICTION GAME =====
 
 // Show prediction result popup after airdrop
@@ -481,11 +612,13 @@ function showPredictionResultPopup(verifyResult, airdropResult) {
   const priceChange = parseFloat(verifyResult.priceChange || 0);
   const multiplier = verifyResult.multiplier || 1;
   const airdropAmount = airdropResult.amount || '0';
+  const airdropToken = airdropResult.token || 'CELO';
   
   const startPrice = parseFloat(verifyResult.startPrice) || 0;
   const endPrice = parseFloat(verifyResult.endPrice) || 0;
   const prediction = verifyResult.prediction || 'unknown';
   const priceChangePercent = verifyResult.priceChangePercent || '0';
+  const roundLabel = verifyResult.roundLabel || airdropResult.predictionRound || null;
   
   console.log('Popup data parsed:', { isCorrect, priceChange, multiplier, airdropAmount, startPrice, endPrice, prediction, priceChangePercent });
   
@@ -523,7 +656,8 @@ function showPredictionResultPopup(verifyResult, airdropResult) {
   // Check if there are any bonuses
   const hasLucky = airdropResult.luckyMultiplier && airdropResult.luckyMultiplier > 1;
   const hasRarity = airdropResult.rarityMultiplier && airdropResult.rarityMultiplier > 1;
-  const hasBonuses = hasLucky || hasRarity || airdropResult.bonusMessages;
+  const hasStreak = airdropResult.streakMultiplier && airdropResult.streakMultiplier > 1;
+  const hasBonuses = hasLucky || hasRarity || hasStreak || airdropResult.bonusMessages;
   const isSkipped = prediction === 'skipped' || !verifyResult.stats;
   
   content.innerHTML = `
@@ -535,6 +669,10 @@ function showPredictionResultPopup(verifyResult, airdropResult) {
       ${isSkipped ? 'BONUS AIRDROP' : (isCorrect ? 'CORRECT PREDICTION' : 'WRONG PREDICTION')}
     </h2>
     
+    ${!isSkipped && roundLabel ? `
+      <div style="color: #fbbf24; font-size: 0.8rem; font-weight: 600; margin-bottom: 6px;">⏱️ ${roundLabel} round</div>
+    ` : ''}
+    
     ${!isSkipped ? `
       <div style="color: #94a3b8; font-size: 0.85rem; margin-bottom: 14px;">
         ${prediction.toUpperCase()}: $${startPrice.toFixed(4)} → $${endPrice.toFixed(4)}
@@ -550,12 +688,12 @@ function showPredictionResultPopup(verifyResult, airdropResult) {
       
       <div style="display: flex; justify-content: space-between; margin: 6px 0; color: #e2e8f0; font-size: 0.85rem;">
         <span>Base Amount:</span>
-        <span style="color: #94a3b8; font-weight: bold;">${airdropResult.baseAmount || '0.01'} CELO</span>
+        <span style="color: #94a3b8; font-weight: bold;">${airdropResult.baseAmount || '0.01'} ${airdropToken}</span>
       </div>
       
       ${!isSkipped ? `
         <div style="display: flex; justify-content: space-between; margin: 6px 0; color: #e2e8f0; font-size: 0.85rem;">
-          <span>Prediction ${isCorrect ? 'Bonus' : 'Penalty'}:</span>
+          <span>Prediction ${isCorrect ? 'Bonus' : 'Penalty'}${roundLabel ? ` (${roundLabel})` : ''}:</span>
           <span style="color: ${isCorrect ? '#10b981' : '#f59e0b'}; font-weight: bold;">${multiplier}x</span>
         </div>
       ` : ''}
@@ -574,11 +712,23 @@ function showPredictionResultPopup(verifyResult, airdropResult) {
         </div>
       ` : ''}
       
+      ${hasStreak ? `
+        <div style="display: flex; justify-content: space-between; margin: 6px 0; color: #e2e8f0; font-size: 0.85rem;">
+          <span>🔥 Streak Bonus:</span>
+          <span style="color: #f97316; font-weight: bold;">${airdropResult.streakMultiplier}x</span>
+        </div>
+      ` : ''}
+      
       <div style="border-top: 2px solid #334155; margin: 10px 0; padding-top: 10px;">
         <div style="font-size: 0.95rem; color: #94a3b8;">Total Airdrop</div>
         <div style="font-size: 1.2rem; font-weight: bold; color: ${hasBonuses ? '#fbbf24' : (isCorrect ? '#10b981' : '#f59e0b')}; margin-top: 4px;">
-          ${airdropAmount} CELO
+          ${airdropAmount} ${airdropToken}
         </div>
+        ${airdropResult.verifyUrl ? `
+          <a href="${airdropResult.verifyUrl}" target="_blank" rel="noopener noreferrer" style="display: inline-block; margin-top: 6px; color: #49dfb5; font-size: 0.7rem; text-decoration: underline;">
+            🔐 Verify provably fair roll
+          </a>
+        ` : ''}
       </div>
     </div>
     
@@ -684,13 +834,13 @@ async function showPredictionModal() {
     content.className = 'prediction-content';
     content.innerHTML = `
       <div class="timer-display" id="predictionTimer">
-        ⏱️ <span id="timerSeconds">60</span>s
+        ⏱️ <span id="timerSeconds"></span>
       </div>
       
       <div class="prediction-header">
         <div class="prediction-icon">📈</div>
         <h2 class="prediction-title">Price Prediction Game</h2>
-        <p class="prediction-subtitle">Predict CELO price in 1 minute for 2x airdrop!</p>
+        <p class="prediction-subtitle" id="predictionSubtitle"></p>
       </div>
       
       <div class="current-price-box" id="currentPriceBox">
@@ -700,14 +850,23 @@ async function showPredictionModal() {
         </div>
       </div>
       
+      <div class="round-selector" id="roundSelector">
+        ${predictionRounds.map(round => `
+          <button class="round-option" data-round="${round.id}">
+            <span class="round-label">${round.label}</span>
+            <span class="round-odds">${round.winMultiplier}x / ${round.lossMultiplier}x</span>
+          </button>
+        `).join('')}
+      </div>
+      
       <div class="prediction-info">
         <div class="info-item">
           <span class="info-label">✅ Correct Prediction:</span>
-          <span class="info-value" style="color: #10b981;">2x Airdrop!</span>
+          <span class="info-value" style="color: #10b981;" id="roundWinValue"></span>
         </div>
         <div class="info-item">
           <span class="info-label">❌ Wrong Prediction:</span>
-          <span class="info-value" style="color: #f59e0b;">0.5x Consolation</span>
+          <span class="info-value" style="color: #f59e0b;" id="roundLossValue"></span>
         </div>
         <div class="info-item">
           <span class="info-label">⏭️ Skip:</span>
@@ -748,15 +907,32 @@ async function showPredictionModal() {
     document.body.appendChild(modal);
     
     let currentPrice = null;
-    let timestamp = null;
     let timerInterval = null;
+    let selectedRound = predictionRounds[0];
+    
+    // Round selector: sets the round length and multipliers shown
+    const selectRound = (round) => {
+      selectedRound = round;
+      content.querySelectorAll('.round-option').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.round === round.id);
+      });
+      document.getElementById('timerSeconds').textContent = round.endOfDay ? 'EOD' : formatRoundDuration(round.durationMs);
+      document.getElementById('predictionSubtitle').textContent =
+        `Predict CELO price ${describeRoundLength(round)} for ${round.winMultiplier}x airdrop!`;
+      document.getElementById('roundWinValue').textContent = `${round.winMultiplier}x Airdrop!`;
+      document.getElementById('roundLossValue').textContent = `${round.lossMultiplier}x Consolation`;
+    };
     
-    // Fetch current price
+    content.querySelectorAll('.round-option').forEach(btn => {
+      btn.onclick = () => selectRound(findRoundType(predictionRounds, btn.dataset.round));
+    });
+    selectRound(selectedRound);
+    
+    // Fetch current price (display only - the server records its own start price)
     (async () => {
       try {
         const priceData = await fetchCeloPrice();
         currentPrice = priceData.price;
-        timestamp = Date.now();
         
         const priceElement = document.getElementById('currentPrice');
         priceElement.innerHTML = `$${currentPrice.toFixed(4)}`;
@@ -796,42 +972,49 @@ async function showPredictionModal() {
     
     // Handle prediction
     const handlePrediction = async (prediction) => {
-      if (!currentPrice || !timestamp) return;
+      if (!currentPrice) return;
       
       document.getElementById('predictUp').disabled = true;
       document.getElementById('predictDown').disabled = true;
       document.getElementById('skipPrediction').disabled = true;
+      content.querySelectorAll('.round-option').forEach(btn => { btn.disabled = true; });
       
       try {
         // Store prediction
-        const response = await fetch('/api/prediction', {
+        const response = await authFetch('/api/prediction', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             action: 'predict',
             userAddress,
-            currentPrice,
             prediction,
-            timestamp
+            roundType: selectedRound.id
           })
         });
         
         if (!response.ok) {
           const error = await response.json();
-          throw new Error(error.message || 'Failed to store prediction');
+          throw new Error(getPredictionErrorMessage(error));
         }
         
+        const stored = await response.json();
+        
         // Calculate remaining time
-        const elapsedTime = Date.now() - timestamp;
-        const remainingTime = Math.max(0, 60000 - elapsedTime);
+        const remainingTime = Math.max(0, stored.expiresAt - Date.now());
         
         // Close modal and proceed to mint immediately
         cleanup();
         resolve({
           skip: false,
           prediction,
-          timestamp,
-          startPrice: currentPrice,
+          predictionId: stored.predictionId,
+          timestamp: stored.timestamp,
+          startPrice: stored.startPrice,
+          expiresAt: stored.expiresAt,
+          roundType: stored.roundType,
+          roundLabel: stored.roundLabel,
+          winMultiplier: stored.winMultiplier,
+          lossMultiplier: stored.lossMultiplier,
           timeLeft: remainingTime
         });
         
@@ -864,23 +1047,22 @@ async function showPredictionModal() {
 // Verify prediction after 60 seconds
 async function verifyPrediction(prediction, startPrice, timestamp, modal, cleanup, resolve) {
   try {
-    // Fetch new price
-    const priceData = await fetchCeloPrice();
-    const newPrice = priceData.price;
-    
-    // Verify prediction with backend
-    const response = await fetch('/api/prediction', {
+    // Verify prediction with backend (the server fetches the end price)
+    const response = await authFetch('/api/prediction', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         action: 'verify',
         userAddress,
-        timestamp,
-        newPrice
+        timestamp
       })
     });
     
     const result = await response.json();
+    if (!response.ok) {
+      throw new Error(getPredictionErrorMessage(result));
+    }
+    const newPrice = parseFloat(result.endPrice);
     
     // Show result
     const content = modal.querySelector('.prediction-content');
@@ -892,6 +1074,7 @@ async function verifyPrediction(prediction, startPrice, timestamp, modal, cleanu
         <div class="result-icon">${isCorrect ? '✅' : '❌'}</div>
         <div class="result-text">${isCorrect ? 'CORRECT!' : 'WRONG!'}</div>
         <div class="result-details">
+          ${result.roundLabel ? `⏱️ ${result.roundLabel} round<br>` : ''}
           ${prediction.toUpperCase()}: $${startPrice.toFixed(4)} → $${newPrice.toFixed(4)}
           <br>
           <span style="color: ${priceChange > 0 ? '#10b981' : '#ef4444'};">
@@ -920,7 +1103,7 @@ async function verifyPrediction(prediction, startPrice, timestamp, modal, cleanu
       </div>
       
       <button class="action-button" id="continueBtn" style="width: 100%; margin-top: 20px;">
-        ${isCorrect ? '🎉 Claim 2x Airdrop!' : '🎲 Claim 0.5x Consolation'}
+        ${isCorrect ? `🎉 Claim ${result.multiplier}x Airdrop!` : `🎲 Claim ${result.multiplier}x Consolation`}
       </button>
       <button class="skip-btn" id="cancelPrediction" style="margin-top: 10px;">
         ❌ Cancel & Start Over
@@ -947,46 +1130,325 @@ async function verifyPrediction(prediction, startPrice, timestamp, modal, cleanu
     
   } catch (error) {
     console.error('Verification error:', error);
-    setStatus('Prediction verification failed', 'error');
+    setStatus(`Prediction verification failed: ${error.message}`, 'error');
     cleanup();
     resolve({ skip: true });
   }
 }
 
+// Server-side prediction rules (PREDICTION_ERRORS in lib/predictions.js)
+const PREDICTION_ERROR_MESSAGES = {
+  PREDICTION_ALREADY_ACTIVE: '⏳ You already have a prediction running - wait for it to finish',
+  PREDICTION_NOT_EXPIRED: '⏳ This round is still running - the result comes when the timer ends',
+  PREDICTION_ALREADY_CONSUMED: 'This prediction was already verified',
+  PREDICTION_NOT_FOUND: 'Prediction not found or expired',
+  PREDICTION_INVALID: 'Pick UP or DOWN to make a prediction',
+  PRICE_UNAVAILABLE: 'CELO price is unavailable right now - please try again'
+};
+
+function getPredictionErrorMessage(data) {
+  const message = PREDICTION_ERROR_MESSAGES[data?.code];
+  if (message && data.retryAfterMs > 0) {
+    return `${message} (${formatRoundDuration(data.retryAfterMs)} left)`;
+  }
+  return message || data?.error || data?.message || 'Prediction request failed';
+}
+
+// The server resolves a round with the first price snapshot after it ends
+// (the cron sweep takes one every minute) - poll until the outcome is in
+async function fetchPredictionOutcome(predictionId, { maxAttempts = 30 } = {}) {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const response = await fetch(`/api/prediction?userAddress=${userAddress}&predictionId=${predictionId}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(getPredictionErrorMessage(data));
+    }
+    if (data.status === 'resolved') {
+      return data;
+    }
+
+    await new Promise(r => setTimeout(r, Math.min(data.retryAfterMs || 2000, 5000)));
+  }
+
+  throw new Error('Prediction outcome not available yet');
+}
+
+// ===== PENDING ROUNDS =====
+// A prediction's airdrop is claimed when its round ends. The round (with its
+// mint) is kept in localStorage until then, so long rounds survive a reload.
+const PENDING_ROUND_KEY = 'celoNftPendingRound';
+const scheduledRounds = new Set();
+
+// "in 5m", "by end of day (UTC)"
+function describeRoundLength(round) {
+  return round.endOfDay ? 'by end of day (UTC)' : `in ${formatRoundDuration(round.durationMs)}`;
+}
+
+function savePendingRound(round) {
+  safeLocalStorage.setItem(PENDING_ROUND_KEY, JSON.stringify({ ...round, userAddress }));
+}
+
+function clearPendingRound(predictionId) {
+  try {
+    const pending = JSON.parse(safeLocalStorage.getItem(PENDING_ROUND_KEY) || 'null');
+    if (!pending || pending.predictionId === predictionId) {
+      safeLocalStorage.removeItem(PENDING_ROUND_KEY);
+    }
+  } catch (e) {
+    safeLocalStorage.removeItem(PENDING_ROUND_KEY);
+  }
+}
+
+// Claim the round's airdrop once it ends (at most once per page load)
+function scheduleRoundSettlement(pendingRound) {
+  if (scheduledRounds.has(pendingRound.predictionId)) return;
+  scheduledRounds.add(pendingRound.predictionId);
+  
+  const timeLeft = Math.max(0, pendingRound.expiresAt - Date.now());
+  setStatus(`⏳ ${pendingRound.roundLabel || 'Prediction'} round running - result in ${formatRoundDuration(timeLeft)}`, 'info');
+  
+  // Fix race condition: ensure minimum delay of 1 second
+  setTimeout(() => settlePredictionRound(pendingRound), Math.max(timeLeft, 1000));
+}
+
+// Pick up a round left running on an earlier visit by the connected wallet
+function resumePendingRound() {
+  let pending = null;
+  try {
+    pending = JSON.parse(safeLocalStorage.getItem(PENDING_ROUND_KEY) || 'null');
+  } catch (e) {
+    console.warn('Failed to parse pending prediction round:', e);
+  }
+  
+  if (!pending?.predictionId || pending.userAddress?.toLowerCase() !== userAddress?.toLowerCase()) return;
+  
+  console.log('Resuming prediction round:', pending.predictionId);
+  scheduleRoundSettlement(pending);
+}
+
+// Fetch the round's outcome and claim the mint's airdrop with it
+async function settlePredictionRound(predictionResult) {
+  const round = predictionResult.roundLabel ? ` (${predictionResult.roundLabel} round)` : '';
+  
+  try {
+    setStatus('🔍 Verifying prediction result...', 'info');
+    
+    console.log('Fetching prediction outcome:', predictionResult.predictionId);
+    
+    let verifyResult = null;
+    let useClientSideVerification = false;
+    
+    // The server resolves the prediction itself - fetch its outcome
+    try {
+      verifyResult = await fetchPredictionOutcome(predictionResult.predictionId);
+    } catch (apiError) {
+      console.error('Prediction outcome error:', apiError);
+      console.log('⚠️ No server outcome, using client-side verification');
+      useClientSideVerification = true;
+    }
+    
+    let userStats = null;
+    try {
+      const statsResponse = await fetch(`/api/prediction?userAddress=${userAddress}`);
+      if (statsResponse.ok) {
+        userStats = await statsResponse.json();
+        console.log('Fetched user stats:', userStats);
+      }
+    } catch (statsError) {
+      console.error('Error fetching user stats:', statsError);
+    }
+    
+    // Fallback to client-side verification (display only - it pays 1x)
+    if (useClientSideVerification) {
+      const priceData = await fetchCeloPrice();
+      const priceChange = priceData.price - predictionResult.startPrice;
+      const predictedUp = predictionResult.prediction === 'up';
+      const actuallyWentUp = priceChange > 0;
+      const correct = predictedUp === actuallyWentUp;
+      const multiplier = correct ? (predictionResult.winMultiplier ?? 2) : (predictionResult.lossMultiplier ?? 0.5);
+      
+      console.log('Client-side verification:', {
+        startPrice: predictionResult.startPrice,
+        endPrice: priceData.price,
+        priceChange,
+        predictedUp,
+        actuallyWentUp,
+        correct,
+        multiplier
+      });
+      
+      verifyResult = {
+        success: true,
+        correct,
+        prediction: predictionResult.prediction,
+        startPrice: predictionResult.startPrice,
+        endPrice: priceData.price,
+        priceChange: priceChange.toFixed(4),
+        priceChangePercent: ((priceChange / predictionResult.startPrice) * 100).toFixed(2),
+        multiplier,
+        roundLabel: predictionResult.roundLabel,
+        stats: userStats || {
+          totalPredictions: 0,
+          correctPredictions: 0,
+          currentStreak: 0,
+          bestStreak: 0,
+          winRate: 0
+        }
+      };
+    } else if (verifyResult && !verifyResult.stats) {
+      verifyResult.stats = userStats || {
+        totalPredictions: 0,
+        correctPredictions: 0,
+        currentStreak: 0,
+        bestStreak: 0,
+        winRate: 0
+      };
+    }
+    
+    console.log('Prediction verification result:', verifyResult);
+    
+    if (verifyResult.void) {
+      setStatus(`⏱️ No price was recorded at the end of the round${round}, so it doesn't count. Claiming 1x airdrop...`, 'info');
+    } else if (verifyResult.correct) {
+      setStatus(`🎯 Correct prediction${round}! Claiming ${verifyResult.multiplier}x airdrop...`, 'success');
+    } else {
+      setStatus(`🎲 Wrong prediction${round}. Claiming ${verifyResult.multiplier}x consolation airdrop...`, 'info');
+    }
+    
+    // Claim airdrop - the server looks up the verified multiplier by predictionId
+    const airdropResult = await claimAirdrop(predictionResult.tokenId, predictionResult.txHash, predictionResult.predictionId);
+    
+    console.log('Airdrop result:', airdropResult);
+    
+    // The server-applied multiplier is authoritative (client-side fallback results pay 1x)
+    if (airdropResult && verifyResult && airdropResult.predictionMultiplier !== undefined) {
+      verifyResult.multiplier = airdropResult.predictionMultiplier;
+    }
+    
+    // Add validation before showing popup
+    if (!verifyResult || !airdropResult) {
+      console.error('Missing required data for popup:', { verifyResult, airdropResult });
+      return; // Early exit
+    }
+    
+    // Show prediction result popup after airdrop is sent
+    if (airdropResult && verifyResult) {
+      console.log('Showing prediction result popup...');
+      setTimeout(() => {
+        showPredictionResultPopup(verifyResult, airdropResult);
+      }, 2000);
+    } else {
+      console.log('Popup not shown - missing data:', { airdropResult, verifyResult });
+    }
+    
+  } catch (error) {
+    console.error('Prediction verification failed:', error);
+    // Fallback to standard airdrop if verification fails
+    setStatus('⚠️ Verification failed. Sending standard airdrop...', 'warning');
+    await claimAirdrop(predictionResult.tokenId, predictionResult.txHash);
+  } finally {
+    clearPendingRound(predictionResult.predictionId);
+  }
+
+}
+
+// Random per-browser ID sent with claims; the server uses it (hashed) to spot
+// one device claiming for many wallets
+const DEVICE_ID_KEY = 'celoNftDeviceId';
+
+function getDeviceId() {
+  let deviceId = safeLocalStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    safeLocalStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+// ===== REFERRALS =====
+// Share links carry ?ref=<address or FID>. The first ref we're opened with is
+// kept until a claim sends it; the server only counts it for a first mint.
+const REFERRAL_STORAGE_KEY = 'celoNftReferrer';
+
+function captureReferral() {
+  const ref = new URLSearchParams(window.location.search).get('ref');
+  if (ref && /^(0x[a-fA-F0-9]{40}|\d{1,10})$/.test(ref) && !safeLocalStorage.getItem(REFERRAL_STORAGE_KEY)) {
+    safeLocalStorage.setItem(REFERRAL_STORAGE_KEY, ref);
+  }
+}
+captureReferral();
+
+// `baseUrl` with our own ref (wallet address, or FID before connecting)
+function getReferralLink(baseUrl) {
+  const ref = userAddress || sdk?.context?.user?.fid;
+  if (!ref) return baseUrl;
+  
+  const url = new URL(baseUrl);
+  url.searchParams.set('ref', String(ref));
+  return url.toString();
+}
+
 // ⭐ AIRDROP CLAIMING FUNCTION ⭐
-async function claimAirdrop(tokenId, txHash, predictionMultiplier = 1) {
+async function claimAirdrop(tokenId, txHash, predictionId = null) {
   try {
     setStatus('Calculating your airdrop bonus...', 'info');
     
-    const response = await fetch('/api/airdrop', {
+    const response = await authFetch('/api/airdrop', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'X-Device-Id': getDeviceId()
       },
       body: JSON.stringify({
         tokenId: tokenId,
         userAddress: userAddress,
         mintTxHash: txHash,
-        predictionMultiplier: predictionMultiplier
+        predictionId: predictionId,
+        payoutToken: payoutTokenSelect.value || null,
+        ref: safeLocalStorage.getItem(REFERRAL_STORAGE_KEY)
       })
     });
     
-    const data = await response.json();
+    let data = await response.json();
     
     if (!response.ok) {
       throw new Error(data.error || 'Airdrop claim failed');
     }
     
+    // The server has seen our ref (recorded or not) - it won't count again
+    if (data.referral) {
+      safeLocalStorage.removeItem(REFERRAL_STORAGE_KEY);
+    }
+    
+    // Flagged by risk scoring - an admin approves or rejects it later
+    if (data.status === 'held') {
+      setStatus(data.message || 'Your airdrop is being reviewed', 'info');
+      return null;
+    }
+    
+    // Payouts are queued server-side - poll until the transfer confirms
+    if (data.status !== 'sent' && data.status !== 'failed') {
+      setStatus(`Airdrop of ${data.amount} ${data.token} queued, waiting for confirmation...`, 'info');
+      data = await waitForAirdropPayout(data.statusUrl || `/api/airdrop?claimId=${data.claimId}`);
+    }
+    
+    if (data.status === 'failed') {
+      throw new Error(data.error || 'Airdrop payout failed');
+    }
+    
     if (data.success) {
       const amountReceived = data.amount || '0.01';
+      const token = data.token || 'CELO';
       lastAirdropAmount = amountReceived;
+      lastAirdropToken = token;
       
       // Check if this was a bonus airdrop
       const isBonus = data.isBonus || (data.bonusMessages && data.bonusMessages.length > 0);
       
       if (isBonus) {
         // SUPER BONUS CELEBRATION! 🎉
-        setStatus(`💸 BONUS AIRDROP! ${amountReceived} CELO! 🎉`, 'success');
+        setStatus(`💸 BONUS AIRDROP! ${amountReceived} ${token}! 🎉`, 'success');
         
         // Don't show separate bonus popup - it's merged with prediction result
         // showBonusBreakdown(data);
@@ -999,7 +1461,7 @@ async function claimAirdrop(tokenId, txHash, predictionMultiplier = 1) {
           playSound('bonus');
         }
       } else {
-        setStatus(`Airdrop received! ${amountReceived} CELO sent to your wallet! 🎉`, 'success');
+        setStatus(`Airdrop received! ${amountReceived} ${token} sent to your wallet! 🎉`, 'success');
         
         // Normal confetti
         confetti({
@@ -1018,8 +1480,8 @@ async function claimAirdrop(tokenId, txHash, predictionMultiplier = 1) {
         airdropLink.rel = 'noopener noreferrer';
         airdropLink.className = 'tx-link';
         airdropLink.textContent = isBonus 
-          ? `💎 View Bonus (${amountReceived} CELO)` 
-          : `View Airdrop (${amountReceived} CELO)`;
+          ? `💎 View Bonus (${amountReceived} ${token})` 
+          : `View Airdrop (${amountReceived} ${token})`;
         airdropLink.style.background = isBonus 
           ? 'linear-gradient(135deg, #fbbf24, #f59e0b)' 
           : 'linear-gradient(135deg, #10b981, #059669)';
@@ -1046,6 +1508,116 @@ async function claimAirdrop(tokenId, txHash, predictionMultiplier = 1) {
   }
 }
 
+// Lucky-token rules come from the server so achievements match the airdrop
+// bonuses (including seasonal rules); the bundled defaults cover offline use.
+let bonusRules = DEFAULT_BONUS_RULES;
+
+async function loadBonusRules() {
+  try {
+    const response = await fetch('/api/airdrop?bonusRules=true');
+    if (!response.ok) return;
+    
+    const { rules } = await response.json();
+    if (Array.isArray(rules) && rules.length > 0) {
+      bonusRules = rules;
+    }
+  } catch (e) {
+    console.warn('Failed to load bonus rules:', e);
+  }
+}
+
+// Round types (length and multipliers) come from the server too; the bundled
+// defaults cover offline use.
+let predictionRounds = DEFAULT_ROUND_TYPES;
+
+async function loadPredictionRounds() {
+  try {
+    const response = await fetch('/api/prediction?rounds=true');
+    if (!response.ok) return;
+    
+    const { rounds } = await response.json();
+    if (Array.isArray(rounds) && rounds.length > 0) {
+      predictionRounds = rounds;
+    }
+  } catch (e) {
+    console.warn('Failed to load prediction rounds:', e);
+  }
+}
+
+function ownsBonusRuleToken(ruleId) {
+  const rule = findRule(bonusRules, ruleId);
+  return Boolean(rule) && userNFTs.some(nft => matchesRule(rule, nft.tokenId));
+}
+
+function bonusRuleDescription(ruleId, fallback) {
+  const rule = findRule(bonusRules, ruleId);
+  return rule?.description
+    ? rule.description.charAt(0).toLowerCase() + rule.description.slice(1)
+    : fallback;
+}
+
+// Fill the payout token picker. Preference order: saved choice, cUSD inside
+// MiniPay (users there mostly hold cUSD), then the server default.
+async function loadPayoutTokens() {
+  try {
+    const response = await fetch('/api/airdrop?payoutTokens=true');
+    if (!response.ok) return;
+    
+    const { defaultToken, tokens } = await response.json();
+    const symbols = tokens.map(t => t.symbol);
+    
+    payoutTokenSelect.innerHTML = tokens
+      .map(t => `<option value="${t.symbol}">${t.symbol}</option>`)
+      .join('');
+    
+    const saved = safeLocalStorage.getItem('payoutToken');
+    const miniPayDefault = window.ethereum?.isMiniPay ? 'cUSD' : null;
+    const preferred = [saved, miniPayDefault, defaultToken].find(s => symbols.includes(s));
+    payoutTokenSelect.value = preferred || symbols[0];
+    
+    payoutTokenSelect.onchange = () => {
+      safeLocalStorage.setItem('payoutToken', payoutTokenSelect.value);
+      if (quotedTokenId) {
+        const tokenId = quotedTokenId;
+        quotedTokenId = null;
+        showNextTokenBonusHint(tokenId);
+      }
+    };
+    
+    if (symbols.length > 1 && userAddress) {
+      payoutTokenPicker.classList.remove('hidden');
+    }
+  } catch (e) {
+    console.warn('Failed to load payout tokens:', e);
+  }
+}
+
+// Poll a queued airdrop claim until it is sent or failed
+async function waitForAirdropPayout(statusUrl, { intervalMs = 3000, timeoutMs = 90000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+    
+    const response = await fetch(statusUrl);
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load airdrop status');
+    }
+    
+    if (data.status === 'sent' || data.status === 'failed') {
+      return data;
+    }
+    
+    if (data.status === 'submitted') {
+      setStatus(`Airdrop of ${data.amount} ${data.token} submitted, confirming...`, 'info');
+    }
+  }
+  
+  throw new Error('Airdrop is still processing - it will arrive in your wallet shortly');
+}
+
 // Show bonus breakdown modal
 function showBonusBreakdown(data) {
   const modal = document.createElement('div');
@@ -1086,16 +1658,22 @@ function showBonusBreakdown(data) {
       <div style="font-size: 3rem; margin-bottom: 8px;">💎</div>
       <h2 style="color: #fbbf24; margin: 0 0 8px 0; font-size: 1.4rem;">BONUS AIRDROP!</h2>
       <div style="font-size: 2rem; font-weight: bold; color: #10b981; margin: 14px 0;">
-        ${data.amount} CELO
+        ${data.amount} ${data.token || 'CELO'}
       </div>
       
       <div style="background: rgba(15, 23, 42, 0.6); padding: 12px; border-radius: 8px; margin: 14px 0; border: 1px solid #334155;">
         <div style="color: #94a3b8; font-size: 0.85rem; margin-bottom: 6px;">Breakdown:</div>
         <div style="color: #e2e8f0; font-size: 0.85rem; line-height: 1.5;">
-          ${data.baseAmount ? `<div>Base: ${data.baseAmount} CELO</div>` : ''}
+          ${data.baseAmount ? `<div>Base: ${data.baseAmount} ${data.token || 'CELO'}</div>` : ''}
           ${data.luckyMultiplier > 1 ? `<div>Lucky: ${data.luckyMultiplier}x</div>` : ''}
           ${data.rarityMultiplier > 1 ? `<div>${data.rarity}: ${data.rarityMultiplier}x</div>` : ''}
+          ${data.streakMultiplier > 1 ? `<div>Streak: ${data.streakMultiplier}x</div>` : ''}
         </div>
+        ${data.verifyUrl ? `
+          <a href="${data.verifyUrl}" target="_blank" rel="noopener noreferrer" style="display: inline-block; margin-top: 8px; color: #49dfb5; font-size: 0.75rem; text-decoration: underline;">
+            🔐 Verify provably fair roll
+          </a>
+        ` : ''}
       </div>
       
       ${bonusesHTML ? `
@@ -1238,11 +1816,11 @@ async function castToFarcaster(tokenId, rarity, price, airdropAmount = null, pre
     const airdropFormatted = Number(airdropAmount).toFixed(4);
 
     if (predictionResult && predictionResult.correct === true) {
-      // Correct prediction - 2x airdrop
-      text = `🎯 I predicted CELO price correctly and got 2x airdrop!
+      // Correct prediction - the round's win multiplier
+      text = `🎯 I predicted CELO price correctly${predictionResult.roundLabel ? ` (${predictionResult.roundLabel} round)` : ''} and got ${predictionResult.multiplier || 2}x airdrop!
 
 ✨ Minted NFT #${tokenId} (${rarity}) at ${price}
-💰 Earned ${airdropFormatted} CELO
+💰 Earned ${airdropFormatted} ${lastAirdropToken}
 🔥 Try your luck with price predictions!
 
 Mint + Predict:`;
@@ -1251,7 +1829,7 @@ Mint + Predict:`;
       text = `🎲 I played the CELO price prediction game!
 
 ✨ Minted NFT #${tokenId} (${rarity}) at ${price}
-💰 Got ${airdropFormatted} CELO consolation prize
+💰 Got ${airdropFormatted} ${lastAirdropToken} consolation prize
 📈 Will you predict correctly?
 
 Mint + Predict:`;
@@ -1260,7 +1838,7 @@ Mint + Predict:`;
       text = `💎 LUCKY MINT! Got bonus airdrop!
 
 ✨ Minted NFT #${tokenId} (${rarity}) at ${price}
-🎁 Received ${airdropFormatted} CELO
+🎁 Received ${airdropFormatted} ${lastAirdropToken}
 🍀 Plus price prediction game!
 
 Mint + Earn:`;
@@ -1272,7 +1850,7 @@ Mint + Earn:`;
 Free mint + Airdrop + Price game:`;
   }
 
-  const embedUrl = MINIAPP_URL;
+  const embedUrl = getReferralLink(MINIAPP_URL);
 
   // ✅ Native Farcaster Mini App flow
   if (isFarcasterEnvironment && sdk?.actions?.composeCast) {
@@ -1541,7 +2119,6 @@ async function copyImageToClipboard() {
 
 function shareToTwitter() {
   let text = '';
-  const APP_URL = 'https://celo-nft-phi.vercel.app/';
   const HASHTAGS = 'CeloNFT,Celo,NFT,Web3'; // Twitter handles comma-separated hashtags perfectly
 
   // Re-use the exact same data sources as Farcaster version
@@ -1564,10 +2141,10 @@ function shareToTwitter() {
     const airdropFormatted = Number(airdropAmount).toFixed(4);
 
     if (predictionResult?.correct === true) {
-      text = `🎯 I predicted CELO price correctly and got 2x airdrop!
+      text = `🎯 I predicted CELO price correctly${predictionResult.roundLabel ? ` (${predictionResult.roundLabel} round)` : ''} and got ${predictionResult.multiplier || 2}x airdrop!
 
 ✨ Minted NFT #${tokenId} (${rarity}) at ${price}
-💰 Earned ${airdropFormatted} CELO
+💰 Earned ${airdropFormatted} ${lastAirdropToken}
 🔥 Try your luck with price predictions!
 
 Mint + Predict:`;
@@ -1575,7 +2152,7 @@ Mint + Predict:`;
       text = `🎲 I played the CELO price prediction game!
 
 ✨ Minted NFT #${tokenId} (${rarity}) at ${price}
-💰 Got ${airdropFormatted} CELO consolation prize
+💰 Got ${airdropFormatted} ${lastAirdropToken} consolation prize
 📈 Will you predict correctly?
 
 Mint + Predict:`;
@@ -1584,7 +2161,7 @@ Mint + Predict:`;
       text = `💎 LUCKY MINT! Got bonus airdrop!
 
 ✨ Minted NFT #${tokenId} (${rarity}) at ${price}
-🎁 Received ${airdropFormatted} CELO
+🎁 Received ${airdropFormatted} ${lastAirdropToken}
 🍀 Plus price prediction game!
 
 Mint + Earn:`;
@@ -1603,7 +2180,7 @@ Join now 👇`;
   }
 
   // Append app link at the end (Twitter will auto-card preview)
-  text += `\n\n${APP_URL}`;
+  text += `\n\n${getReferralLink(APP_URL)}`;
 
   // Build Twitter intent URL
   const twitterUrl = `https://twitter.com/intent/tweet?` +
@@ -1973,6 +2550,10 @@ wagmiConfig = wagmiAdapter.wagmiConfig;
       previewBtn.classList.remove('hidden');
     }
 
+    loadPayoutTokens();
+    loadBonusRules();
+    loadPredictionRounds();
+
     isFarcasterEnvironment = await isFarcasterEmbed();
     
     console.log('=== ENVIRONMENT DETECTION ===');
@@ -2150,6 +2731,8 @@ wagmiConfig = wagmiAdapter.wagmiConfig;
       
       // Load achievements in bottom section
       setTimeout(() => loadAchievementsBottom(), 1500);
+      
+      resumePendingRound();
     }
   } catch (error) {
     console.error('Initialization error:', error);
@@ -2180,6 +2763,8 @@ watchAccount(wagmiConfig, {
           // Load achievements in bottom section
           setTimeout(() => loadAchievementsBottom(), 1000);
           
+          resumePendingRound();
+          
           previewBtn.classList.add('hidden');
           previewContainer.classList.add('hidden');
           nftActions.classList.add('hidden');
@@ -2375,7 +2960,7 @@ mintBtn.addEventListener('click', async () => {
     if (predictionResult.skip) {
       // User skipped prediction - send standard airdrop immediately
       setTimeout(async () => {
-        const airdropResult = await claimAirdrop(actualTokenId, hash, 1);
+        const airdropResult = await claimAirdrop(actualTokenId, hash);
         
         console.log('Skip prediction - Airdrop result:', airdropResult);
         
@@ -2401,159 +2986,11 @@ mintBtn.addEventListener('click', async () => {
         }
       }, 2000);
     } else {
-      // User made a prediction - wait for verification
-      const remainingSeconds = Math.ceil(predictionResult.timeLeft / 1000);
-      setStatus(`⏳ Waiting for price verification... (${remainingSeconds}s remaining)`, 'info');
-      
-      // Fix race condition: ensure minimum delay of 1 second
-      const safeDelay = Math.max(predictionResult.timeLeft || 0, 1000);
-      
-      // Schedule airdrop after remaining time
-      setTimeout(async () => {
-        try {
-          setStatus('🔍 Verifying prediction result...', 'info');
-          
-          // Fetch current price for verification
-          const priceData = await fetchCeloPrice();
-          console.log('Current price for verification:', priceData.price);
-          console.log('Verifying prediction with params:', {
-            userAddress,
-            timestamp: predictionResult.timestamp,
-            newPrice: priceData.price
-          });
-          
-          let verifyResult = null;
-          let useClientSideVerification = false;
-          
-          // Try server-side verification first
-          try {
-            const verifyResponse = await fetch('/api/prediction', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                action: 'verify',
-                userAddress,
-                timestamp: predictionResult.timestamp,
-                newPrice: priceData.price
-              })
-            });
-            
-            console.log('Verify response status:', verifyResponse.status);
-            
-            if (!verifyResponse.ok) {
-              const errorData = await verifyResponse.json();
-              console.error('Verification API error:', errorData);
-              console.log('⚠️ API verification failed, using client-side verification');
-              useClientSideVerification = true;
-            } else {
-              verifyResult = await verifyResponse.json();
-              
-              // Ensure all required fields exist
-              if (!verifyResult.success) {
-                console.log('⚠️ API returned unsuccessful, using client-side verification');
-                useClientSideVerification = true;
-              }
-            }
-          } catch (apiError) {
-            console.error('API verification error:', apiError);
-            console.log('⚠️ API error, using client-side verification');
-            useClientSideVerification = true;
-          }
-          
-          let userStats = null;
-          try {
-            const statsResponse = await fetch(`/api/prediction?userAddress=${userAddress}`);
-            if (statsResponse.ok) {
-              userStats = await statsResponse.json();
-              console.log('Fetched user stats:', userStats);
-            }
-          } catch (statsError) {
-            console.error('Error fetching user stats:', statsError);
-          }
-          
-          // Fallback to client-side verification
-          if (useClientSideVerification) {
-            const priceChange = priceData.price - predictionResult.startPrice;
-            const predictedUp = predictionResult.prediction === 'up';
-            const actuallyWentUp = priceChange > 0;
-            const correct = predictedUp === actuallyWentUp;
-            const multiplier = correct ? 2 : 0.5;
-            
-            console.log('Client-side verification:', {
-              startPrice: predictionResult.startPrice,
-              endPrice: priceData.price,
-              priceChange,
-              predictedUp,
-              actuallyWentUp,
-              correct,
-              multiplier
-            });
-            
-            verifyResult = {
-              success: true,
-              correct,
-              prediction: predictionResult.prediction,
-              startPrice: predictionResult.startPrice,
-              endPrice: priceData.price,
-              priceChange: priceChange.toFixed(4),
-              priceChangePercent: ((priceChange / predictionResult.startPrice) * 100).toFixed(2),
-              multiplier,
-              stats: userStats || {
-                totalPredictions: 0,
-                correctPredictions: 0,
-                currentStreak: 0,
-                bestStreak: 0,
-                winRate: 0
-              }
-            };
-          } else if (verifyResult && !verifyResult.stats) {
-            verifyResult.stats = userStats || {
-              totalPredictions: 0,
-              correctPredictions: 0,
-              currentStreak: 0,
-              bestStreak: 0,
-              winRate: 0
-            };
-          }
-          
-          const multiplier = verifyResult.multiplier || 1;
-          
-          console.log('Prediction verification result:', verifyResult);
-          
-          if (verifyResult.correct) {
-            setStatus('🎯 Correct prediction! Claiming 2x airdrop...', 'success');
-          } else {
-            setStatus('🎲 Wrong prediction. Claiming 0.5x consolation airdrop...', 'info');
-          }
-          
-          // Claim airdrop with verified multiplier
-          const airdropResult = await claimAirdrop(actualTokenId, hash, multiplier);
-          
-          console.log('Airdrop result:', airdropResult);
-          
-          // Add validation before showing popup
-          if (!verifyResult || !airdropResult) {
-            console.error('Missing required data for popup:', { verifyResult, airdropResult });
-            return; // Early exit
-          }
-          
-          // Show prediction result popup after airdrop is sent
-          if (airdropResult && verifyResult) {
-            console.log('Showing prediction result popup...');
-            setTimeout(() => {
-              showPredictionResultPopup(verifyResult, airdropResult);
-            }, 2000);
-          } else {
-            console.log('Popup not shown - missing data:', { airdropResult, verifyResult });
-          }
-          
-        } catch (error) {
-          console.error('Prediction verification failed:', error);
-          // Fallback to standard airdrop if verification fails
-          setStatus('⚠️ Verification failed. Sending standard airdrop...', 'warning');
-          await claimAirdrop(actualTokenId, hash, 1);
-        }
-      }, safeDelay);
+      // User made a prediction - the airdrop is claimed when the round ends.
+      // The round is saved so a long one resumes on the next visit.
+      const pendingRound = { ...predictionResult, tokenId: actualTokenId, txHash: hash };
+      savePendingRound(pendingRound);
+      scheduleRoundSettlement(pendingRound);
     }
 
   } catch (e) {
@@ -3474,6 +3911,8 @@ function switchTab(tabName) {
   
   // Load content based on tab
   if (tabName === 'gallery') {
+    loadEarnings();
+    loadReferrals();
     loadGallery();
   }
 }
@@ -3517,6 +3956,173 @@ toggleButtons.forEach(btn => {
   });
 });
 
+// ===== EARNINGS PANEL =====
+const EARNINGS_PAGE_SIZE = 5;
+let earningsPayouts = [];
+let earningsPage = 1;
+
+async function fetchAirdropHistory(page) {
+  const response = await fetch(`/api/airdrop?address=${userAddress}&page=${page}&limit=${EARNINGS_PAGE_SIZE}`);
+  if (!response.ok) throw new Error(`History request failed: ${response.status}`);
+  return response.json();
+}
+
+async function loadEarnings() {
+  const earningsContent = document.getElementById('earningsContent');
+  
+  if (!userAddress) {
+    earningsContent.innerHTML = '<div class="empty-state">Connect wallet to view your earnings</div>';
+    return;
+  }
+  
+  earningsContent.innerHTML = '<div class="empty-state">Loading earnings... ⏳</div>';
+  
+  try {
+    const data = await fetchAirdropHistory(1);
+    earningsPayouts = data.claims;
+    earningsPage = 1;
+    renderEarnings(data.summary, data.hasMore);
+  } catch (e) {
+    console.error('Failed to load earnings:', e);
+    earningsContent.innerHTML = '<div class="empty-state">Failed to load earnings. Please try again.</div>';
+  }
+}
+
+async function loadMoreEarnings(summary) {
+  try {
+    const data = await fetchAirdropHistory(earningsPage + 1);
+    earningsPage = data.page;
+    earningsPayouts = earningsPayouts.concat(data.claims);
+    renderEarnings(summary, data.hasMore);
+  } catch (e) {
+    console.error('Failed to load more earnings:', e);
+  }
+}
+
+function renderEarnings(summary, hasMore) {
+  const earningsContent = document.getElementById('earningsContent');
+  
+  if (earningsPayouts.length === 0 && summary.paidClaims === 0) {
+    earningsContent.innerHTML = '<div class="empty-state">No airdrops yet. Mint an NFT to earn your first one! 🎁</div>';
+    return;
+  }
+  
+  const celoTotal = Number(summary.totals.CELO || 0).toFixed(4);
+  const otherTotals = Object.entries(summary.totals)
+    .filter(([token]) => token !== 'CELO')
+    .map(([token, amount]) => `${Number(amount).toFixed(4)} ${token}`);
+  const best = summary.bestBonus;
+  
+  const payoutsHtml = earningsPayouts.map(payout => {
+    const isPaid = payout.status === 'sent';
+    const isReferral = payout.source === 'referral';
+    const multipliers = isReferral ? payout.bonusMessages[0] : [
+      payout.luckyMultiplier > 1 ? `🍀 ${payout.luckyMultiplier}x` : null,
+      payout.rarityMultiplier > 1 ? `✨ ${payout.rarity} ${payout.rarityMultiplier}x` : null,
+      payout.predictionMultiplier !== 1 ? `🎯 ${payout.predictionMultiplier}x` : null,
+      payout.streakMultiplier > 1 ? `🔥 ${payout.streakMultiplier}x` : null
+    ].filter(Boolean).join(' · ') || 'No bonus';
+    const when = getTimeAgo(Date.now() - (payout.paidAt || payout.createdAt));
+    const txLink = payout.explorerUrl
+      ? `<a href="${payout.explorerUrl}" target="_blank" rel="noopener noreferrer">View tx</a>`
+      : '';
+    
+    return `
+      <div class="payout-item ${isPaid ? '' : 'pending'}">
+        <div class="payout-item-row">
+          <span>${isReferral ? '🤝 Referral bonus' : `NFT #${payout.tokenId}`}</span>
+          <strong>${payout.amount} ${payout.token}</strong>
+        </div>
+        <div class="payout-item-meta payout-item-row">
+          <span>${multipliers}</span>
+          <span>${isPaid ? when : payout.status} ${txLink}</span>
+        </div>
+      </div>
+    `;
+  }).join('');
+  
+  earningsContent.innerHTML = `
+    <div class="earnings-stats">
+      <div class="earnings-stat">
+        <div class="earnings-stat-label">Lifetime CELO</div>
+        <div class="earnings-stat-value">${celoTotal} CELO</div>
+        ${otherTotals.length ? `<div class="payout-item-meta">+ ${otherTotals.join(', ')}</div>` : ''}
+      </div>
+      <div class="earnings-stat">
+        <div class="earnings-stat-label">Airdrops Paid</div>
+        <div class="earnings-stat-value">${summary.paidClaims}</div>
+      </div>
+      <div class="earnings-stat">
+        <div class="earnings-stat-label">Best Bonus</div>
+        <div class="earnings-stat-value highlight">${best ? `${best.multiplier}x` : '—'}</div>
+        ${best ? `<div class="payout-item-meta">NFT #${best.tokenId} · ${best.amount} ${best.token}</div>` : ''}
+      </div>
+    </div>
+    <div class="payout-list">${payoutsHtml}</div>
+    ${hasMore ? '<button id="loadMoreEarnings" class="action-btn-small" style="margin-top: 10px; width: 100%;">Load more</button>' : ''}
+  `;
+  
+  const loadMoreBtn = document.getElementById('loadMoreEarnings');
+  if (loadMoreBtn) {
+    loadMoreBtn.onclick = () => {
+      loadMoreBtn.disabled = true;
+      loadMoreEarnings(summary);
+    };
+  }
+}
+
+// ===== REFERRAL PANEL =====
+async function loadReferrals() {
+  const referralContent = document.getElementById('referralContent');
+  
+  if (!userAddress) {
+    referralContent.innerHTML = '<div class="empty-state">Connect wallet to get your invite link</div>';
+    return;
+  }
+  
+  try {
+    const response = await fetch(`/api/referral?address=${userAddress}`);
+    if (!response.ok) throw new Error(`Referral request failed: ${response.status}`);
+    const stats = await response.json();
+    
+    const earned = Object.entries(stats.earned)
+      .map(([token, amount]) => `${Number(amount).toFixed(4)} ${token}`)
+      .join(', ') || '0 CELO';
+    
+    referralContent.innerHTML = `
+      <div class="earnings-stats">
+        <div class="earnings-stat">
+          <div class="earnings-stat-label">Invites</div>
+          <div class="earnings-stat-value">${stats.invites}</div>
+          ${stats.pending ? `<div class="payout-item-meta">${stats.pending} waiting for first mint</div>` : ''}
+        </div>
+        <div class="earnings-stat">
+          <div class="earnings-stat-label">Conversions</div>
+          <div class="earnings-stat-value">${stats.conversions}</div>
+        </div>
+        <div class="earnings-stat">
+          <div class="earnings-stat-label">Earned</div>
+          <div class="earnings-stat-value highlight">${earned}</div>
+        </div>
+      </div>
+      <div class="payout-item-meta">Friends who mint their first NFT through your link earn you a share of their airdrop.</div>
+      <button id="copyReferralLink" class="action-btn-small" style="margin-top: 10px; width: 100%;">🔗 Copy invite link</button>
+    `;
+    
+    document.getElementById('copyReferralLink').onclick = async () => {
+      try {
+        await navigator.clipboard.writeText(getReferralLink(APP_URL));
+        setStatus('Invite link copied! 🔗', 'success');
+      } catch (e) {
+        setStatus('Failed to copy invite link', 'error');
+      }
+    };
+  } catch (e) {
+    console.error('Failed to load referrals:', e);
+    referralContent.innerHTML = '<div class="empty-state">Failed to load referrals. Please try again.</div>';
+  }
+}
+
 // ===== GALLERY SYSTEM =====
 let userNFTs = [];
 
@@ -3722,21 +4328,19 @@ const achievements = [
     id: 'lucky_token',
     icon: '🍀',
     title: 'Lucky Number',
-    description: 'Own a lucky token (77, 111, 222, etc.)',
-    check: () => {
-      const luckyNumbers = [77, 111, 222, 333, 444, 555, 666, 777, 888, 999];
-      return userNFTs.some(nft => luckyNumbers.includes(nft.tokenId));
-    }
+    get description() {
+      return `Own a ${bonusRuleDescription('lucky_number', 'lucky token')}`;
+    },
+    check: () => ownsBonusRuleToken('lucky_number')
   },
   {
     id: 'milestone_token',
     icon: '🎯',
     title: 'Milestone Collector',
-    description: 'Own a milestone token (100, 250, 500, 1000)',
-    check: () => {
-      const milestones = [100, 250, 500, 1000, 2500, 5000];
-      return userNFTs.some(nft => milestones.includes(nft.tokenId));
-    }
+    get description() {
+      return `Own a ${bonusRuleDescription('milestone', 'milestone token')}`;
+    },
+    check: () => ownsBonusRuleToken('milestone')
   },
   {
     id: 'top_collector',
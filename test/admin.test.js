@@ -0,0 +1,33 @@
+// Cron route authentication: only CRON_SECRET counts, not the x-vercel-cron header
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.CRON_SECRET = 'test-cron-secret';
+
+const { isCronRequest } = await import('../lib/admin.js');
+
+test('Vercel cron requests with the bearer secret are accepted', () => {
+  assert.equal(isCronRequest({ headers: { authorization: 'Bearer test-cron-secret' } }), true);
+});
+
+test('manual triggers with x-cron-secret are accepted', () => {
+  assert.equal(isCronRequest({ headers: { 'x-cron-secret': 'test-cron-secret' } }), true);
+});
+
+test('a spoofed x-vercel-cron header or a wrong secret is rejected', () => {
+  assert.equal(isCronRequest({ headers: { 'x-vercel-cron': '1' } }), false);
+  assert.equal(isCronRequest({ headers: { authorization: 'Bearer wrong' } }), false);
+  assert.equal(isCronRequest({ headers: { authorization: 'test-cron-secret' } }), false);
+});
+
+test('nothing is accepted when CRON_SECRET is unset', () => {
+  const secret = process.env.CRON_SECRET;
+  delete process.env.CRON_SECRET;
+  try {
+    assert.equal(isCronRequest({ headers: { authorization: 'Bearer ' } }), false);
+    assert.equal(isCronRequest({ headers: { 'x-cron-secret': '' } }), false);
+  } finally {
+    process.env.CRON_SECRET = secret;
+  }
+});
@@ -0,0 +1,75 @@
+// Lucky-token bonus rules: matching, stacking and config validation
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  STACKING,
+  DEFAULT_BONUS_RULES,
+  evaluateBonusRules,
+  validateBonusRules,
+  loadBonusRules
+} from '../lib/bonus-rules.js';
+
+const rule = (id, overrides) => ({ id, type: 'range', min: 1, max: 1000, multiplier: 1.5, stacking: STACKING.MAX, label: id, ...overrides });
+
+test('tokens without a matching rule get no bonus', () => {
+  assert.deepEqual(evaluateBonusRules(58), { multiplier: 1, bonusReasons: [], matchedRules: [] });
+});
+
+test('the highest "max" rule wins', () => {
+  const result = evaluateBonusRules(777);
+
+  assert.equal(result.multiplier, 2);
+  assert.deepEqual(result.matchedRules, ['lucky_number', 'palindrome', 'repeating']);
+  assert.ok(result.bonusReasons.includes('🎰 All 7s!'));
+});
+
+test('an exclusive rule replaces every other match', () => {
+  const result = evaluateBonusRules(1000);
+
+  assert.equal(result.multiplier, 1.4);
+  assert.deepEqual(result.matchedRules, ['milestone']);
+  assert.deepEqual(result.bonusReasons, ['🎯 MILESTONE #1000']);
+});
+
+test('"multiply" rules stack on top of the best "max" rule', () => {
+  const rules = [
+    rule('low', { multiplier: 1.2 }),
+    rule('high', { multiplier: 2 }),
+    rule('boost', { type: 'endsWith', suffix: '7', multiplier: 1.1, stacking: STACKING.MULTIPLY }),
+    rule('double', { type: 'endsWith', suffix: '47', multiplier: 1.5, stacking: STACKING.MULTIPLY })
+  ];
+
+  assert.equal(evaluateBonusRules(147, rules).multiplier, 3.3);
+  assert.equal(evaluateBonusRules(7, rules).multiplier, 2);
+  assert.equal(evaluateBonusRules(2000, rules).multiplier, 1);
+});
+
+test('the default rules are valid', () => {
+  assert.deepEqual(validateBonusRules(DEFAULT_BONUS_RULES), []);
+});
+
+test('validateBonusRules reports every problem', () => {
+  const errors = validateBonusRules([
+    rule('a'),
+    rule('a'),
+    rule('b', { type: 'magic' }),
+    rule('c', { stacking: 'sum' }),
+    rule('d', { multiplier: 50 }),
+    rule('e', { type: 'list', ids: ['1'] }),
+    rule('f', { min: 10, max: 1 })
+  ]);
+
+  assert.equal(errors.length, 6);
+  assert.match(errors[0], /duplicate id/);
+  assert.deepEqual(validateBonusRules({}), ['Bonus rules must be an array']);
+});
+
+test('loadBonusRules falls back to the defaults on bad config', () => {
+  const custom = [rule('custom')];
+
+  assert.deepEqual(loadBonusRules(JSON.stringify(custom)), custom);
+  assert.equal(loadBonusRules(undefined), DEFAULT_BONUS_RULES);
+  assert.equal(loadBonusRules('{not json'), DEFAULT_BONUS_RULES);
+  assert.equal(loadBonusRules(JSON.stringify([rule('x', { multiplier: 0 })])), DEFAULT_BONUS_RULES);
+});
@@ -0,0 +1,126 @@
+// Claim ledger: one payout per mint, claim rate-limit slots, lifetime earnings
+// Runs on the in-memory storage fallback (no KV configured).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import {
+  CLAIM_STATUS,
+  reserveClaim,
+  findClaim,
+  failClaim,
+  updateClaim,
+  completeClaim,
+  getClaimHistory,
+  getEarningsSummary,
+  acquireClaimSlot,
+  releaseClaimSlot
+} from '../lib/claim-ledger.js';
+
+function randomHash() {
+  return `0x${randomBytes(32).toString('hex')}`;
+}
+
+function randomAddress() {
+  return `0x${randomBytes(20).toString('hex')}`;
+}
+
+let nextTokenId = 900000;
+
+function newMint() {
+  return { tokenId: nextTokenId++, userAddress: randomAddress(), mintTxHash: randomHash() };
+}
+
+test('reserveClaim pays a mint only once', async () => {
+  const mint = newMint();
+
+  const first = await reserveClaim(mint);
+  const second = await reserveClaim({ ...mint, source: 'webhook' });
+
+  assert.equal(first.reserved, true);
+  assert.equal(first.claim.status, CLAIM_STATUS.PENDING);
+  assert.equal(second.reserved, false);
+  assert.equal(second.claim.claimId, first.claim.claimId);
+});
+
+test('reserveClaim rejects the same token under a different tx hash', async () => {
+  const mint = newMint();
+
+  const first = await reserveClaim(mint);
+  const second = await reserveClaim({ ...mint, mintTxHash: randomHash() });
+
+  assert.equal(second.reserved, false);
+  assert.equal(second.claim.claimId, first.claim.claimId);
+});
+
+test('concurrent reservations for one mint produce a single claim', async () => {
+  const mint = newMint();
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => reserveClaim(mint)));
+
+  assert.equal(results.filter(result => result.reserved).length, 1);
+});
+
+test('findClaim looks claims up by tx hash (any case) and token ID', async () => {
+  const mint = newMint();
+  const { claim } = await reserveClaim(mint);
+
+  assert.equal((await findClaim({ mintTxHash: mint.mintTxHash.toUpperCase() })).claimId, claim.claimId);
+  assert.equal((await findClaim({ tokenId: mint.tokenId })).claimId, claim.claimId);
+});
+
+test('failClaim releases the mint, the rate slot and the history entry', async () => {
+  const mint = newMint();
+  const slot = await acquireClaimSlot(mint.userAddress, { windowMs: 60000, max: 1 });
+  const { claim } = await reserveClaim({ ...mint, rateSlot: slot.slotKey });
+
+  assert.equal((await acquireClaimSlot(mint.userAddress, { windowMs: 60000, max: 1 })).acquired, false);
+
+  const failed = await failClaim(claim.claimId, new Error('payout failed'));
+
+  assert.equal(failed.status, CLAIM_STATUS.FAILED);
+  assert.equal(failed.error, 'payout failed');
+  assert.equal((await getClaimHistory(mint.userAddress)).total, 0);
+  assert.equal((await acquireClaimSlot(mint.userAddress, { windowMs: 60000, max: 1 })).acquired, true);
+  assert.equal((await reserveClaim(mint)).reserved, true);
+});
+
+test('acquireClaimSlot hands out at most `max` slots, even concurrently', async () => {
+  const address = randomAddress();
+  const before = Date.now();
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => acquireClaimSlot(address, { windowMs: 60000, max: 2 })));
+  const denied = results.filter(result => !result.acquired);
+
+  assert.equal(results.filter(result => result.acquired).length, 2);
+  assert.equal(denied.length, 3);
+  assert.ok(denied[0].retryAt >= before + 60000);
+});
+
+test('releaseClaimSlot frees a slot for the next claim', async () => {
+  const address = randomAddress();
+  const slot = await acquireClaimSlot(address, { windowMs: 60000, max: 1 });
+
+  await releaseClaimSlot(slot.slotKey);
+
+  assert.equal((await acquireClaimSlot(address, { windowMs: 60000, max: 1 })).acquired, true);
+});
+
+test('concurrent payouts to one address all count towards its earnings', async () => {
+  const userAddress = randomAddress();
+  const claims = [];
+  for (let i = 0; i < 4; i++) {
+    const { claim } = await reserveClaim({ ...newMint(), userAddress });
+    await updateClaim(claim.claimId, { payoutToken: i === 3 ? 'cUSD' : 'CELO', luckyMultiplier: i + 1 });
+    claims.push(claim);
+  }
+
+  await Promise.all(claims.map(claim => completeClaim(claim.claimId, { amount: '0.0125', payoutTxHash: randomHash() })));
+  await completeClaim(claims[0].claimId, { amount: '0.0125', payoutTxHash: randomHash() }); // Confirmed twice
+  const summary = await getEarningsSummary(userAddress);
+
+  assert.deepEqual(summary.totals, { CELO: '0.0375', cUSD: '0.0125' });
+  assert.equal(summary.paidClaims, 4);
+  assert.equal(summary.bestBonus.claimId, claims[3].claimId);
+  assert.equal(summary.bestBonus.multiplier, 4);
+});
@@ -0,0 +1,100 @@
+// Provably fair amounts: base roll, final amount and verification after reveal
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.AIRDROP_SEED_SECRET ||= 'test-seed-secret';
+
+const {
+  EPOCH_LENGTH,
+  getEpoch,
+  computeBaseAmount,
+  computeFinalAmount,
+  rollBaseAmount,
+  verifyRoll
+} = await import('../lib/fairness.js');
+const { reserveClaim, updateClaim } = await import('../lib/claim-ledger.js');
+const { default: fairnessHandler } = await import('../api/fairness.js');
+
+const mintTxHash = `0x${'ab'.repeat(32)}`;
+const blockHash = `0x${'cd'.repeat(32)}`;
+const range = { minAmount: '0.01', maxAmount: '0.05' };
+
+test('computeBaseAmount is deterministic and within range', () => {
+  const inputs = { serverSeed: 'seed', mintTxHash, blockHash, ...range };
+
+  const amount = computeBaseAmount(inputs);
+
+  assert.equal(computeBaseAmount({ ...inputs, mintTxHash: mintTxHash.toUpperCase().replace('0X', '0x') }), amount);
+  assert.notEqual(computeBaseAmount({ ...inputs, serverSeed: 'other' }), amount);
+  assert.ok(parseFloat(amount) >= 0.01 && parseFloat(amount) <= 0.05);
+  assert.match(amount, /^\d+\.\d{4}$/);
+});
+
+test('computeFinalAmount applies every multiplier and the hard cap', () => {
+  const multipliers = { lucky: 2, rarity: 1.5, prediction: 0.5, streak: 1.1, risk: 1 };
+
+  assert.equal(computeFinalAmount({ baseAmount: '0.0200', multipliers, hardCap: '1' }), '0.0330');
+  assert.equal(computeFinalAmount({ baseAmount: '0.0200', multipliers: { lucky: 100 }, hardCap: '0.5' }), '0.5000');
+  assert.equal(computeFinalAmount({ baseAmount: '0.0200', multipliers: null, hardCap: '1' }), '0.0200');
+});
+
+test('verifyRoll withholds the seed until the epoch is over', async () => {
+  const result = await verifyRoll({ epoch: getEpoch(), mintTxHash, blockHash, baseAmount: '0.0100', ...range });
+
+  assert.equal(result.revealed, false);
+  assert.equal(result.serverSeed, undefined);
+});
+
+test('a past roll and its final amount can be recomputed', async () => {
+  const mintTimestamp = Date.now() - EPOCH_LENGTH;
+  const { baseAmount, fairness } = await rollBaseAmount({ mintTxHash, blockHash, mintTimestamp, ...range });
+  const multipliers = { lucky: 2, rarity: 1, prediction: 1, streak: 1.2, risk: 1 };
+  const finalAmount = computeFinalAmount({ baseAmount, multipliers, hardCap: '1' });
+  const claim = { epoch: fairness.epoch, mintTxHash, blockHash, baseAmount, ...range, multipliers, hardCap: '1' };
+
+  const verified = await verifyRoll({ ...claim, finalAmount });
+  const inflated = await verifyRoll({ ...claim, finalAmount: (parseFloat(finalAmount) * 2).toFixed(4) });
+
+  assert.equal(verified.commitmentValid, true);
+  assert.equal(verified.verified, true);
+  assert.equal(inflated.finalVerified, false);
+  assert.equal(inflated.verified, false);
+});
+
+// Minimal Vercel-style response that records what the handler sent
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+test('GET /api/fairness?tokenId= shows the payout token with the proof', async () => {
+  const tokenId = 424242;
+  const { baseAmount, fairness } = await rollBaseAmount({ mintTxHash, blockHash, mintTimestamp: Date.now() - EPOCH_LENGTH, ...range });
+  const multipliers = { lucky: 1, rarity: 1, prediction: 1, streak: 1, risk: 1 };
+  const { claim } = await reserveClaim({ tokenId, userAddress: `0x${'12'.repeat(20)}`, mintTxHash: `0x${'ef'.repeat(32)}` });
+  await updateClaim(claim.claimId, {
+    baseAmount,
+    amount: baseAmount,
+    payoutToken: 'cUSD',
+    fairness: { ...fairness, multipliers, hardCap: '1' }
+  });
+
+  const res = createResponse();
+  await fairnessHandler({ method: 'GET', query: { tokenId: String(tokenId) } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.token, 'cUSD');
+  assert.equal(res.body.verified, true);
+});
@@ -0,0 +1,260 @@
+// Payout queue against a mocked dev chain: nonce order, fee bumps, crash
+// recovery, receipt reconciliation and the worker lock.
+// The wallet signs for CHAIN_ID 31337 (the local dev-chain path in
+// lib/chain.js); the public client's RPC methods are replaced by a fake
+// chain that keeps a mempool and mines on demand.
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+
+process.env.AIRDROP_WALLET_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'; // anvil account #0
+process.env.CHAIN_ID = '31337';
+process.env.CELO_RPC_URL = 'http://127.0.0.1:8545';
+
+const { parseEther, keccak256, parseTransaction, TransactionReceiptNotFoundError } = await import('viem');
+const { chain, publicClient } = await import('../lib/chain.js');
+const { memoryStore, storage } = await import('../lib/storage.js');
+const { CLAIM_STATUS, getClaim, updateClaim, reserveClaim } = await import('../lib/claim-ledger.js');
+const { enqueuePayout, processPayoutQueue, getQueueStats, resolvePayoutReview } = await import('../lib/payout-queue.js');
+
+const WALLET = '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266';
+
+// ===== FAKE CHAIN =====
+
+function createFakeChain() {
+  const fake = {
+    mempool: new Map(), // hash -> parsed tx
+    receipts: new Map(),
+    sent: [], // every raw tx the node accepted
+    confirmedNonce: 0,
+    onSend: null // (serializedTransaction) => void, may throw
+  };
+
+  fake.mine = () => {
+    for (;;) {
+      const candidates = [...fake.mempool.entries()].filter(([, tx]) => tx.nonce === fake.confirmedNonce);
+      if (candidates.length === 0) return;
+
+      const [hash] = candidates.sort(([, a], [, b]) => (a.maxFeePerGas > b.maxFeePerGas ? -1 : 1))[0];
+      fake.receipts.set(hash, { status: 'success', transactionHash: hash, blockNumber: 1n });
+      for (const [other] of candidates) fake.mempool.delete(other);
+      fake.confirmedNonce++;
+    }
+  };
+
+  mock.method(publicClient, 'getBalance', async () => parseEther('100'));
+  mock.method(publicClient, 'estimateGas', async () => 21000n);
+  mock.method(publicClient, 'estimateFeesPerGas', async () => ({ maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n }));
+  mock.method(publicClient, 'getTransactionCount', async ({ blockTag }) => {
+    if (blockTag === 'latest') return fake.confirmedNonce;
+    const pendingNonces = [...fake.mempool.values()].map(tx => tx.nonce + 1);
+    return Math.max(fake.confirmedNonce, ...pendingNonces);
+  });
+  mock.method(publicClient, 'getTransactionReceipt', async ({ hash }) => {
+    const receipt = fake.receipts.get(hash);
+    if (!receipt) throw new TransactionReceiptNotFoundError({ hash });
+    return receipt;
+  });
+  mock.method(publicClient, 'sendRawTransaction', async ({ serializedTransaction }) => {
+    const hash = keccak256(serializedTransaction);
+    const tx = parseTransaction(serializedTransaction);
+
+    if (fake.mempool.has(hash) || fake.receipts.has(hash)) throw new Error('already known');
+    if (tx.nonce < fake.confirmedNonce) throw new Error('nonce too low');
+
+    fake.mempool.set(hash, tx);
+    fake.sent.push(serializedTransaction);
+    fake.onSend?.(serializedTransaction);
+    return hash;
+  });
+
+  return fake;
+}
+
+// ===== HELPERS =====
+
+function randomHash() {
+  return `0x${randomBytes(32).toString('hex')}`;
+}
+
+let nextTokenId = 1;
+
+async function queuePayout(amount = '0.01') {
+  const mint = { tokenId: nextTokenId++, userAddress: `0x${randomBytes(20).toString('hex')}`, mintTxHash: randomHash() };
+  const { claim } = await reserveClaim(mint);
+  await enqueuePayout(claim.claimId, { to: mint.userAddress, amount, token: 'CELO' });
+  return { claimId: claim.claimId, mint };
+}
+
+// Pretend the last broadcast happened `ms` ago
+async function age(claimId, ms) {
+  const claim = await getClaim(claimId);
+  await updateClaim(claimId, { payout: { ...claim.payout, lastSubmittedAt: claim.payout.lastSubmittedAt - ms } });
+}
+
+let fake;
+
+beforeEach(() => {
+  memoryStore.clear();
+  fake = createFakeChain();
+});
+
+afterEach(() => mock.restoreAll());
+
+// ===== TESTS =====
+
+test('payouts get consecutive nonces in queue order, signed for the dev chain', async () => {
+  const payouts = [await queuePayout(), await queuePayout(), await queuePayout()];
+
+  const tick = await processPayoutQueue();
+
+  assert.equal(tick.submitted, 3);
+  for (const [i, { claimId }] of payouts.entries()) {
+    const claim = await getClaim(claimId);
+    assert.equal(claim.status, CLAIM_STATUS.SUBMITTED);
+    assert.equal(claim.payout.nonce, i);
+    assert.equal(claim.payout.from, WALLET);
+  }
+
+  const tx = parseTransaction(fake.sent[0]);
+  assert.equal(tx.chainId, 31337);
+  assert.equal(chain.id, 31337);
+  assert.equal(tx.value, parseEther('0.01'));
+});
+
+test('mined payouts are confirmed on the next tick', async () => {
+  const { claimId } = await queuePayout();
+  await processPayoutQueue();
+
+  fake.mine();
+  const tick = await processPayoutQueue();
+  const claim = await getClaim(claimId);
+
+  assert.equal(tick.confirmed, 1);
+  assert.equal(claim.status, CLAIM_STATUS.SENT);
+  assert.equal(claim.payoutTxHash, claim.payout.txHashes[0]);
+});
+
+test('a stuck payout is replaced with bumped fees and the replacement confirms', async () => {
+  const { claimId } = await queuePayout();
+  await processPayoutQueue();
+  await age(claimId, 60000);
+
+  await processPayoutQueue();
+  const bumped = await getClaim(claimId);
+
+  assert.equal(bumped.payout.txHashes.length, 2);
+  assert.equal(bumped.payout.attempts, 2);
+  assert.equal(bumped.payout.maxFeePerGas, '1250');
+  assert.deepEqual(fake.sent.map(raw => parseTransaction(raw).nonce), [0, 0]);
+
+  fake.mine();
+  await processPayoutQueue();
+  const claim = await getClaim(claimId);
+
+  assert.equal(claim.status, CLAIM_STATUS.SENT);
+  assert.equal(claim.payoutTxHash, bumped.payout.txHashes[1]);
+});
+
+test('a payout whose broadcast outcome is unknown is re-sent as the same transaction', async () => {
+  const { claimId } = await queuePayout();
+  fake.onSend = () => {
+    fake.onSend = null;
+    throw new Error('fetch failed'); // Reached the node, but the worker never heard back
+  };
+
+  await processPayoutQueue();
+  const saved = await getClaim(claimId);
+
+  assert.equal(saved.status, CLAIM_STATUS.SUBMITTING);
+  assert.equal(saved.payoutTxHash, keccak256(fake.sent[0]));
+
+  await processPayoutQueue();
+  assert.equal((await getClaim(claimId)).status, CLAIM_STATUS.SUBMITTED);
+
+  fake.mine();
+  await processPayoutQueue();
+
+  assert.equal((await getClaim(claimId)).status, CLAIM_STATUS.SENT);
+  assert.equal(fake.sent.length, 1);
+});
+
+test('a broadcast rejected for its nonce goes back to the queue', async () => {
+  const { claimId } = await queuePayout();
+  fake.confirmedNonce = 3;
+  publicClient.getTransactionCount.mock.mockImplementationOnce(async () => 0); // Lagging node
+
+  await processPayoutQueue();
+  assert.equal((await getClaim(claimId)).status, CLAIM_STATUS.QUEUED);
+  assert.equal((await getQueueStats()).queued, 1);
+
+  await processPayoutQueue();
+  const claim = await getClaim(claimId);
+
+  assert.equal(claim.status, CLAIM_STATUS.SUBMITTED);
+  assert.equal(claim.payout.nonce, 3);
+});
+
+test('an RPC outage while looking up receipts fails no payout', async () => {
+  const { claimId, mint } = await queuePayout();
+  await processPayoutQueue();
+  await age(claimId, 600000);
+
+  publicClient.getTransactionReceipt.mock.mockImplementation(async () => {
+    throw new Error('HTTP request failed. Status: 503');
+  });
+
+  await assert.rejects(processPayoutQueue(), /503/);
+  assert.equal((await getClaim(claimId)).status, CLAIM_STATUS.SUBMITTED);
+  assert.equal((await reserveClaim(mint)).reserved, false);
+});
+
+test('a nonce used by an unknown transaction holds the claim for review', async () => {
+  const { claimId, mint } = await queuePayout();
+  await processPayoutQueue();
+
+  fake.mempool.clear();
+  fake.confirmedNonce = 1; // Mined, but not by any hash we saved
+  await processPayoutQueue();
+  assert.equal((await getClaim(claimId)).status, CLAIM_STATUS.SUBMITTED); // Receipts can lag
+
+  await age(claimId, 130000);
+  await processPayoutQueue();
+
+  assert.equal((await getClaim(claimId)).status, CLAIM_STATUS.REVIEW);
+  assert.deepEqual((await getQueueStats()).review, [claimId]);
+  assert.equal((await reserveClaim(mint)).reserved, false);
+
+  await resolvePayoutReview(claimId, { outcome: 'failed' });
+
+  assert.equal((await getClaim(claimId)).status, CLAIM_STATUS.FAILED);
+  assert.deepEqual((await getQueueStats()).review, []);
+  assert.equal((await reserveClaim(mint)).reserved, true);
+});
+
+test('only one worker runs at a time', async () => {
+  await queuePayout();
+  await storage.set('payout_lock', { lockId: 'other-worker' }, 60);
+
+  assert.deepEqual(await processPayoutQueue(), { skipped: true });
+  assert.equal(fake.sent.length, 0);
+});
+
+test('a worker that lost its lock stops and leaves the new holder\'s lock alone', async () => {
+  const first = await queuePayout();
+  const second = await queuePayout();
+  fake.onSend = () => {
+    // The lock expired mid-tick and another worker took it
+    fake.onSend = null;
+    memoryStore.set('payout_lock', { value: { lockId: 'other-worker' }, expires: Date.now() + 60000 });
+  };
+
+  const tick = await processPayoutQueue();
+
+  assert.equal(tick.lockLost, true);
+  assert.equal(tick.submitted, 1);
+  assert.equal((await getClaim(first.claimId)).status, CLAIM_STATUS.SUBMITTED);
+  assert.equal((await getClaim(second.claimId)).status, CLAIM_STATUS.QUEUED);
+  assert.deepEqual(await storage.get('payout_lock'), { lockId: 'other-worker' });
+});
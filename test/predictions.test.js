@@ -0,0 +1,96 @@
+// Prediction resolution: the end price is the sweep's first snapshot after the round
+
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { memoryStore } from '../lib/storage.js';
+import { DEFAULT_PRICE_SOURCES, setPriceSources, createFixedPriceSource, getCeloPrice } from '../lib/price.js';
+import {
+  saveOpenPrediction,
+  getPredictionOutcome,
+  resolveExpiredPredictions
+} from '../lib/predictions.js';
+
+let sourceCount = 0;
+
+// Every price change gets a new source name, so the cache never serves the old one
+function setPrice(price) {
+  setPriceSources([createFixedPriceSource(price, `prediction-test-${sourceCount++}`)]);
+}
+
+async function openPrediction({ prediction = 'up', startPrice = 0.5, expiresAt }) {
+  const data = {
+    predictionId: randomBytes(8).toString('hex'),
+    userAddress: `0x${randomBytes(20).toString('hex')}`,
+    prediction,
+    currentPrice: startPrice,
+    timestamp: expiresAt - 60000,
+    expiresAt,
+    roundType: '1m',
+    roundLabel: '1 Minute',
+    winMultiplier: 2,
+    lossMultiplier: 0.5
+  };
+  await saveOpenPrediction(data);
+  return data;
+}
+
+beforeEach(() => memoryStore.clear());
+after(() => setPriceSources(DEFAULT_PRICE_SOURCES));
+
+test('an expired prediction stays pending until the sweep snapshots the price', async () => {
+  const prediction = await openPrediction({ expiresAt: Date.now() - 1000 });
+  setPrice(0.6);
+
+  await getCeloPrice(); // Other traffic fetching prices doesn't end the round
+  const outcome = await getPredictionOutcome(prediction.userAddress, prediction.predictionId);
+
+  assert.equal(outcome.status, 'pending');
+});
+
+test('the sweep resolves rounds against its own snapshot', async () => {
+  const won = await openPrediction({ prediction: 'up', expiresAt: Date.now() - 1000 });
+  const lost = await openPrediction({ prediction: 'down', expiresAt: Date.now() - 1000 });
+  const running = await openPrediction({ expiresAt: Date.now() + 60000 });
+  setPrice(0.6);
+
+  const counts = await resolveExpiredPredictions();
+
+  assert.deepEqual(counts, { resolved: 2, void: 0, waiting: 1, dropped: 0, failed: 0 });
+
+  const { result } = await getPredictionOutcome(won.userAddress, won.predictionId);
+  assert.equal(result.correct, true);
+  assert.equal(result.multiplier, 2);
+  assert.equal(result.endPrice, 0.6);
+  assert.ok(result.endPriceAt >= won.expiresAt);
+
+  assert.equal((await getPredictionOutcome(lost.userAddress, lost.predictionId)).result.correct, false);
+  assert.equal((await getPredictionOutcome(running.userAddress, running.predictionId)).status, 'pending');
+});
+
+test('a later read uses the snapshot, not the price at that moment', async () => {
+  const prediction = await openPrediction({ prediction: 'up', expiresAt: Date.now() - 1000 });
+  const other = await openPrediction({ expiresAt: Date.now() - 1000 });
+  setPrice(0.4);
+  await resolveExpiredPredictions();
+
+  setPrice(0.9);
+  const { result } = await getPredictionOutcome(prediction.userAddress, prediction.predictionId);
+
+  assert.equal(result.endPrice, 0.4);
+  assert.equal(result.correct, false);
+  assert.equal((await getPredictionOutcome(other.userAddress, other.predictionId)).result.endPrice, 0.4);
+});
+
+test('a round the sweep missed is void, not priced late', async () => {
+  const prediction = await openPrediction({ expiresAt: Date.now() - 10 * 60000 });
+  setPrice(0.6);
+
+  const counts = await resolveExpiredPredictions();
+  const { result } = await getPredictionOutcome(prediction.userAddress, prediction.predictionId);
+
+  assert.equal(counts.void, 1);
+  assert.equal(result.void, true);
+  assert.equal(result.multiplier, 1);
+  assert.equal(result.correct, null);
+});
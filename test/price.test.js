@@ -0,0 +1,99 @@
+// CELO price aggregation: median, outlier/stale rejection, end price snapshots
+// Every test uses its own source names, so the cached price of another test
+// (keyed by the source set) is never reused.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import {
+  DEFAULT_PRICE_SOURCES,
+  setPriceSources,
+  createFixedPriceSource,
+  getCeloPrice,
+  takePriceSnapshot,
+  getFirstSnapshotAfter
+} from '../lib/price.js';
+
+let sourceCount = 0;
+
+function source(fetchQuote) {
+  return { name: `test-${sourceCount++}`, fetchQuote };
+}
+
+function fixed(price) {
+  return createFixedPriceSource(price, `test-${sourceCount++}`);
+}
+
+after(() => setPriceSources(DEFAULT_PRICE_SOURCES));
+
+test('the price is the median of all sources', async () => {
+  setPriceSources([fixed(0.5), fixed(0.502), fixed(0.501)]);
+
+  const quote = await getCeloPrice();
+
+  assert.equal(quote.price, 0.501);
+  assert.equal(quote.sources.length, 3);
+  assert.equal(quote.cached, false);
+});
+
+test('a source far from the median is rejected as an outlier', async () => {
+  const outlier = fixed(0.8);
+  setPriceSources([fixed(0.5), fixed(0.5), outlier]);
+
+  const quote = await getCeloPrice();
+
+  assert.equal(quote.price, 0.5);
+  assert.ok(!quote.sources.includes(outlier.name));
+  assert.equal(quote.quotes.find(q => q.source === outlier.name).rejected, 'outlier');
+});
+
+test('stale, invalid and failing sources are skipped', async () => {
+  const stale = source(async () => ({ price: 0.9, timestamp: Date.now() - 3600000 }));
+  const invalid = source(async () => ({ price: 'n/a' }));
+  const failing = source(async () => { throw new Error('HTTP 500'); });
+  setPriceSources([fixed(0.6), stale, invalid, failing]);
+
+  const quote = await getCeloPrice();
+  const rejected = Object.fromEntries(quote.quotes.filter(q => q.rejected).map(q => [q.source, q.rejected]));
+
+  assert.equal(quote.price, 0.6);
+  assert.deepEqual(rejected, { [stale.name]: 'stale', [invalid.name]: 'invalid', [failing.name]: 'error' });
+});
+
+test('getCeloPrice throws when no source has a price', async () => {
+  setPriceSources([source(async () => { throw new Error('down'); })]);
+
+  await assert.rejects(getCeloPrice(), /unavailable from all sources/);
+});
+
+test('a cached price is reused unless it predates `notBefore`', async () => {
+  let price = 0.5;
+  setPriceSources([source(async () => ({ price }))]);
+
+  const first = await getCeloPrice();
+  price = 0.55;
+
+  assert.equal((await getCeloPrice()).cached, true);
+
+  const fresh = await getCeloPrice({ notBefore: first.fetchedAt + 1 });
+  assert.equal(fresh.cached, false);
+  assert.equal(fresh.price, 0.55);
+});
+
+test('only takePriceSnapshot takes snapshots, always with a fresh price', async () => {
+  let price = 0.42;
+  setPriceSources([source(async () => ({ price }))]);
+
+  await sleep(5); // Keep earlier tests' snapshots out of the window
+  const from = Date.now();
+  await getCeloPrice(); // An ordinary read (e.g. GET /api/price) leaves no snapshot
+  assert.equal(await getFirstSnapshotAfter(from), null);
+
+  price = 0.43;
+  await sleep(2); // A price fetched in the same millisecond counts as fresh
+  const snapshot = await takePriceSnapshot();
+
+  assert.equal(snapshot.price, 0.43);
+  assert.deepEqual(await getFirstSnapshotAfter(from), snapshot);
+  assert.equal(await getFirstSnapshotAfter(snapshot.fetchedAt + 1), null);
+});
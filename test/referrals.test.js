@@ -0,0 +1,55 @@
+// Referral conversions: the per-referrer cap holds under concurrent airdrops
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+
+process.env.REFERRAL_MAX_CONVERSIONS = '2';
+
+const { memoryStore, storage } = await import('../lib/storage.js');
+const { reserveClaim, getClaim } = await import('../lib/claim-ledger.js');
+const { enqueuePayout } = await import('../lib/payout-queue.js');
+const { REFERRAL_STATUS, convertReferral } = await import('../lib/referrals.js');
+
+function randomAddress() {
+  return `0x${randomBytes(20).toString('hex')}`;
+}
+
+let nextTokenId = 1;
+
+// A queued first-mint airdrop for `referee`, referred by `referrer`
+async function referredAirdrop(referrer) {
+  const referee = randomAddress();
+  const mint = { tokenId: nextTokenId++, userAddress: referee, mintTxHash: `0x${randomBytes(32).toString('hex')}` };
+  const { claim } = await reserveClaim(mint);
+  await enqueuePayout(claim.claimId, { to: referee, amount: '0.04', token: 'CELO' });
+  await storage.set(`referral_edge_${referee}`, { referee, referrer, ref: referrer, status: REFERRAL_STATUS.PENDING, createdAt: Date.now() });
+
+  return await getClaim(claim.claimId);
+}
+
+beforeEach(() => memoryStore.clear());
+
+test('the first referrals convert into a queued bonus', async () => {
+  const referrer = randomAddress();
+  const claim = await referredAirdrop(referrer);
+
+  const bonus = await convertReferral(claim);
+
+  assert.equal(bonus.userAddress, referrer);
+  assert.equal((await getClaim(bonus.claimId)).amount, '0.0100');
+  assert.equal((await storage.get(`referral_edge_${claim.userAddress}`)).status, REFERRAL_STATUS.CONVERTED);
+});
+
+test('concurrent conversions never pay a referrer past the cap', async () => {
+  const referrer = randomAddress();
+  const claims = [];
+  for (let i = 0; i < 5; i++) claims.push(await referredAirdrop(referrer));
+
+  const bonuses = await Promise.all(claims.map(claim => convertReferral(claim)));
+  const edges = await Promise.all(claims.map(claim => storage.get(`referral_edge_${claim.userAddress}`)));
+
+  assert.equal(bonuses.filter(Boolean).length, 2);
+  assert.equal(edges.filter(edge => edge.status === REFERRAL_STATUS.CONVERTED).length, 2);
+  assert.deepEqual(edges.filter(edge => edge.status === REFERRAL_STATUS.REJECTED).map(edge => edge.reason), ['referrer_cap', 'referrer_cap', 'referrer_cap']);
+});
@@ -0,0 +1,9 @@
+// Loaded before every test file (see the "test" script). The storage layer
+// logs every read and write, which buries the test output (and on Node 20 can
+// corrupt the runner's messages from the test process), so keep it quiet.
+// Set TEST_VERBOSE=1 to see the logs.
+
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+}
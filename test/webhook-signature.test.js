@@ -0,0 +1,73 @@
+// Webhook signature verification (generic provider): HMAC, timestamp window, replays
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac, randomBytes } from 'crypto';
+import { WEBHOOK_ERRORS, verifyWebhookRequest, releaseWebhookDelivery } from '../lib/webhook-signature.js';
+
+const config = { provider: 'generic', secret: 'test-webhook-secret' };
+
+// A signed request; each call gets its own body so replays don't collide
+function signedRequest({ timestamp = Math.floor(Date.now() / 1000), secret = config.secret } = {}) {
+  const body = JSON.stringify({ event: 'mint', id: randomBytes(8).toString('hex') });
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+  return {
+    req: { headers: { 'x-webhook-signature': `sha256=${signature}`, 'x-webhook-timestamp': String(timestamp) } },
+    body
+  };
+}
+
+test('a correctly signed request is accepted', async () => {
+  const { req, body } = signedRequest();
+
+  const result = await verifyWebhookRequest(req, body, config);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.signed, true);
+});
+
+test('a tampered body or wrong secret is rejected', async () => {
+  const tampered = signedRequest();
+  const wrongSecret = signedRequest({ secret: 'other-secret' });
+
+  assert.equal((await verifyWebhookRequest(tampered.req, `${tampered.body} `, config)).code, WEBHOOK_ERRORS.SIGNATURE_INVALID);
+  assert.equal((await verifyWebhookRequest(wrongSecret.req, wrongSecret.body, config)).code, WEBHOOK_ERRORS.SIGNATURE_INVALID);
+});
+
+test('missing headers are rejected', async () => {
+  const { body } = signedRequest();
+
+  const result = await verifyWebhookRequest({ headers: {} }, body, config);
+
+  assert.equal(result.code, WEBHOOK_ERRORS.SIGNATURE_MISSING);
+});
+
+test('timestamps outside the replay window are rejected', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const old = signedRequest({ timestamp: now - 301 });
+  const future = signedRequest({ timestamp: now + 301 });
+  const edge = signedRequest({ timestamp: now - 290 });
+
+  assert.equal((await verifyWebhookRequest(old.req, old.body, config)).code, WEBHOOK_ERRORS.TIMESTAMP_INVALID);
+  assert.equal((await verifyWebhookRequest(future.req, future.body, config)).code, WEBHOOK_ERRORS.TIMESTAMP_INVALID);
+  assert.equal((await verifyWebhookRequest(edge.req, edge.body, config)).valid, true);
+});
+
+test('a delivery can only be processed once until it is released', async () => {
+  const { req, body } = signedRequest();
+
+  const first = await verifyWebhookRequest(req, body, config);
+  assert.equal((await verifyWebhookRequest(req, body, config)).code, WEBHOOK_ERRORS.REPLAYED);
+
+  await releaseWebhookDelivery(first);
+  assert.equal((await verifyWebhookRequest(req, body, config)).valid, true);
+});
+
+test('an unknown provider is reported as misconfigured', async () => {
+  const { req, body } = signedRequest();
+
+  const result = await verifyWebhookRequest(req, body, { provider: 'nope', secret: config.secret });
+
+  assert.equal(result.code, WEBHOOK_ERRORS.MISCONFIGURED);
+});